@@ -0,0 +1,60 @@
+"use strict";
+/**
+ * Compare the time to encrypt and decrypt a batch of records:
+ *
+ * - one key derivation per record (the default)
+ * - a session salt and a derived key cache, so the key is derived once
+ * - worker threads with `encryptMany` and `decryptMany`
+ *
+ * Usage: node benchmark/derivation.js [records] [iterations]
+ */
+var crypto = require('crypto');
+var Kripke = require('../index');
+var count = parseInt(process.argv[2], 10) || 100;
+var iterations = parseInt(process.argv[3], 10) || 131072;
+var key = crypto.randomBytes(32);
+var records = [];
+
+while (records.length < count) {
+  records.push(crypto.randomBytes(128).toString('hex'));
+}
+
+function encryptEach(k) {
+  return Promise.all(records.map(function (record) { return k.encrypt(record); }));
+}
+
+function decryptEach(k, encrypted) {
+  return Promise.all(encrypted.map(function (record) { return k.decrypt(record); }));
+}
+
+function time(name, options, encrypt, decrypt) {
+  var k = new Kripke(Object.assign({ key: key, iterations: iterations }, options)), start = process.hrtime();
+
+  function elapsed() {
+    var diff = process.hrtime(start);
+    start = process.hrtime();
+    return (diff[0] * 1e3 + diff[1] / 1e6).toFixed(0) + 'ms';
+  }
+
+  return encrypt(k).then(function (encrypted) {
+    var encryptTime = elapsed();
+    return decrypt(k, encrypted).then(function () {
+      console.log(name + ': encrypt ' + encryptTime + ', decrypt ' + elapsed());
+      return k.closeWorkers();
+    });
+  });
+}
+
+console.log(count + ' records, ' + iterations + ' iterations');
+time('Default', {}, encryptEach, decryptEach).then(function () {
+  return time('Session salt and cache', { sessionSalt: true, cacheSize: 100 }, encryptEach, decryptEach);
+}).then(function () {
+  return time('Worker threads', {}, function (k) {
+    return k.encryptMany(records);
+  }, function (k, encrypted) {
+    return k.decryptMany(encrypted);
+  });
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+"use strict";
+require('../lib/cli').run(process.argv.slice(2), process, function (code) {
+  process.exitCode = code;
+});
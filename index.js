@@ -1,6 +1,30 @@
 "use strict";
 var crypto = require('crypto');
+var os = require('os');
+var util = require('util');
+var async = require('./lib/async');
+var bytes = require('./lib/bytes');
+var cipher = require('./lib/cipher');
+var compression = require('./lib/compression');
+var config = require('./lib/config');
+var container = require('./lib/container');
+var deterministic = require('./lib/deterministic');
+var errors = require('./lib/errors');
+var format = require('./lib/format');
+var jwe = require('./lib/jwe');
+var kdf = require('./lib/kdf');
+var kek = require('./lib/kek');
+var migration = require('./lib/migration');
+var recipientKeys = require('./lib/recipients');
+var fields = require('./lib/fields');
+var secrets = require('./lib/secrets');
+var shamir = require('./lib/shamir');
+var KeyCache = require('./lib/cache');
+var Keyring = require('./lib/keyring');
+var stream = require('./lib/stream');
+var WorkerPool = require('./lib/workers');
 var defaultIterations = 131072;
+var outputFormats = ['string', 'base64url', 'buffer', 'jwe'];
 /**
  * @callback nodeCallback
  * @param err {Error} If set, indicates and error or `null` if there was no error
@@ -11,28 +35,156 @@ var defaultIterations = 131072;
  * Create an instance with a built-in key that can encrypt and decrypt data
  *
  * @param options.key {string|Buffer} The secret key from which to derive the encryption key
+ * @param [options.shares] {string[]} Shares of the key made by `Kripke.splitKey`, to recover the `key` from instead
  * @param [options.hmacKey] {string|Buffer} A secret key to use to sign the encoded data
+ * @param [options.keys] {Array<{}>} A keyring to use instead of `key` and `hmacKey`. Each entry has an `id`, `key`
+ *                                   and optional `hmacKey`. The entry marked `primary: true` (or the first) is used
+ *                                   to encrypt, and its ID is recorded in the encoded data to select the key to decrypt.
  * @param [options.algorithm] {string} Name of the encryption algorithm to use. Default: 'AES-256-CBC'
- * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use. Default: 'SHA256'
+ * @param [options.decryptAlgorithms] {string[]} Only decrypt data with `algorithm` and these algorithms, instead of
+ *                                               any supported algorithm recorded in the header. Default: any
+ * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use: SHA-1, SHA-2 or SHA-3. Default: 'SHA256'
  * @param [options.iterations] {number} The number of iterations used to generate the derived key. Default: 2^17
  * @param [options.keyLength] {number} The number of bits for the key. Must be 128, 192, or 256. Default: 256
+ * @param [options.kdf] {string} The key derivation function: 'pbkdf2', 'scrypt' or 'hkdf'. Default: 'pbkdf2'
+ * @param [options.digest] {string} Name of the hash algorithm used by pbkdf2 and hkdf. Default: `hmacAlgorithm`
+ * @param [options.cost] {number} The scrypt cost parameter (N). Must be a power of 2. Default: 2^15
+ * @param [options.blockSize] {number} The scrypt block size parameter (r). Default: 8
+ * @param [options.parallelization] {number} The scrypt parallelization parameter (p). Default: 1
+ * @param [options.deriveHmacKey] {boolean} Derive independent encryption and HMAC keys from `key` for each message
+ *                                          and always sign the data. `hmacKey` is not used to encrypt.
+ * @param [options.cacheSize] {number} The number of derived keys to cache by salt and parameters, so data encrypted
+ *                                     with the same salt is decrypted without deriving the key again. Default: 0
+ * @param [options.sessionSalt] {boolean} Use one random salt for everything the instance encrypts, so the key is
+ *                                        derived once. Each message still has a random iv.
+ * @param [options.workers] {number} The number of worker threads used by `encryptMany` and `decryptMany`.
+ *                                   Default: the number of CPUs
+ * @param [options.syncKdf] {boolean} Derive keys on the calling thread instead of libuv's threadpool.
+ *                                    Used by the worker threads.
+ * @param [options.kek] {{}} A key-encryption key provider (see lib/kek.js). Each message is encrypted with a random
+ *                           data key wrapped by the provider, instead of a key derived from `key`. `key` is then
+ *                           optional and only used to decrypt data encrypted without a KEK, and by streams.
+ * @param [options.keks] {Array<{}>} More KEK providers, only used to unwrap data keys (e.g. after rotating the KEK)
+ * @param [options.recipients] {Array<string|Buffer|KeyObject>} Public keys (RSA, EC, X25519 or X448) to encrypt
+ *                                                               for instead of using `key` or `kek`. Each message is
+ *                                                               encrypted with a random data key wrapped for each one.
+ * @param [options.privateKey] {string|Buffer|KeyObject|{}} A private key to decrypt data encrypted for its public key.
+ *                                                          Anything accepted by `crypto.createPrivateKey`.
+ * @param [options.clock] {function(): number} Returns the current time in milliseconds, to issue and check data
+ *                                             with a TTL. Default: `Date.now`. Worker threads always use `Date.now`.
+ * @param [options.clockSkew] {number} The number of seconds data with a TTL is accepted after it expired or before
+ *                                     it was issued, for clocks that are not in sync. Default: 0
+ * @param [options.compress] {string} Compress the plain text before it is encrypted: 'gzip', 'deflate' or 'brotli'.
+ *                                   Data is only compressed if it gets smaller. Default: no compression
+ * @param [options.compressThreshold] {number} The minimum size in bytes of plain text to compress. Default: 1024
+ * @param [options.maxDecompressedSize] {number} The maximum size in bytes of decompressed data, so compressed data
+ *                                              can't exhaust memory when it is decrypted. Default: 64 MiB
+ * @param [options.policy] {{}} The parameters data must use to be current, checked by `needsReencrypt`
+ *                              (see lib/migration.js): `minIterations`, `minCost`, `algorithms`, `requireHmac` and
+ *                              `requirePrimaryKey`. Default: the instance options and the primary key
+ *
+ * The keys are held as KeyObjects, so the Buffers passed as `key` and `hmacKey` can be wiped once the instance is
+ * created. `options` is not changed, and the copy the instance keeps is redacted when it is logged or serialized
+ * (see lib/secrets.js).
+ *
  * @constructor
+ * @throws {KripkeKeyError} No key was provided or the keys are invalid
+ * @throws {KripkeArgumentError} The algorithm, hash algorithms or key derivation options are not supported
  */
 function Kripke (options) {
-  var key, hmacKey, hmacAlgorithm, iterations, keyLength;
-  if (!(options && options.key)) {
-    throw new TypeError('You must provide a "key"');
-  }
-  key = options.key;
-  hmacKey = options.hmacKey;
-  iterations = options.iterations || defaultIterations;
-  hmacAlgorithm = options.hmacAlgorithm || 'SHA256';
+  var keyring, kekRing, recipients, cache, sessionSalt, pool, self = this;
+  // The options are kept for the worker threads, so the copy doesn't show the keys if it is logged
+  options = secrets.redact(options);
+  if (options && options.shares) {
+    if (options.key || options.keys) {
+      throw new errors.KripkeArgumentError('Use either "key" or "shares"');
+    }
+    // The recovered key is also what worker threads receive, so they don't combine the shares again
+    options = Object.assign({}, options, { key: shamir.combine(options.shares), shares: undefined });
+  }
+  keyring = new Keyring(options, !!(options && (options.kek || options.keks || options.recipients ||
+    options.privateKey)));
+  keyring.keys.forEach(function (entry) {
+    entry.key = secrets.secretKey(entry.key);
+    entry.hmacKey = entry.hmacKey ? secrets.secretKey(entry.hmacKey) : undefined;
+  });
+  if (options.kek && options.recipients) {
+    throw new errors.KripkeArgumentError('Use either "kek" or "recipients"');
+  }
+  if (options.recipients) {
+    recipients = [].concat(options.recipients).map(function (key) {
+      return new recipientKeys.Recipient(key);
+    });
+    if (!recipients.length) {
+      throw new errors.KripkeKeyError('You must provide at least one recipient');
+    }
+  }
+  if (options.kek || options.keks || options.privateKey) {
+    kekRing = new kek.KekRing(options.kek, [].concat(options.keks || [],
+      options.privateKey ? [new recipientKeys.PrivateKeyProvider(options.privateKey)] : []));
+  }
+  this.keyId = keyring.primary && keyring.primary.id;
+  this.kekId = options.kek && options.kek.id;
+  this.recipients = recipients && recipients.map(function (recipient) { return recipient.id; });
+  this.algorithm = options.algorithm || 'AES-256-CBC';
+  this.hmacAlgorithm = options.hmacAlgorithm || 'SHA256';
+  this.iterations = options.iterations || defaultIterations;
+  this.kdf = options.kdf || 'pbkdf2';
+  this.digest = options.digest || this.hmacAlgorithm;
+  this.cost = options.cost || 32768;
+  this.blockSize = options.blockSize || 8;
+  this.parallelization = options.parallelization || 1;
+  this.deriveHmacKey = !!options.deriveHmacKey;
+  ['hmacAlgorithm', 'digest', 'iterations', 'cost', 'blockSize', 'parallelization'].forEach(function (name) {
+    if (!format.isValid(name, self[name])) {
+      throw new errors.KripkeArgumentError(name === 'hmacAlgorithm' || name === 'digest' ?
+        'Unsupported hash algorithm "' + self[name] + '"' : 'Invalid "' + name + '"');
+    }
+  });
+  cipher.validate(this.algorithm);
+  // Data is self-describing, so any supported algorithm is decrypted unless the caller restricts them
+  this.decryptAlgorithms = options.decryptAlgorithms ? [this.algorithm].concat(options.decryptAlgorithms)
+    .map(function (algorithm) {
+      cipher.validate(algorithm);
+      return algorithm.toLowerCase();
+    }) : null;
+  this.cacheSize = options.cacheSize || 0;
+  this.sessionSalt = !!options.sessionSalt;
+  this.workers = options.workers || os.cpus().length || 1;
+  this.syncKdf = !!options.syncKdf;
+  this.clock = options.clock || Date.now;
+  this.clockSkew = options.clockSkew || 0;
+  this.destroyed = false;
+  kdf.validate(this.kdf);
   if (options.keyLength && [128, 192, 256].indexOf(options.keyLength) > -1) {
-    keyLength = options.keyLength / 8;
+    this.keyLength = options.keyLength;
   } else {
-    keyLength = 32;
+    this.keyLength = 256;
+  }
+  this.compress = options.compress || null;
+  this.compressThreshold = options.compressThreshold === undefined ? 1024 : options.compressThreshold;
+  this.maxDecompressedSize = options.maxDecompressedSize || 64 * 1024 * 1024;
+  if (this.compress) {
+    compression.validate(this.compress);
+  }
+  this.policy = new migration.Policy(options.policy, this);
+  if (this.cacheSize || this.sessionSalt) {
+    cache = new KeyCache(this.cacheSize);
+  }
+  if (this.sessionSalt) {
+    sessionSalt = crypto.randomBytes(16);
+  }
+
+  /**
+   * Check that the instance can still be used
+   *
+   * @throws {KripkeKeyError} `destroy` was called
+   */
+  function checkDestroyed() {
+    if (self.destroyed) {
+      throw new errors.KripkeKeyError('The instance was destroyed');
+    }
   }
-  this.algorithm = options.algorithm || 'AES-256-CBC';
 
   /**
    * @callback derivedKeyCallback
@@ -44,36 +196,214 @@ function Kripke (options) {
    * Generate a key derived from the secret key
    *
    * @param [salt] {string|Buffer} A base64 encoded-string or Buffer to use as a salt in the key derivation function
-   *                               If no `salt` is provided, a random 16 byte salt will be generated and returned in the callback
-   * @param callback {derivedKeyCallback}
+   *                               If no `salt` is provided, a random 16 byte salt (or the session salt, see
+   *                               `options.sessionSalt`) will be used and returned in the callback
+   * @param [params] {{}} Key derivation parameters read from encoded data (`keyId`, `kdf`, `keyLength` and the
+   *                      parameters of the key derivation function)
+   *                      Any parameter that is not provided defaults to the instance option, except `keyId`.
+   *                      Without `params` the primary key is used, otherwise the key with `params.keyId`.
+   * @param [callback] {derivedKeyCallback}
+   * @returns {Promise<{derivedKey: Buffer, salt: Buffer}>|undefined} Returns a Promise if there is no `callback`
+   * @throws {KripkeKeyError} There is no key matching `params.keyId`
+   * @throws {KripkeFormatError} `params` are out of the range the instance accepts
    */
-  this.generateDerivedKey = function (salt, callback) {
+  this.generateDerivedKey = function (salt, params, callback) {
+    var entry, derivation, id;
+    if (!callback && typeof params === 'function') {
+      callback = params;
+      params = null;
+    }
     if (!callback && typeof salt === 'function') {
       callback = salt;
-      salt = new Buffer(crypto.randomBytes(16));
+      salt = null;
     }
     if (typeof callback !== 'function') {
-      throw new TypeError('Missing callback');
+      return async.withCallback(null, function (done) {
+        self.generateDerivedKey(salt, params, function (err, derivedKey, salt) {
+          done(err, derivedKey && { derivedKey: derivedKey, salt: salt });
+        });
+      });
+    }
+    checkDestroyed();
+    if (!salt) { salt = sessionSalt || crypto.randomBytes(16); }
+    if (!Buffer.isBuffer(salt)) { salt = Buffer.from(salt, 'base64'); }
+    entry = params ? keyring.find(params.keyId) : keyring.primary;
+    if (!entry) {
+      throw new errors.KripkeKeyError('You must provide a "key"');
     }
-    if (!Buffer.isBuffer(salt)) { salt = new Buffer(salt, 'base64'); }
+    params = params || {};
+    derivation = {
+      kdf: params.kdf || self.kdf,
+      keyLength: params.keyLength || self.keyLength,
+      iterations: params.iterations || self.iterations,
+      digest: params.digest || self.digest,
+      cost: params.cost || self.cost,
+      blockSize: params.blockSize || self.blockSize,
+      parallelization: params.parallelization || self.parallelization
+    };
+    format.checkLimits(derivation, self);
 
-    crypto.pbkdf2(key, salt, iterations, keyLength, hmacAlgorithm, function (err, derivedKey) {
+    // pbkdf2 and scrypt don't take KeyObjects, so the key is exported for the derivation and wiped after it
+    function derive(done) {
+      var secret = entry.key.export();
+      if (self.syncKdf) {
+        try {
+          setImmediate(done, null, kdf.deriveSync(secret, salt, derivation));
+        } finally {
+          secrets.wipe(secret);
+        }
+      } else {
+        kdf.derive(secret, salt, derivation, function (err, derivedKey) {
+          secrets.wipe(secret);
+          done(err, derivedKey);
+        });
+      }
+    }
+    function derived(err, derivedKey) {
       callback(err, derivedKey, salt);
+    }
+
+    if (!cache) {
+      return derive(derived);
+    }
+    // The session key is pinned so that decrypting other data doesn't evict it
+    id = [entry.id || '', salt.toString('base64'), JSON.stringify(derivation)].join('$');
+    cache.derive(id, salt === sessionSalt, derive, derived);
+  };
+
+  /**
+   * Get a key of the keyring as it is, for JWE `dir` encryption where the key is the content encryption key
+   *
+   * @param [keyId] {string} The ID of the key, or `undefined` for the key without an ID
+   * @param length {number} The length in bytes the key must have
+   * @returns {Buffer} A copy of the key, which the caller wipes once it is used
+   * @throws {KripkeKeyError} There is no key with the ID, or it doesn't have the length
+   */
+  this.directKey = function (keyId, length) {
+    var key;
+    checkDestroyed();
+    key = keyring.find(keyId).key;
+    if (key.symmetricKeySize !== length) {
+      throw new errors.KripkeKeyError('The key must be ' + length + ' bytes to use it directly');
+    }
+    return key.export();
+  };
+
+  /**
+   * @typedef {{}} wrappedKey
+   * @property kekId {string} The ID of the KEK provider that wrapped the data key
+   * @property wrappedKey {Buffer} The wrapped data key
+   */
+  /**
+   * Wrap a data key with the `kek` provider, or for each of the `recipients`
+   *
+   * @param dataKey {Buffer}
+   * @param [callback] {function(Error, wrappedKey|Array<wrappedKey>)} Returns one wrapped key per recipient
+   *                                                                   if there are `recipients`
+   * @returns {Promise<wrappedKey|Array<wrappedKey>>|undefined} Returns a Promise if there is no `callback`
+   * @throws {KripkeKeyError} There is no `kek`. Passed to `callback` instead, or rejects the Promise.
+   */
+  this.wrapDataKey = function (dataKey, callback) {
+    return async.withCallback(callback, function (callback) {
+      checkDestroyed();
+      if (recipients) {
+        return recipientKeys.wrap(recipients, dataKey, callback);
+      }
+      if (!self.kekId) {
+        throw new errors.KripkeKeyError('You must provide a "kek"');
+      }
+      kek.wrap(kekRing, dataKey, callback);
+    });
+  };
+
+  /**
+   * Unwrap a data key with the KEK provider that wrapped it, or with the `privateKey`
+   *
+   * @param wrapped {wrappedKey|Array<wrappedKey>} The wrapped key, or the wrapped key of each recipient
+   * @param [callback] {function(Error, Buffer)} Returns the data key
+   * @returns {Promise<Buffer>|undefined} Returns a Promise if there is no `callback`
+   * @throws {KripkeKeyError} There is no provider with the ID or private key for the recipients.
+   *                          Passed to `callback` instead, or rejects the Promise.
+   */
+  this.unwrapDataKey = function (wrapped, callback) {
+    return async.withCallback(callback, function (callback) {
+      checkDestroyed();
+      kek.unwrap(kekRing || new kek.KekRing(), wrapped, callback);
     });
   };
 
   /**
-   * Sign the data using the instance `hmacKey`
+   * Wipe the key material of the instance: the keys are released, cached derived keys are zero-filled and the worker
+   * threads are stopped. Every later use of the instance throws a `KripkeKeyError`.
+   *
+   * KeyObjects can't be zero-filled from JavaScript, so their memory is freed once they are garbage collected.
+   */
+  this.destroy = function () {
+    self.destroyed = true;
+    keyring.keys = [];
+    keyring.primary = undefined;
+    kekRing = undefined;
+    recipients = undefined;
+    // The options are kept for the worker threads, and hold the keys as they were passed
+    options = null;
+    if (cache) { cache.clear(); }
+    if (pool) {
+      pool.close(function () {});
+      pool = null;
+    }
+  };
+
+  /**
+   * Remove every derived key from the cache and zero-fill them
+   */
+  this.clearKeyCache = function () {
+    if (cache) { cache.clear(); }
+  };
+
+  /**
+   * Get the pool of worker threads used by `encryptMany` and `decryptMany`
+   *
+   * @returns {WorkerPool|null} KEK providers can't be sent to a worker thread, so there is no pool with a KEK
+   */
+  this.workerPool = function () {
+    checkDestroyed();
+    if (kekRing) {
+      return null;
+    }
+    if (!pool) {
+      pool = new WorkerPool(cloneableOptions(options), self.workers);
+    }
+    return pool;
+  };
+
+  /**
+   * Create an `Hmac` keyed with the instance `hmacKey`
+   *
+   * @param [params] {{}} Parameters read from encoded data (`keyId` and `hmacAlgorithm`)
+   *                      Without `params` the primary key and instance `hmacAlgorithm` are used
+   * @returns {Hmac|null} Returns `null` if the key has no `hmacKey`
+   * @throws {KripkeKeyError} There is no key matching `params.keyId`
+   */
+  this.createHmac = function (params) {
+    var hmacKey;
+    checkDestroyed();
+    hmacKey = params ? keyring.find(params.keyId).hmacKey : keyring.primary && keyring.primary.hmacKey;
+    params = params || {};
+    return hmacKey ? crypto.createHmac(params.hmacAlgorithm || self.hmacAlgorithm, hmacKey) : null;
+  };
+
+  /**
+   * Sign the data using the `hmacKey` of the primary key
    *
    * @param data {string|Buffer} Data to sign
+   * @param [aad] {string|Buffer} Associated data to include in the signature. It is not appended to `data`.
    * @returns {string} Returns `data` with the HMAC signature appended ('$' delimited)
    */
-  this.sign = function sign (data) {
-    var hmac;
-    if (hmacKey) {
-      hmac = crypto.createHmac(hmacAlgorithm, hmacKey);
+  this.sign = function sign (data, aad) {
+    var hmac = self.createHmac();
+    if (hmac) {
       hmac.setEncoding('base64');
-      hmac.write(data);
+      hmac.write(format.withAad(data, associatedData({ aad: aad })));
       hmac.end();
       data += ('$' + hmac.read());
     }
@@ -83,25 +413,36 @@ function Kripke (options) {
   /**
    * Verify the HMAC signature on data encoded by the `encrypt` function
    *
-   * @param encodedData {string} A '$' delimited string.
+   * The `hmacKey` of the key with the ID recorded in `encodedData` is used.
+   *
+   * @param encodedData {string|Buffer} A '$' delimited string or data in the binary format.
    *                             If `hmacKey` was provided OR the `encodedData` contains a signature, then verification is required
    *                             otherwise, return `true` since there's no signature and no key
+   * @param [aad] {string|Buffer} The associated data the data was signed with
    * @returns {boolean} Returns `true` if the verification is successful or not required
+   * @throws {KripkeFormatError} The `encodedData` is malformed
+   * @throws {KripkeKeyError} The data is signed but there is no `hmacKey`
+   * @throws {KripkeIntegrityError} There is an `hmacKey` but the data is not signed
+   * @throws {KripkeArgumentError} The data was signed with a derived HMAC key (see `options.deriveHmacKey`)
    */
-  this.verify = function verify (encodedData) {
-    var hmac, parts = encodedData.split('$');
-    if (hmacKey || parts.length === 4) {
-      if (!hmacKey) {
-        throw new TypeError('An "hmacKey" is required to verify the HMAC signature of the cipher text');
+  this.verify = function verify (encodedData, aad) {
+    var envelope = format.parse(encodedData), hmac;
+    if (envelope.params.subkeys) {
+      throw new errors.KripkeArgumentError('Data signed with a derived HMAC key can only be verified by "decrypt"');
+    }
+    hmac = self.createHmac(envelope.params);
+    if (hmac || envelope.hmac) {
+      if (!hmac) {
+        throw new errors.KripkeKeyError('An "hmacKey" is required to verify the HMAC signature of the cipher text');
       }
-      if (parts.length < 4) {
-        throw new TypeError('An "hmacKey" was provided but the cipher text does not include an HMAC signature');
+      if (!envelope.hmac) {
+        throw new errors.KripkeIntegrityError('An "hmacKey" was provided but the cipher text does not include an HMAC signature');
       }
 
-      hmac = crypto.createHmac(hmacAlgorithm, hmacKey);
-      hmac.write(encodedData.substr(0, encodedData.lastIndexOf('$')));
+      // The signature covers the '$' delimited form, whatever format the data is in
+      hmac.write(format.withAad(envelope.signedData, associatedData({ aad: aad })));
       hmac.end();
-      return compareBuffers(hmac.read(), new Buffer(parts[3], 'base64'));
+      return cipher.compareBuffers(hmac.read(), envelope.hmac);
     }
     return true;
   };
@@ -110,257 +451,1148 @@ function Kripke (options) {
 /**
  * Encrypt data using the instance key and a random salt and iv
  *
- * @param plainText {string|Buffer} Data to encrypt
- * @param callback {nodeCallback} Returns a string with the encrypted data, iv, and salt in a '$' delimited string
+ * AEAD ciphers (e.g. 'AES-256-GCM' or 'ChaCha20-Poly1305') use a 12 byte nonce as the iv. Their authentication tag
+ * covers the header and is appended to the encrypted data.
+ *
+ * @param plainText {string|Buffer} Data to encrypt. Strings are encoded as utf8.
+ * @param [options] {{}}
+ * @param [options.output] {string} The format of the encoded data:
+ *                                  'string' - a '$' delimited string of base64 encoded values (default)
+ *                                  'base64url' - the compact binary format as a URL-safe base64 string
+ *                                  'buffer' - the compact binary format as a Buffer
+ *                                  'jwe' - the JWE compact serialization, see `options.jwe`
+ * @param [options.jwe] {{}} The algorithms of the 'jwe' output (see lib/jwe.js). It doesn't support `aad`, `ttl`,
+ *                           `deterministic` or compression.
+ * @param [options.jwe.alg] {string} 'PBES2-HS256+A128KW', 'PBES2-HS384+A192KW' or 'PBES2-HS512+A256KW' to wrap the
+ *                                   content key with a key derived from `key` with `iterations`, or 'dir' to use
+ *                                   `key` as the content key. Default: 'PBES2-HS256+A128KW'
+ * @param [options.jwe.enc] {string} 'A128GCM', 'A192GCM', 'A256GCM', 'A128CBC-HS256', 'A192CBC-HS384' or
+ *                                   'A256CBC-HS512'. Default: 'A256GCM'
+ * @param [options.aad] {string|Buffer} Associated data that binds the encrypted data to its context (e.g. the ID of
+ *                                      the row it is stored in). It is authenticated but not stored, and the same
+ *                                      value must be passed to `decrypt`. Requires an AEAD algorithm or a signature.
+ * @param [options.deterministic] {boolean} Encrypt the same plain text (and `aad`) to the same encoded data, so it
+ *                                         can be looked up by equality. This reveals which records are equal.
+ *                                         The encryption and HMAC keys are derived from `key` as with
+ *                                         `options.deriveHmacKey`. Default: false
+ * @param [options.compress] {string|boolean} The compression method, or `false` for none. Default: `options.compress`
+ *                                           of the instance
+ * @param [options.ttl] {number} The number of seconds the data can be decrypted for. The time it was issued and
+ *                               expires are recorded in the header. Requires an AEAD algorithm or a signature.
+ * @param [callback] {nodeCallback} Returns the encoded data with the encryption parameters,
+ *                                  encrypted data, iv, salt and optional HMAC signature
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `plainText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
  */
-Kripke.prototype.encrypt = function (plainText, callback) {
+Kripke.prototype.encrypt = function (plainText, options, callback) {
   var self = this;
-  if (typeof callback !== 'function') {
-    throw new TypeError('No callback provided');
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
   }
-  if (!plainText || plainText.length === 0) {
-    throw new TypeError('Invalid plain text data');
+  return async.withCallback(callback, function (callback) {
+    encryptData(self, plainText, options || {}, callback);
+  });
+};
+
+/**
+ * Decrypt data encoded by the `encrypt` function
+ *
+ * The parameters recorded in the encoded data are used in place of the instance options.
+ * Legacy strings without parameters are decrypted using the instance options.
+ * JWE compact serialization is decrypted with `key`, or the key of the keyring with its `kid`.
+ * Data encrypted with a TTL returns a `KripkeExpiredError` once it has expired.
+ *
+ * @param encodedText {string|Buffer} Data in any of the `encrypt` output formats
+ * @param [options] {{}}
+ * @param [options.output] {string} 'buffer' to return the decrypted data as a Buffer. Default: 'string'
+ * @param [options.encoding] {string} The encoding of the returned string. Default: 'utf8'
+ * @param [options.aad] {string|Buffer} The associated data passed to `encrypt`
+ * @param [callback] {nodeCallback} Returns the decrypted data
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.decrypt = function (encodedText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
   }
+  options = options || {};
+  return async.withCallback(callback, function (callback) {
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
+    }
+    if (options.encoding && !Buffer.isEncoding(options.encoding)) {
+      throw new errors.KripkeArgumentError('Invalid encoding "' + options.encoding + '"');
+    }
 
-  this.generateDerivedKey(function (err, derivedKey, salt) {
-    var cipher, iv, cipherText, encodedData;
+    decryptData(self, encodedText, associatedData(options), function (err, plainText, params) {
+      err = err || checkExpiry(self, params);
+      if (err) { return callback(err); }
+      if (options.output !== 'buffer') {
+        plainText = plainText.toString(options.encoding || 'utf8');
+      }
+      callback(err, plainText);
+    });
+  });
+};
 
-    if (derivedKey && salt) {
-      iv = new Buffer(crypto.randomBytes(16));
-      // Encrypt the plain text using the derived key
+/**
+ * Decrypt data encoded by the `encrypt` function and encrypt it again with the primary key
+ * and the current instance options. Use it to move data off an old key after adding a new primary key.
+ *
+ * @param encodedText {string|Buffer} Data in any of the `encrypt` output formats
+ * @param [options] {{}} The same options accepted by `encrypt`. Default: the format of `encodedText`, and the
+ *                       algorithms of a JWE. `options.aad` is used to decrypt and encrypt the data. The expiry and deterministic mode of
+ *                       the data are kept unless `options.ttl` or `options.deterministic` are set.
+ * @param [callback] {nodeCallback} Returns the new encoded data
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ */
+Kripke.prototype.reencrypt = function (encodedText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    var header;
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
+    }
+    if (!(options && options.output) && jwe.isJwe(encodedText)) {
+      header = jwe.readHeader(self, encodedText);
+      options = Object.assign({ jwe: { alg: header.alg, enc: header.enc } }, options, { output: 'jwe' });
+    } else if (!(options && options.output)) {
+      options = Object.assign({}, options, {
+        output: Buffer.isBuffer(encodedText) ? 'buffer' : encodedText.indexOf('$') === -1 ? 'base64url' : 'string'
+      });
+    }
+
+    decryptData(self, encodedText, associatedData(options), function (err, plainText, params) {
+      var expiry;
+      err = err || checkExpiry(self, params);
+      if (err) { return callback(err); }
+      // The data keeps its expiry and deterministic mode unless the options change them
+      if (params.mode === 'siv' && options.deterministic === undefined) {
+        options = Object.assign({}, options, { deterministic: true });
+      }
+      if (params.expiresAt !== undefined && options.ttl === undefined) {
+        expiry = { issuedAt: params.issuedAt, expiresAt: params.expiresAt };
+      }
       try {
-        cipher = crypto.createCipheriv(self.algorithm, derivedKey, iv);
-        cipher.setEncoding('base64');
-        cipher.write(plainText);
-        cipher.end();
-        cipherText = cipher.read();
-        // Create the $ delimited string with the iv and salt so it can be decrypted later
-        encodedData = self.sign(cipherText + '$' + iv.toString('base64') + '$' + salt.toString('base64'));
+        encryptData(self, plainText, options, callback, expiry);
       } catch (e) {
-        err = e;
+        callback(e);
       }
+    });
+  });
+};
+
+/**
+ * @typedef {{}} timestamps
+ * @property issuedAt {Date|undefined} When the data was encrypted. Only recorded for data with a TTL.
+ * @property expiresAt {Date|undefined} When the TTL of the data expires
+ */
+/**
+ * Verify encoded data and read the times it was issued and expires, without checking them
+ *
+ * @param encodedText {string|Buffer} Data in any of the `encrypt` output formats
+ * @param [options] {{}}
+ * @param [options.aad] {string|Buffer} The associated data passed to `encrypt`
+ * @param [callback] {function(Error, timestamps)}
+ * @returns {Promise<timestamps>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.extractTimestamp = function (encodedText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
     }
-    callback(err, encodedData);
+
+    // Timestamps can only be trusted once the data is verified, which means decrypting it
+    decryptData(self, encodedText, associatedData(options || {}), function (err, plainText, params) {
+      if (err) { return callback(err); }
+      plainText.fill(0);
+      callback(null, {
+        issuedAt: params.issuedAt === undefined ? undefined : new Date(params.issuedAt * 1000),
+        expiresAt: params.expiresAt === undefined ? undefined : new Date(params.expiresAt * 1000)
+      });
+    });
   });
 };
 
 /**
- * Decrypt data from a string encoded by the `encrypt` function
- *
- * @param encodedText {string} A '$' delimited string that includes the payload, iv, and salt
- * @param callback {nodeCallback} Returns the decrypted data as a utf8 string
- */
-Kripke.prototype.decrypt = function (encodedText, callback) {
-  var cipherValues, iv, salt, err, self = this;
-  if (typeof callback !== 'function') {
-    throw new TypeError('No callback provided');
-  }
-  if (!encodedText || typeof encodedText !== 'string') {
-    throw new TypeError('Invalid cipher text');
-  }
-
-  // Get iv and salt from the $ delimited cipherText
-  cipherValues = encodedText.split("$");
-  if (cipherValues && cipherValues.length >= 3) {
-    iv = new Buffer(cipherValues[1], 'base64');
-    salt = new Buffer(cipherValues[2], 'base64');
-
-    try {
-      // Verify the HMAC signature if one is expected
-      if (this.verify(encodedText)) {
-        this.generateDerivedKey(salt, function (err, derivedKey) {
-          var decipher, decryptedText, innerErr;
-          if (derivedKey) {
-            try {
-              decipher = crypto.createDecipheriv(self.algorithm, derivedKey, iv);
-              decipher.setEncoding('utf8');
-              decipher.write(cipherValues[0], 'base64');
-              decipher.end();
-              decryptedText = decipher.read();
-            } catch (e) {
-              innerErr = e;
-            }
-          }
-          callback(innerErr, decryptedText);
-        });
-      } else {
-        err = new Error('HMAC signature verification failed');
-      }
-    } catch (e) {
-      err = e;
+ * Rewrap the data key of data encrypted with a KEK, using the `kek` provider
+ *
+ * Only the wrapped data key changes. The data is not decrypted, so the KEK can be rotated without
+ * touching the data keys or the encrypted data.
+ *
+ * @param encodedText {string|Buffer} Data encrypted with a KEK, in any of the `encrypt` output formats
+ * @param [callback] {nodeCallback} Returns the encoded data in the same format
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedText` was not encrypted with a KEK.
+ *                               Passed to `callback` instead, or rejects the Promise.
+ * @throws {KripkeKeyError} The instance has no `kek` to wrap the data key with.
+ *                          Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.rewrap = function (encodedText, callback) {
+  var self = this;
+  return async.withCallback(callback, function (callback) {
+    var envelope;
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
     }
-  } else {
-    err = new TypeError('Encoded text is invalid');
-  }
-  if (err) { callback(err); }
+    envelope = format.parse(encodedText);
+    if (envelope.params.wrapped !== 'kek') {
+      throw new errors.KripkeArgumentError('The data was not encrypted with a KEK');
+    }
+    // A `keks` provider can unwrap the data key, but only the `kek` wraps it again
+    if (!self.kekId) {
+      throw new errors.KripkeKeyError('You must provide a "kek"');
+    }
+
+    self.unwrapDataKey(envelope, function (err, dataKey) {
+      if (err) { return callback(err); }
+      self.wrapDataKey(dataKey, function (err, wrapped) {
+        var encodedData;
+        dataKey.fill(0);
+        if (err) { return callback(err); }
+        envelope.kekId = wrapped.kekId;
+        envelope.wrappedKey = wrapped.wrappedKey;
+        if (Buffer.isBuffer(encodedText)) {
+          encodedData = format.toBinary(envelope);
+        } else if (encodedText.indexOf('$') === -1) {
+          encodedData = format.toBinary(envelope).toString('base64url');
+        } else {
+          encodedData = format.stringify(envelope);
+        }
+        callback(null, encodedData);
+      });
+    });
+  });
 };
 
 /**
- * Encrypt a plain text payload
+ * Check whether encoded data uses parameters that are outdated according to `options.policy`, or a key other than
+ * the primary key. Only the header is read, so the data is not verified.
  *
- * @static
- * @param plainText {string|Buffer} Plain text to be encrypted
- * @param options {{}}}
- * @param options.key {string|Buffer} The secret key from which to derive the encryption key
- * @param [options.hmacKey] {string|Buffer} A secret key to use to sign the encoded data
- * @param [options.algorithm] {string} Name of the encryption algorithm to use. Default: 'AES-256-CBC'
- * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use. Default: 'SHA256'
- * @param [options.iterations] {number} The number of iterations used to generate the derived key. Default: 2^17
- * @param callback {nodeCallback} Returns a string with the encrypted data, iv, and salt in a '$' delimited string
- * @throws {Error} No callback provided
- * @throws {TypeError} `options.key` is not provided or `plainText` is not valid
+ * @param encodedText {string|Buffer} Data in any of the `encrypt` output formats
+ * @returns {boolean} Returns `true` if the data should be re-encrypted with `reencrypt`
+ * @throws {KripkeArgumentError} `encodedText` is not valid
+ * @throws {KripkeFormatError} `encodedText` is malformed
  */
-Kripke.encrypt = function (plainText, options, callback) {
-  var cipherText, hmac, iv, salt, err;
-  if (typeof callback !== 'function') {
-    throw new Error('No callback provided');
+Kripke.prototype.needsReencrypt = function (encodedText) {
+  if (!isEncodedText(encodedText)) {
+    throw new errors.KripkeArgumentError('Invalid cipher text');
   }
-  if (!options.key) {
-    throw new TypeError('You must provide a "key"');
+  if (jwe.isJwe(encodedText)) {
+    return this.policy.isJweOutdated(jwe.readHeader(this, encodedText), this.keyId);
   }
-  if (!plainText || plainText.length === 0) {
-    throw new TypeError('Invalid plain text data');
-  }
-  options.algorithm = options.algorithm || 'AES-256-CBC';
-  options.hmacAlgorithm = options.hmacAlgorithm || 'SHA256';
-  options.iterations = options.iterations || defaultIterations;
+  return this.policy.isOutdated(format.parse(encodedText), this.keyId);
+};
 
-  // Generate a `salt` for pbkdf2 and an `iv` for the encryption algorithm
-  iv = new Buffer(crypto.randomBytes(16));
-  salt = new Buffer(crypto.randomBytes(16));
+/**
+ * @typedef {{}} migrationSummary
+ * @property processed {number} The number of records
+ * @property reencrypted {number} The number of records that were re-encrypted and updated
+ * @property skipped {number} The number of records that were current
+ * @property failed {number} The number of records that failed
+ * @property failures {Array<{index: number, record: *, error: Error}>} The records that failed and why
+ */
+/**
+ * Re-encrypt the records that `needsReencrypt`, one at a time and in order
+ *
+ * A record that fails to decrypt or update is reported in the summary, and the migration continues.
+ *
+ * @param records {Iterable|AsyncIterable} The records, e.g. rows read from a database
+ * @param options {{}}
+ * @param options.update {function(*, string|Buffer, number): Promise|undefined} Saves the re-encrypted data of a
+ *                                                                            record. Takes the record, the data
+ *                                                                            (in the same format) and its position.
+ * @param [options.get] {function(*): string|Buffer} Returns the encoded data of a record. Default: the record itself
+ * @param [options.onProgress] {function({processed: number, reencrypted: number, skipped: number, failed: number})}
+ *                             Called after each record
+ * @param [callback] {function(Error, migrationSummary)} Returns the summary. Errors from iterating `records` or
+ *                                                      `onProgress` stop the migration.
+ * @returns {Promise<migrationSummary>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `records` is not iterable or `options.update` is not a function.
+ *                               Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.migrate = function (records, options, callback) {
+  var self = this;
+  return async.withCallback(callback, function (callback) {
+    migration.migrate(self, records, options || {}, callback);
+  });
+};
 
-  try {
-    crypto.pbkdf2(options.key, salt, options.iterations, 32, options.hmacAlgorithm, function (err, derivedKey) {
-      var cipher, encodedData;
+/**
+ * Encrypt each record of a sequence, one at a time and in order
+ *
+ * @param records {Iterable|AsyncIterable} The plain text records (strings or Buffers)
+ * @param [options] {{}} The options accepted by `encrypt`
+ * @returns {AsyncIterable<string|Buffer>} The encoded records. Iteration stops with the first error.
+ * @throws {KripkeArgumentError} `records` is not iterable
+ */
+Kripke.prototype.encryptAll = function (records, options) {
+  var self = this;
+  return async.mapIterable(records, function (record) {
+    return self.encrypt(record, options || {});
+  });
+};
+
+/**
+ * Decrypt each record of a sequence, one at a time and in order
+ *
+ * @param records {Iterable|AsyncIterable} The encoded records
+ * @param [options] {{}} The options accepted by `decrypt`
+ * @returns {AsyncIterable<string|Buffer>} The decrypted records. Iteration stops with the first error.
+ * @throws {KripkeArgumentError} `records` is not iterable
+ */
+Kripke.prototype.decryptAll = function (records, options) {
+  var self = this;
+  return async.mapIterable(records, function (record) {
+    return self.decrypt(record, options || {});
+  });
+};
 
+/**
+ * Compute a blind index of a value, to look up encrypted data by equality without decrypting it
+ *
+ * The index is a truncated HMAC keyed with a subkey derived from the primary `key`, which is only used for indexes.
+ * It changes when the primary key does.
+ *
+ * @param value {string|Buffer} The value, normalized as needed (e.g. a lower case email address)
+ * @param [options] {{}}
+ * @param [options.bits] {number} The number of bits to keep, from 1 to 256. Fewer bits match more values,
+ *                                which reveals less about them. Default: 32
+ * @param [options.name] {string} The name of the index (e.g. the column). Each name has its own key,
+ *                                so equal values have different indexes in each.
+ * @param [callback] {function(Error, string)} Returns the index as hex
+ * @returns {Promise<string>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `value` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.blindIndex = function (value, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  return async.withCallback(callback, function (callback) {
+    var bits = options.bits === undefined ? 32 : options.bits;
+    if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+      throw new errors.KripkeArgumentError('Invalid value');
+    }
+    if (!(bits % 1 === 0 && bits >= 1 && bits <= 256)) {
+      throw new errors.KripkeArgumentError('Invalid bits "' + bits + '"');
+    }
+
+    self.generateDerivedKey(deterministic.BLIND_INDEX_SALT, null, function (err, derivedKey) {
+      var index;
       if (derivedKey) {
         try {
-          // Encrypt the plain text using the derived key
-          cipher = crypto.createCipheriv(options.algorithm, derivedKey, iv);
-          cipher.setEncoding('base64');
-          cipher.write(plainText);
-          cipher.end();
-          cipherText = cipher.read();
-          // Create the $ delimited string with the iv and salt so it can be decrypted later
-          encodedData = cipherText + '$' + iv.toString('base64') + '$' + salt.toString('base64');
-
-          // Optionally add an HMAC signature to prevent tampering
-          if (options.hmacKey) {
-            hmac = crypto.createHmac(options.hmacAlgorithm, options.hmacKey);
-            hmac.setEncoding('base64');
-            hmac.write(encodedData);
-            hmac.end();
-            encodedData += ('$' + hmac.read());
-          }
-        } catch (e) {
-          err = e;
+          index = deterministic.blindIndex(derivedKey, value, bits, options.name);
+        } finally {
+          secrets.wipe(derivedKey);
         }
       }
-      callback(err, encodedData);
+      callback(err, index);
     });
-  } catch (e) {
-    err = e;
+  });
+};
+
+/**
+ * Encrypt fields of a JSON document
+ *
+ * Each value is serialized as JSON with the path of its field before it is encrypted, so it keeps its type and
+ * can only be decrypted in the same field. Array elements are bound to the path of the array, not their position.
+ *
+ * @param document {{}|Array} The document. It is not changed.
+ * @param paths {string|string[]} Dotted or JSONPath-style paths of the fields, e.g. 'user.ssn' or
+ *                                '$.accounts[*].token'. `*` matches every array element or object property.
+ *                                Fields that don't exist are skipped.
+ * @param [options] {{}} The options accepted by `encrypt`
+ * @param [callback] {function(Error, {}|Array)} Returns a copy of the document with the fields encrypted
+ * @returns {Promise<{}|Array>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} The document or a path is invalid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.encryptFields = function (document, paths, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    fields.encryptFields(self, document, paths, options || {}, callback);
+  });
+};
+
+/**
+ * Decrypt fields of a JSON document encrypted by `encryptFields`
+ *
+ * @param document {{}|Array} The document. It is not changed.
+ * @param paths {string|string[]} The paths used to encrypt the fields
+ * @param [options] {{}} The options accepted by `decrypt`
+ * @param [callback] {function(Error, {}|Array)} Returns a copy of the document with the fields decrypted
+ * @returns {Promise<{}|Array>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} The document or a path is invalid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.decryptFields = function (document, paths, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    fields.decryptFields(self, document, paths, options || {}, callback);
+  });
+};
+
+/**
+ * Encrypt the values of a `.env` or JSON config file
+ *
+ * The names stay readable and each value is encrypted with its name, like a field of `encryptFields`, so a value
+ * copied to another entry fails to decrypt. Values that are already encrypted are kept. In `.env` files, encrypted
+ * values are single-quoted and the rest of the file is unchanged. In JSON files, only string values are encrypted.
+ *
+ * @param text {string} The contents of the file
+ * @param [options] {{}}
+ * @param [options.type] {string} 'env' or 'json'. Default: 'env'
+ * @param [options.exclude] {string[]} The names (or JSON paths, e.g. 'db.host') of the values to keep in plain text
+ * @param [callback] {function(Error, string)} Returns the contents of the encrypted file
+ * @returns {Promise<string>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} The file or `options.type` is not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.encryptConfig = function (text, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    config.encryptConfig(self, text, options || {}, callback);
+  });
+};
+
+/**
+ * Decrypt the values of a config file encrypted by `encryptConfig`
+ *
+ * Every value is decrypted, even after one fails, and the error reports all the entries that failed. A value in
+ * plain text fails with a `KripkeIntegrityError`, unless it is excluded, so a value that replaced an encrypted one
+ * isn't used.
+ *
+ * @param text {string} The contents of the file
+ * @param [options] {{}}
+ * @param [options.type] {string} 'env' or 'json'. Default: 'env'
+ * @param [options.exclude] {string[]} The names (or JSON paths) of the values that are kept in plain text, as passed
+ *                                     to `encryptConfig`
+ * @param [options.strict] {boolean} Set to `false` to return every value in plain text as it is. Default: true
+ * @param [callback] {function(Error, {})} Returns the values by name, or the decrypted JSON document. A
+ *                                         `KripkeError` has the entries that failed as `failures`:
+ *                                         `[{name, line, error}]`. For JSON, `name` is the path of the value and
+ *                                         there is no `line`.
+ * @returns {Promise<{}>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} The file or `options.type` is not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.decryptConfig = function (text, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
   }
-  if (err) {
-    callback(err);
+  return async.withCallback(callback, function (callback) {
+    config.decryptConfig(self, text, options || {}, callback);
+  });
+};
+
+/**
+ * Encrypt a batch of records on worker threads
+ *
+ * The records are split evenly between the workers (see `options.workers`) and each worker derives its keys on
+ * its own thread. Use it for large batches, where deriving keys would otherwise queue up on libuv's threadpool.
+ * KEK providers can't be sent to a worker thread, so with `options.kek` or `options.keks` the records are
+ * processed on the calling thread.
+ *
+ * @param plainTexts {Array<string|Buffer>} The plain text records
+ * @param [options] {{}} The options accepted by `encrypt`
+ * @param [callback] {function(Error, Array<string|Buffer>)} Returns the encoded records in the same order.
+ *                                                          An error has the position of the record as `index`.
+ * @returns {Promise<Array<string|Buffer>>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `plainTexts` is not an array. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.encryptMany = function (plainTexts, options, callback) {
+  return runMany(this, 'encrypt', plainTexts, options, callback);
+};
+
+/**
+ * Decrypt a batch of records on worker threads
+ *
+ * @param encodedTexts {Array<string|Buffer>} The encoded records
+ * @param [options] {{}} The options accepted by `decrypt`
+ * @param [callback] {function(Error, Array<string|Buffer>)} Returns the decrypted records in the same order.
+ *                                                          An error has the position of the record as `index`.
+ * @returns {Promise<Array<string|Buffer>>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedTexts` is not an array. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.decryptMany = function (encodedTexts, options, callback) {
+  return runMany(this, 'decrypt', encodedTexts, options, callback);
+};
+
+/**
+ * Stop the worker threads started by `encryptMany` and `decryptMany`
+ *
+ * Idle workers don't keep the process running, so this is only needed to free their resources.
+ * They are started again if needed.
+ *
+ * @param [callback] {function(Error)}
+ * @returns {Promise|undefined} Returns a Promise if there is no `callback`
+ */
+Kripke.prototype.closeWorkers = function (callback) {
+  var self = this;
+  return async.withCallback(callback, function (callback) {
+    var pool = self.workerPool();
+    if (!pool) {
+      return setImmediate(callback, null);
+    }
+    pool.close(callback);
+  });
+};
+
+/**
+ * Create a Transform stream that encrypts everything written to it
+ *
+ * The output is binary. It starts with a header containing the encryption parameters, salt and iv, followed by
+ * the encrypted data and ends with an HMAC signature. If there is no `hmacKey`, the encryption and HMAC keys
+ * are derived from `key` as with `options.deriveHmacKey`.
+ *
+ * @returns {stream.Transform}
+ */
+Kripke.prototype.createEncryptStream = function () {
+  var params = encryptionParams(this);
+  if (!this.createHmac()) {
+    params.subkeys = 'hkdf';
   }
+  return new stream.EncryptStream(this, params);
+};
+
+/**
+ * Create a Transform stream that decrypts the output of a stream created by `createEncryptStream`
+ *
+ * The HMAC signature is verified when the input ends. The stream emits an error instead of ending
+ * if verification fails, so the decrypted data must not be trusted until the stream has ended.
+ *
+ * @returns {stream.Transform}
+ */
+Kripke.prototype.createDecryptStream = function () {
+  return new stream.DecryptStream(this);
+};
+
+/**
+ * Create a Transform stream that encrypts everything written to it in the chunked container format
+ *
+ * The key is derived once and the data is split into chunks that are each encrypted and authenticated, so
+ * `openContainer` can decrypt a byte range without reading the whole container (see lib/container.js).
+ * The encryption and HMAC keys are always derived from `key`, as with `options.deriveHmacKey`.
+ *
+ * @param [options] {{}}
+ * @param [options.chunkSize] {number} The size in bytes of the plain text of each chunk. Default: 65536
+ * @returns {stream.Transform}
+ * @throws {KripkeArgumentError} The chunk size is not valid
+ * @throws {KripkeKeyError} There is no `key`
+ */
+Kripke.prototype.createContainerStream = function (options) {
+  var params = encryptionParams(this), chunkSize = options && options.chunkSize;
+  if (chunkSize === undefined || chunkSize === null) {
+    chunkSize = container.DEFAULT_CHUNK_SIZE;
+  } else if (!container.isChunkSize(chunkSize)) {
+    throw new errors.KripkeArgumentError('Invalid chunkSize');
+  }
+  params.subkeys = 'hkdf';
+  params.mode = 'chunked';
+  params.chunkSize = chunkSize;
+  return new container.ContainerStream(this, params);
+};
+
+/**
+ * Open a file written by a stream created by `createContainerStream`, to decrypt byte ranges of it
+ *
+ * The last chunk is verified to find the size of the data, so a truncated container fails to open. Every chunk
+ * that is read is verified.
+ *
+ * @param handle {number|FileHandle} A file descriptor (e.g. from `fs.openSync`) or a `fs.promises` FileHandle.
+ *                                   It is not closed.
+ * @param [callback] {function(Error, Container)} Returns the container, which has the `size` of the decrypted data
+ *                                                and `read([start], [end], [callback])` to decrypt a range of it
+ * @returns {Promise<Container>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `handle` is not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.openContainer = function (handle, callback) {
+  var self = this;
+  return async.withCallback(callback, function (callback) {
+    if (typeof handle !== 'number' && !(handle && typeof handle.read === 'function')) {
+      throw new errors.KripkeArgumentError('Invalid file handle');
+    }
+    container.open(self, handle, callback);
+  });
+};
+
+/**
+ * Show the settings of the instance with `util.inspect` (e.g. `console.log`). The keys are never shown.
+ *
+ * @param depth {number}
+ * @param inspectOptions {{}}
+ * @returns {string}
+ */
+Kripke.prototype[util.inspect.custom] = function (depth, inspectOptions) {
+  return 'Kripke ' + util.inspect(settings(this), inspectOptions);
+};
+
+/**
+ * Serialize the settings of the instance with `JSON.stringify`. The keys are never serialized.
+ *
+ * @returns {{}}
+ */
+Kripke.prototype.toJSON = function () {
+  return settings(this);
+};
+
+/**
+ * Encrypt a plain text payload
+ *
+ * @static
+ * @param plainText {string|Buffer} Plain text to be encrypted
+ * @param options {{}} The same options accepted by the constructor
+ * @param options.key {string|Buffer} The secret key from which to derive the encryption key
+ * @param [options.hmacKey] {string|Buffer} A secret key to use to sign the encoded data
+ * @param [options.algorithm] {string} Name of the encryption algorithm to use. Default: 'AES-256-CBC'
+ * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use. Default: 'SHA256'
+ * @param [options.iterations] {number} The number of iterations used to generate the derived key. Default: 2^17
+ * @param [options.keyLength] {number} The number of bits for the key. Must be 128, 192, or 256. Default: 256
+ * @param [options.output] {string} The format of the encoded data. See `Kripke#encrypt`
+ * @param [options.aad] {string|Buffer} Associated data that must be passed to `decrypt`. See `Kripke#encrypt`
+ * @param [callback] {nodeCallback} Returns the encoded data with the encryption parameters,
+ *                                  encrypted data, iv, salt and optional HMAC signature
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} `options.key` is not provided or `plainText` is not valid.
+ *                     Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.encrypt = function (plainText, options, callback) {
+  return async.withCallback(callback, function (callback) {
+    new Kripke(options).encrypt(plainText, options, callback);
+  });
 };
 
 /**
  * Decrypt data that was encoded with the `encrypt` function
  *
  * @static
- * @param encodedText {string} Encrypted text as a $ delimited string
- * @param options {{}}}
+ * @param encodedText {string|Buffer} Data in any of the `encrypt` output formats
+ * @param options {{}} The same options accepted by the constructor.
+ *                     Only `key` and `hmacKey` are needed unless `encodedText` is a legacy string without parameters.
  * @param options.key {string|Buffer} The secret key from which to derive the encryption key
  * @param [options.hmacKey] {string|Buffer} A secret key to use to sign the encoded data
  * @param [options.algorithm] {string} Name of the encryption algorithm to use. Default: 'AES-256-CBC'
  * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use. Default: 'SHA256'
  * @param [options.iterations] {number} The number of iterations used to generate the derived key. Default: 2^17
- * @param callback {nodeCallback} Returns the decrypted data as a utf8 string
- * @throws Error If no callback is provided
+ * @param [options.keyLength] {number} The number of bits for the key. Must be 128, 192, or 256. Default: 256
+ * @param [options.output] {string} 'buffer' to return the decrypted data as a Buffer. Default: 'string'
+ * @param [options.encoding] {string} The encoding of the returned string. Default: 'utf8'
+ * @param [options.aad] {string|Buffer} The associated data passed to `encrypt`
+ * @param [callback] {nodeCallback} Returns the decrypted data
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} `options.key` is not provided or `encodedText` is not valid.
+ *                     Passed to `callback` instead, or rejects the Promise.
  */
 Kripke.decrypt = function (encodedText, options, callback) {
-  var cipherValues, hmac, decipher, iv, salt, err;
-  if (typeof callback !== 'function') {
-    throw new Error('No callback provided');
+  return async.withCallback(callback, function (callback) {
+    new Kripke(options).decrypt(encodedText, options, callback);
+  });
+};
+
+/**
+ * Encrypt a plain text payload for the holders of the private keys of one or more public keys
+ *
+ * No secret is needed to encrypt. The data is decrypted by an instance created with one of the private keys
+ * as `options.privateKey`.
+ *
+ * @static
+ * @param plainText {string|Buffer} Plain text to be encrypted
+ * @param recipients {string|Buffer|KeyObject|Array} The public keys (RSA, EC, X25519 or X448) of the recipients
+ * @param [options] {{}}
+ * @param [options.algorithm] {string} Name of the encryption algorithm to use. Default: 'AES-256-CBC'
+ * @param [options.hmacAlgorithm] {string} Name of the hash algorithm to use. Default: 'SHA256'
+ * @param [options.keyLength] {number} The number of bits for the data key. Must be 128, 192, or 256. Default: 256
+ * @param [options.output] {string} The format of the encoded data. See `Kripke#encrypt`
+ * @param [options.aad] {string|Buffer} Associated data that must be passed to `decrypt`. See `Kripke#encrypt`
+ * @param [callback] {nodeCallback} Returns the encoded data with the encryption parameters, the wrapped data key
+ *                                  of each recipient, encrypted data, iv, salt and HMAC signature
+ * @returns {Promise<string|Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} A public key is invalid or `plainText` is not valid.
+ *                     Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.encryptFor = function (plainText, recipients, options, callback) {
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
   }
-  if (!encodedText || typeof encodedText !== 'string') {
-    throw new TypeError('Invalid cipher text');
+  return async.withCallback(callback, function (callback) {
+    new Kripke(Object.assign({}, options, { recipients: recipients })).encrypt(plainText, options, callback);
+  });
+};
+
+/**
+ * Decrypt a `.env` or JSON config file encrypted by `encryptConfig` into the environment
+ *
+ * Nothing is set unless every value decrypts. Variables that are already set are kept, unless `options.override`.
+ * Of a JSON file, only the top-level values that are not objects or arrays are set.
+ *
+ * @static
+ * @param path {string} The file. Files ending in `.json` are JSON, others are `.env` files.
+ * @param options {{}} The options accepted by the constructor
+ * @param [options.type] {string} 'env' or 'json', to ignore the file name
+ * @param [options.env] {{}|boolean} The object to set the values in, or `false` to only return them.
+ *                                   Default: `process.env`
+ * @param [options.override] {boolean} Replace variables that are already set. Default: false
+ * @param [options.exclude] {string[]} The names (or JSON paths) of the values that are kept in plain text
+ * @param [options.strict] {boolean} Set to `false` to accept every value in plain text. Default: true
+ * @param [callback] {function(Error, {})} Returns the decrypted values by name, or the JSON document. See
+ *                                         `Kripke#decryptConfig` for the entries that failed.
+ * @returns {Promise<{}>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} The options are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.loadEnv = function (path, options, callback) {
+  return async.withCallback(callback, function (callback) {
+    config.loadEnv(new Kripke(options), path, options, callback);
+  });
+};
+
+/**
+ * Split a key into shares with Shamir's secret sharing, so that any `threshold` of them recover the key and fewer
+ * reveal nothing about it
+ *
+ * @static
+ * @param key {string|Buffer} The key. Strings are split as utf8.
+ * @param options {{}}
+ * @param options.shares {number} The number of shares, from 2 to 255
+ * @param options.threshold {number} The number of shares needed to recover the key, from 2 to `shares`
+ * @returns {string[]} The shares, encoded with a checksum (see lib/shamir.js)
+ * @throws {KripkeError} There is no `key` or the options are not valid
+ */
+Kripke.splitKey = function (key, options) {
+  return shamir.split(key, options);
+};
+
+/**
+ * Recover a key from the shares made by `splitKey`
+ *
+ * @static
+ * @param shares {string[]} At least `threshold` of the shares, in any order
+ * @returns {Buffer} The key. A key that was a string is recovered as its utf8 bytes, which derive the same keys.
+ * @throws {KripkeFormatError} A share is malformed or the shares are from different keys
+ * @throws {KripkeKeyError} There are fewer shares than the threshold
+ */
+Kripke.combineShares = function (shares) {
+  return shamir.combine(shares);
+};
+
+/**
+ * Check that the data passed to `decrypt` could be encoded data
+ *
+ * @param encodedText {*}
+ * @returns {boolean}
+ */
+function isEncodedText(encodedText) {
+  return (typeof encodedText === 'string' || Buffer.isBuffer(encodedText)) && encodedText.length > 0;
+}
+
+/**
+ * Get the associated data from the options of `encrypt` or `decrypt`
+ *
+ * @param options {{}}
+ * @returns {Buffer|undefined}
+ * @throws {KripkeArgumentError} `options.aad` is not a string or Buffer
+ */
+function associatedData(options) {
+  var aad = bytes.toBuffer(options.aad);
+  if (aad === undefined || aad === null) {
+    return undefined;
+  }
+  if (typeof aad === 'string') {
+    aad = Buffer.from(aad);
+  } else if (!Buffer.isBuffer(aad)) {
+    throw new errors.KripkeArgumentError('Invalid "aad"');
+  }
+  return aad.length ? aad : undefined;
+}
+
+/**
+ * Encrypt data with the instance key
+ *
+ * @param kripke {Kripke}
+ * @param plainText {string|Buffer}
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @param callback {nodeCallback}
+ * @param [expiry] {{issuedAt: number, expiresAt: number}} The times to record instead of `options.ttl`, to keep the
+ *                                                         expiry of re-encrypted data
+ */
+function encryptData(kripke, plainText, options, callback, expiry) {
+  var params, aad = associatedData(options), compress = options.compress === undefined ? kripke.compress :
+    options.compress;
+  if (!plainText || plainText.length === 0) {
+    throw new errors.KripkeArgumentError('Invalid plain text data');
+  }
+  if (options.output && outputFormats.indexOf(options.output) === -1) {
+    throw new errors.KripkeArgumentError('Invalid output "' + options.output + '"');
   }
-  if (!options.key) {
-    throw new TypeError('You must provide a "key"');
+  if (options.output === 'jwe') {
+    if (expiry) {
+      throw new errors.KripkeArgumentError('JWE does not support "ttl"');
+    }
+    return jwe.encrypt(kripke, plainText, options, callback);
   }
-  options.algorithm = options.algorithm || 'AES-256-CBC';
-  options.hmacAlgorithm = options.hmacAlgorithm || 'SHA256';
-  options.iterations = options.iterations || defaultIterations;
 
-  // Get iv and salt from the $ delimited cipherText
-  cipherValues = encodedText.split("$");
-  iv = new Buffer(cipherValues[1], 'base64');
-  salt = new Buffer(cipherValues[2], 'base64');
+  if (options.ttl !== undefined && !(typeof options.ttl === 'number' && options.ttl > 0 && isFinite(options.ttl))) {
+    throw new errors.KripkeArgumentError('Invalid ttl');
+  }
+  if (compress) {
+    compression.validate(compress);
+  }
 
-  // Verify the HMAC signature if one is expected
-  if (options.hmacKey || cipherValues.length === 4) {
-    if (!options.hmacKey) {
-      err = new TypeError('An "hmacKey" is required to verify the HMAC signature of the cipher text');
-    } else if (cipherValues.length < 4) {
-      err = new TypeError('An "hmacKey" was provided but the cipher text does not include an HMAC signature');
+  params = encryptionParams(kripke, kripke.recipients ? 'pk' : kripke.kekId && 'kek');
+  if (options.deterministic) {
+    if (params.wrapped) {
+      throw new errors.KripkeArgumentError('Deterministic encryption requires a "key"');
     }
+    // The iv is synthesized from the HMAC subkey, so it is never the encryption key
+    params.subkeys = 'hkdf';
+    params.mode = 'siv';
+  }
+  if (options.ttl) {
+    params.issuedAt = Math.floor(kripke.clock() / 1000);
+    params.expiresAt = params.issuedAt + Math.ceil(options.ttl);
+  } else if (expiry) {
+    params.issuedAt = expiry.issuedAt;
+    params.expiresAt = expiry.expiresAt;
+  }
+  // Associated data and timestamps can't be trusted unless the data is authenticated
+  if ((aad || params.expiresAt !== undefined) && !cipher.isAead(kripke.algorithm) && !params.subkeys &&
+    !kripke.createHmac()) {
+    throw new errors.KripkeArgumentError((aad ? 'Associated data' : 'A TTL') +
+      ' requires an AEAD algorithm or an HMAC signature');
+  }
 
-    if (!err) {
+  if (compress && Buffer.byteLength(plainText) >= kripke.compressThreshold) {
+    return compression.compress(compress, plainText, function (err, compressed) {
+      if (err) { return callback(err); }
+      // Only record the compression if the data got smaller
+      if (compressed) {
+        plainText = compressed;
+        params.compression = compress;
+      }
       try {
-        hmac = crypto.createHmac(options.hmacAlgorithm, options.hmacKey);
-        hmac.write(encodedText.substr(0, encodedText.lastIndexOf('$')));
-        hmac.end();
-        if (!compareBuffers(hmac.read(), new Buffer(cipherValues[3], 'base64'))) {
-          err = new Error('HMAC signature verification failed');
+        encrypt();
+      } catch (e) {
+        callback(e);
+      }
+    });
+  }
+  encrypt();
+
+  function encrypt() {
+    generateKey(kripke, params, encrypted);
+  }
+
+  function encrypted(err, derivedKey, salt, wrapped) {
+    var keys, iv, cipherText, encodedData, hmac;
+
+    if (derivedKey && salt) {
+      try {
+        keys = params.subkeys ? kdf.subkeys(derivedKey, salt, params) : { encryptionKey: derivedKey };
+        if (params.mode === 'siv') {
+          iv = deterministic.syntheticIv(params.hmacAlgorithm, keys.hmacKey, format.withAad(format.header(params), aad),
+            plainText, cipher.ivLength(kripke.algorithm));
+        } else {
+          iv = crypto.randomBytes(cipher.ivLength(kripke.algorithm));
+        }
+        // Encrypt the plain text using the derived key, authenticating the header and aad for AEAD ciphers
+        cipherText = cipher.encrypt(kripke.algorithm, keys.encryptionKey, iv, plainText,
+          format.withAad(format.header(params), aad));
+        // Record the parameters with the iv and salt so it can be decrypted later without the same options
+        encodedData = format.format(params, cipherText, iv, salt);
+        if (keys.hmacKey) {
+          hmac = crypto.createHmac(params.hmacAlgorithm, keys.hmacKey).update(format.withAad(encodedData, aad))
+            .digest('base64');
+          // The wrapped data key is not signed so it can be rewrapped. Changing it changes the keys.
+          encodedData = format.format(params, cipherText, iv, salt, wrapped) + '$' + hmac;
+        } else {
+          encodedData = kripke.sign(encodedData, aad);
+        }
+        if (options.output === 'buffer') {
+          encodedData = format.toBinary(format.parse(encodedData));
+        } else if (options.output === 'base64url') {
+          encodedData = format.toBinary(format.parse(encodedData)).toString('base64url');
         }
       } catch (e) {
         err = e;
       }
+      secrets.wipe(derivedKey, keys && keys.encryptionKey, keys && keys.hmacKey);
     }
+    callback(err, encodedData);
   }
+}
 
-  // Decrypt the payload using the derived key
-  if (!err) {
-    crypto.pbkdf2(options.key, salt, options.iterations, 32, options.hmacAlgorithm, function (err, derivedKey) {
-      var decipheredText;
+/**
+ * Verify and decrypt encoded data
+ *
+ * @param kripke {Kripke}
+ * @param encodedText {string|Buffer}
+ * @param [aad] {Buffer} The associated data the data was encrypted with
+ * @param callback {function} Returns the decrypted data as a Buffer and the parameters recorded in the data
+ */
+function decryptData(kripke, encodedText, aad, callback) {
+  var envelope, algorithm, err;
+  try {
+    if (jwe.isJwe(encodedText)) {
+      if (aad) {
+        throw new errors.KripkeArgumentError('JWE does not support "aad"');
+      }
+      return jwe.decrypt(kripke, encodedText, function (err, plainText) {
+        callback(err, plainText, {});
+      });
+    }
+    envelope = format.parse(encodedText);
+    algorithm = envelope.params.algorithm || kripke.algorithm;
+    cipher.checkAllowed(algorithm, kripke.decryptAlgorithms);
+    if (aad && !envelope.hmac && !cipher.isAead(algorithm)) {
+      throw new errors.KripkeArgumentError('Associated data requires an AEAD algorithm or an HMAC signature');
+    }
+    // Data the instance encrypts is authenticated, so unsigned data with another cipher is treated as tampered.
+    // The times of data with a TTL are only trusted once the header is authenticated by the tag or signature.
+    if (!cipher.isAead(algorithm) && !envelope.hmac && (cipher.isAead(kripke.algorithm) ||
+      envelope.params.issuedAt !== undefined || envelope.params.expiresAt !== undefined)) {
+      throw errors.integrityError();
+    }
+    // Verify the HMAC signature if one is expected. A derived HMAC key is verified once it has been derived.
+    if (envelope.params.subkeys || envelope.params.wrapped || envelope.params.mode) {
+      if (!envelope.hmac || !envelope.params.subkeys || (envelope.params.mode && envelope.params.mode !== 'siv')) {
+        err = new errors.KripkeFormatError('Encoded text is invalid');
+      }
+    } else if (kripke.deriveHmacKey) {
+      // Data encrypted with `deriveHmacKey` is always signed with a derived HMAC key
+      err = errors.integrityError();
+    } else if (!kripke.verify(encodedText, aad)) {
+      err = errors.integrityError();
+    }
+  } catch (e) {
+    err = e;
+  }
+  if (err) { return callback(err); }
+
+  try {
+    recoverKey(kripke, envelope, function (err, derivedKey) {
+      var params = envelope.params, keys, hmac, plainText;
       if (derivedKey) {
         try {
-          decipher = crypto.createDecipheriv(options.algorithm, derivedKey, iv);
-          decipher.setEncoding('utf8');
-          decipher.write(cipherValues[0], 'base64');
-          decipher.end();
-          decipheredText = decipher.read();
+          keys = params.subkeys ? kdf.subkeys(derivedKey, envelope.salt, params) : { encryptionKey: derivedKey };
+          if (keys.hmacKey) {
+            hmac = crypto.createHmac(params.hmacAlgorithm, keys.hmacKey)
+              .update(format.withAad(envelope.signedData, aad)).digest();
+            if (!cipher.compareBuffers(hmac, envelope.hmac)) {
+              throw errors.integrityError();
+            }
+          }
+          plainText = cipher.decrypt(algorithm, keys.encryptionKey, envelope.iv,
+            envelope.cipherText, format.withAad(envelope.header || '', aad));
+          // The synthetic iv of deterministic encryption also authenticates the plain text
+          if (params.mode === 'siv' && !cipher.compareBuffers(envelope.iv, deterministic.syntheticIv(
+            params.hmacAlgorithm, keys.hmacKey, format.withAad(envelope.header, aad), plainText, envelope.iv.length))) {
+            throw errors.integrityError();
+          }
         } catch (e) {
           err = e;
         }
+        secrets.wipe(derivedKey, keys && keys.encryptionKey, keys && keys.hmacKey);
+      }
+      if (err || !params.compression) {
+        return callback(err, plainText, params);
       }
-      callback(err, decipheredText);
+      // Decompress only once the data is verified
+      compression.decompress(params.compression, plainText, kripke.maxDecompressedSize, function (err, decompressed) {
+        callback(err, decompressed, params);
+      });
     });
+  } catch (e) {
+    callback(e);
   }
-  if (err) {
-    callback(err);
+}
+
+/**
+ * Get a key to encrypt data with: a new data key wrapped by the KEK in envelope mode, otherwise a derived key
+ *
+ * @param kripke {Kripke}
+ * @param params {{}} The encryption parameters
+ * @param callback {function(Error, Buffer, Buffer, wrappedKey)} Returns the key, the salt and the wrapped data key
+ */
+function generateKey(kripke, params, callback) {
+  var dataKey;
+  if (!params.wrapped) {
+    return kripke.generateDerivedKey(params.mode === 'siv' ? deterministic.SALT : null, params, callback);
   }
-};
+  dataKey = crypto.randomBytes(params.keyLength / 8);
+  kripke.wrapDataKey(dataKey, function (err, wrapped) {
+    if (err) {
+      dataKey.fill(0);
+      return callback(err);
+    }
+    callback(null, dataKey, crypto.randomBytes(16), wrapped);
+  });
+}
+
+/**
+ * Get the key that encrypted a parsed envelope: its unwrapped data key or the key derived from its salt
+ *
+ * @param kripke {Kripke}
+ * @param envelope {parsedEnvelope}
+ * @param callback {function(Error, Buffer)}
+ */
+function recoverKey(kripke, envelope, callback) {
+  if (!envelope.params.wrapped) {
+    return kripke.generateDerivedKey(envelope.salt, envelope.params, callback);
+  }
+  kripke.unwrapDataKey(envelope.recipients || envelope, callback);
+}
+
+/**
+ * Check the times recorded in the parameters of verified data with a TTL
+ *
+ * @param kripke {Kripke}
+ * @param params {{}}
+ * @returns {KripkeExpiredError|null} Returns an error if the data has expired or was issued in the future
+ */
+function checkExpiry(kripke, params) {
+  var now = kripke.clock() / 1000;
+  if (params.expiresAt !== undefined && now > params.expiresAt + kripke.clockSkew) {
+    return new errors.KripkeExpiredError('The data expired at ' + new Date(params.expiresAt * 1000).toISOString());
+  }
+  if (params.issuedAt !== undefined && now < params.issuedAt - kripke.clockSkew) {
+    return new errors.KripkeExpiredError('The data was issued in the future');
+  }
+  return null;
+}
+
+/**
+ * Encrypt or decrypt a batch of records on the worker pool, or on this thread if there is no pool
+ *
+ * @param kripke {Kripke}
+ * @param method {string} 'encrypt' or 'decrypt'
+ * @param records {Array<string|Buffer>}
+ * @param [options] {{}}
+ * @param [callback] {function}
+ * @returns {Promise|undefined}
+ */
+function runMany(kripke, method, records, options, callback) {
+  var pool;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    if (!Array.isArray(records)) {
+      throw new errors.KripkeArgumentError('Records must be an array');
+    }
+    pool = kripke.workerPool();
+    if (pool) {
+      return pool.run(method, records, options || {}, callback);
+    }
+    Promise.all(records.map(function (record, i) {
+      return kripke[method](record, options || {}).catch(function (err) {
+        err.index = i;
+        throw err;
+      });
+    })).then(function (results) {
+      callback(null, results);
+    }, callback);
+  });
+}
 
 /**
- * A constant time compare of two Buffers
+ * Copy the constructor options so they can be sent to a worker thread
  *
- * @param buffer1 {Buffer}
- * @param buffer2 {Buffer}
- * @returns {boolean} Returns `true` only if the contents of the Buffers are identical
+ * @param options {{}}
+ * @returns {{}} The options without functions or KEK providers
  */
-function compareBuffers(buffer1, buffer2) {
-  if (!(Buffer.isBuffer(buffer1) || Buffer.isBuffer(buffer2))) { return false; }
-  if (buffer1.length !== buffer2.length) { return false; }
+function cloneableOptions(options) {
+  var copy = {};
+  Object.keys(options).forEach(function (name) {
+    if (typeof options[name] !== 'function' && name !== 'kek' && name !== 'keks') {
+      copy[name] = options[name];
+    }
+  });
+  return copy;
+}
 
-  var i = 0, val = 0;
-  for (; i < buffer1.length; i++) {
-    val |= buffer1[i] ^ buffer2[i]; // XOR
+/**
+ * Get the settings of an instance: its properties that are not methods. The keys are only held in its closure.
+ *
+ * @param kripke {Kripke}
+ * @returns {{}}
+ */
+function settings(kripke) {
+  var copy = {};
+  Object.keys(kripke).forEach(function (name) {
+    if (typeof kripke[name] !== 'function') {
+      copy[name] = kripke[name];
+    }
+  });
+  return copy;
+}
+
+/**
+ * Get the parameters to record with data encrypted by the instance
+ *
+ * @param kripke {Kripke}
+ * @param [wrapped] {string} How the data key is wrapped with envelope encryption: 'kek' or 'pk' (for public keys)
+ * @returns {{}}
+ */
+function encryptionParams(kripke, wrapped) {
+  var params;
+  if (wrapped) {
+    // The HMAC key is always derived from the data key
+    return {
+      wrapped: wrapped,
+      algorithm: kripke.algorithm.toLowerCase(),
+      keyLength: kripke.keyLength,
+      subkeys: 'hkdf',
+      hmacAlgorithm: kripke.hmacAlgorithm.toLowerCase()
+    };
   }
-  return val === 0;
+  params = {
+    keyId: kripke.keyId,
+    algorithm: kripke.algorithm.toLowerCase(),
+    kdf: kripke.kdf,
+    keyLength: kripke.keyLength,
+    subkeys: kripke.deriveHmacKey ? 'hkdf' : undefined,
+    hmacAlgorithm: kripke.hmacAlgorithm.toLowerCase()
+  };
+  // Only record the parameters used by the key derivation function
+  kdf.paramNames(kripke.kdf).forEach(function (name) {
+    params[name] = name === 'digest' ? kripke.digest.toLowerCase() : kripke[name];
+  });
+  return params;
 }
 
+Kripke.LocalKekProvider = kek.LocalKekProvider;
+Kripke.KripkeError = errors.KripkeError;
+Kripke.KripkeArgumentError = errors.KripkeArgumentError;
+Kripke.KripkeFormatError = errors.KripkeFormatError;
+Kripke.KripkeKeyError = errors.KripkeKeyError;
+Kripke.KripkeIntegrityError = errors.KripkeIntegrityError;
+Kripke.KripkeExpiredError = errors.KripkeExpiredError;
+
 module.exports = Kripke;
@@ -0,0 +1,83 @@
+"use strict";
+/**
+ * Helpers to offer Promise and async iterable APIs alongside callbacks
+ */
+var errors = require('./errors');
+
+/**
+ * Call `fn` with `callback`, or if `callback` isn't a function, with a callback that settles a Promise
+ *
+ * Errors thrown by `fn` (e.g. invalid arguments) are passed to `callback` asynchronously, or reject the Promise, so
+ * every error is reported the same way.
+ *
+ * @param callback {function|undefined}
+ * @param fn {function(function)} Receives the callback to call with `(err, result)`
+ * @returns {Promise|undefined} Returns a Promise if there is no `callback`
+ */
+function withCallback(callback, fn) {
+  var called = false;
+  if (typeof callback === 'function') {
+    try {
+      fn(function () {
+        called = true;
+        callback.apply(null, arguments);
+      });
+    } catch (e) {
+      // An error thrown by the callback itself isn't passed back to it
+      if (called) { throw e; }
+      setImmediate(callback, e);
+    }
+    return;
+  }
+  return new Promise(function (resolve, reject) {
+    fn(function (err, result) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Map each value of an iterable through an async function, one at a time and in order
+ *
+ * @param iterable {Iterable|AsyncIterable}
+ * @param fn {function(*): Promise} Returns a Promise for the mapped value
+ * @returns {AsyncIterable} Iteration stops with the error of the first value that fails
+ * @throws {KripkeArgumentError} `iterable` is not iterable
+ */
+function mapIterable(iterable, fn) {
+  var iterator, mapped;
+  if (iterable && typeof iterable[Symbol.asyncIterator] === 'function') {
+    iterator = iterable[Symbol.asyncIterator]();
+  } else if (iterable && typeof iterable[Symbol.iterator] === 'function') {
+    iterator = iterable[Symbol.iterator]();
+  } else {
+    throw new errors.KripkeArgumentError('Records must be iterable');
+  }
+
+  mapped = {
+    next: function () {
+      return Promise.resolve(iterator.next()).then(function (step) {
+        if (step.done) { return step; }
+        return Promise.resolve(step.value).then(fn).then(function (value) {
+          return { done: false, value: value };
+        });
+      });
+    },
+    return: function (value) {
+      return Promise.resolve(typeof iterator.return === 'function' && iterator.return()).then(function () {
+        return { done: true, value: value };
+      });
+    }
+  };
+  mapped[Symbol.asyncIterator] = function () { return mapped; };
+  return mapped;
+}
+
+module.exports = {
+  withCallback: withCallback,
+  mapIterable: mapIterable
+};
@@ -0,0 +1,22 @@
+"use strict";
+/**
+ * Buffer helpers of the Node build (the WebCrypto build uses lib/web/bytes.js)
+ */
+
+/**
+ * Get a Buffer that shares the memory of a Uint8Array. Buffers sent to a worker thread, and those returned by some
+ * KEK provider SDKs, arrive as plain Uint8Arrays.
+ *
+ * @param value {*}
+ * @returns {*} A Buffer for a Uint8Array, or `value` as it is
+ */
+function toBuffer(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.length);
+  }
+  return value;
+}
+
+module.exports = {
+  toBuffer: toBuffer
+};
@@ -0,0 +1,114 @@
+"use strict";
+/**
+ * A bounded LRU cache of derived keys
+ *
+ * Keys are zero-filled when they are evicted or the cache is cleared, so they don't linger in memory.
+ */
+
+/**
+ * @param max {number} The maximum number of keys to keep, not counting pinned keys
+ * @constructor
+ */
+function KeyCache(max) {
+  this.max = max;
+  this.entries = new Map();
+  this.pending = new Map();
+}
+
+/**
+ * Get a key and mark it as the most recently used
+ *
+ * @param id {string}
+ * @returns {Buffer|undefined}
+ */
+KeyCache.prototype.get = function (id) {
+  var entry = this.entries.get(id);
+  if (entry) {
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    return entry.key;
+  }
+};
+
+/**
+ * Add a key, evicting the least recently used keys if the cache is full
+ *
+ * @param id {string}
+ * @param key {Buffer}
+ * @param [pinned] {boolean} Pinned keys are never evicted
+ */
+KeyCache.prototype.set = function (id, key, pinned) {
+  var unpinned = 0, self = this;
+  this.entries.set(id, { key: key, pinned: !!pinned });
+  this.entries.forEach(function (entry) {
+    if (!entry.pinned) { unpinned++; }
+  });
+  this.entries.forEach(function (entry, entryId) {
+    if (unpinned > self.max && !entry.pinned) {
+      entry.key.fill(0);
+      self.entries.delete(entryId);
+      unpinned--;
+    }
+  });
+};
+
+/**
+ * Get a key from the cache, or derive and cache it. Concurrent calls for the same `id` share one derivation.
+ *
+ * @param id {string}
+ * @param pinned {boolean} Pin the key once it's derived
+ * @param derive {function(function(Error, Buffer))} Derives the key
+ * @param callback {function(Error, Buffer)} Returns a copy of the key, which the caller may keep or wipe
+ * @throws {Error} The first error thrown by a callback, once every callback was called and the key wiped
+ */
+KeyCache.prototype.derive = function (id, pinned, derive, callback) {
+  var key = this.get(id), waiting, done = false, self = this;
+  if (key) {
+    return setImmediate(callback, null, Buffer.from(key));
+  }
+
+  waiting = this.pending.get(id);
+  if (waiting) {
+    return waiting.push(callback);
+  }
+  this.pending.set(id, [callback]);
+  try {
+    derive(derived);
+  } catch (e) {
+    // An error thrown by a callback is passed on, anything else fails the derivation
+    if (done) { throw e; }
+    derived(e);
+  }
+
+  function derived(err, derivedKey) {
+    var callbacks = self.pending.get(id), failure;
+    if (done) { return; }
+    done = true;
+    self.pending.delete(id);
+    if (derivedKey) {
+      self.set(id, Buffer.from(derivedKey), pinned);
+    }
+    // A callback that throws doesn't keep the others from their key, or the key from being wiped
+    callbacks.forEach(function (callback) {
+      try {
+        callback(err, derivedKey && Buffer.from(derivedKey));
+      } catch (e) {
+        failure = failure || { error: e };
+      }
+    });
+    if (derivedKey) { derivedKey.fill(0); }
+    if (failure) { throw failure.error; }
+  }
+};
+
+/**
+ * Remove and zero-fill every key
+ */
+KeyCache.prototype.clear = function () {
+  this.entries.forEach(function (entry) {
+    entry.key.fill(0);
+  });
+  this.entries.clear();
+};
+
+module.exports = KeyCache;
@@ -0,0 +1,206 @@
+"use strict";
+/**
+ * Helpers shared by the string and stream encryption functions
+ */
+var crypto = require('crypto');
+var errors = require('./errors');
+
+// Length of the authentication tag produced by AEAD ciphers
+var authTagLength = 16;
+// The algorithms data can be encrypted with. Other modes (e.g. CTR) neither authenticate the data nor pad it.
+var ALGORITHMS = ['aes-128-cbc', 'aes-192-cbc', 'aes-256-cbc', 'aes-128-gcm', 'aes-192-gcm', 'aes-256-gcm',
+  'chacha20-poly1305'];
+
+/**
+ * Check if the algorithm is an AEAD cipher, which authenticates the data with its own tag
+ *
+ * @param algorithm {string}
+ * @returns {boolean}
+ */
+function isAead(algorithm) {
+  return /-gcm$|^chacha20-poly1305$/i.test(algorithm);
+}
+
+/**
+ * Check that the algorithm is supported
+ *
+ * @param algorithm {string}
+ * @returns {boolean}
+ */
+function isSupported(algorithm) {
+  return typeof algorithm === 'string' && ALGORITHMS.indexOf(algorithm.toLowerCase()) > -1 &&
+    crypto.getCiphers().indexOf(algorithm.toLowerCase()) > -1;
+}
+
+/**
+ * Check that data may be decrypted with the algorithm recorded in its header. The header is only authenticated
+ * once the data is decrypted, so the algorithm must be checked first.
+ *
+ * @param algorithm {string}
+ * @param [allowed] {string[]} The allowed algorithms, in lower case, or `null` to allow any supported algorithm
+ * @throws {KripkeFormatError} The algorithm is not supported or not allowed
+ */
+function checkAllowed(algorithm, allowed) {
+  if (!isSupported(algorithm)) {
+    throw new errors.KripkeFormatError('Unsupported algorithm "' + algorithm + '"');
+  }
+  if (allowed && allowed.indexOf(String(algorithm).toLowerCase()) === -1) {
+    throw new errors.KripkeFormatError('The algorithm "' + algorithm + '" is not allowed to decrypt');
+  }
+}
+
+/**
+ * Check the name of the encryption algorithm
+ *
+ * @param algorithm {string}
+ * @throws {KripkeArgumentError} The algorithm is not supported
+ */
+function validate(algorithm) {
+  if (!isSupported(algorithm)) {
+    throw new errors.KripkeArgumentError('Unsupported algorithm "' + algorithm + '"');
+  }
+}
+
+/**
+ * Get the number of bytes of the iv (or nonce) for the algorithm
+ *
+ * @param algorithm {string}
+ * @returns {number}
+ */
+function ivLength(algorithm) {
+  return isAead(algorithm) ? 12 : 16;
+}
+
+/**
+ * Create a `Cipher` for the algorithm. AEAD ciphers authenticate `aad` and produce a 16 byte tag.
+ *
+ * @param algorithm {string}
+ * @param key {Buffer}
+ * @param iv {Buffer}
+ * @param [aad] {string|Buffer} Additional data to authenticate when `algorithm` is an AEAD cipher
+ * @returns {Cipher}
+ */
+function createCipher(algorithm, key, iv, aad) {
+  var cipher;
+  if (isAead(algorithm)) {
+    cipher = crypto.createCipheriv(algorithm, key, iv, { authTagLength: authTagLength });
+    if (aad) { cipher.setAAD(Buffer.from(aad)); }
+  } else {
+    cipher = crypto.createCipheriv(algorithm, key, iv);
+  }
+  return cipher;
+}
+
+/**
+ * Create a `Decipher` for the algorithm. The tag of AEAD ciphers must be set with `setAuthTag` before `final`.
+ *
+ * @param algorithm {string}
+ * @param key {Buffer}
+ * @param iv {Buffer}
+ * @param [aad] {string|Buffer} Additional data that was authenticated when `algorithm` is an AEAD cipher
+ * @returns {Decipher}
+ */
+function createDecipher(algorithm, key, iv, aad) {
+  var decipher;
+  if (isAead(algorithm)) {
+    decipher = crypto.createDecipheriv(algorithm, key, iv, { authTagLength: authTagLength });
+    if (aad) { decipher.setAAD(Buffer.from(aad)); }
+  } else {
+    decipher = crypto.createDecipheriv(algorithm, key, iv);
+  }
+  return decipher;
+}
+
+/**
+ * Encrypt data with the derived key
+ *
+ * @param algorithm {string}
+ * @param key {Buffer}
+ * @param iv {Buffer}
+ * @param plainText {string|Buffer}
+ * @param [aad] {string|Buffer} Additional data to authenticate when `algorithm` is an AEAD cipher
+ * @returns {Buffer} The encrypted data, followed by the authentication tag for AEAD ciphers
+ * @throws {KripkeArgumentError} The algorithm is not supported or doesn't accept the key length
+ */
+function encrypt(algorithm, key, iv, plainText, aad) {
+  var cipher, cipherText, err;
+  validate(algorithm);
+  try {
+    cipher = createCipher(algorithm, key, iv, aad);
+  } catch (e) {
+    err = new errors.KripkeArgumentError('The algorithm "' + algorithm + '" does not accept a ' + key.length * 8 +
+      ' bit key');
+    err.cause = e;
+    throw err;
+  }
+  cipherText = Buffer.concat([cipher.update(plainText), cipher.final()]);
+  return isAead(algorithm) ? Buffer.concat([cipherText, cipher.getAuthTag()]) : cipherText;
+}
+
+/**
+ * Decrypt data with the derived key
+ *
+ * @param algorithm {string}
+ * @param key {Buffer}
+ * @param iv {Buffer}
+ * @param cipherText {Buffer} The encrypted data, followed by the authentication tag for AEAD ciphers
+ * @param [aad] {string|Buffer} Additional data that was authenticated when `algorithm` is an AEAD cipher
+ * @returns {Buffer}
+ * @throws {KripkeFormatError} The algorithm is not supported or the key or iv don't fit it
+ * @throws {KripkeIntegrityError} The authentication tag or padding is invalid
+ */
+function decrypt(algorithm, key, iv, cipherText, aad) {
+  var decipher;
+  if (!isSupported(algorithm)) {
+    throw new errors.KripkeFormatError('Unsupported algorithm "' + algorithm + '"');
+  }
+  try {
+    decipher = createDecipher(algorithm, key, iv, aad);
+  } catch (e) {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  if (isAead(algorithm)) {
+    if (cipherText.length < authTagLength) {
+      throw new errors.KripkeFormatError('Encoded text is invalid');
+    }
+    decipher.setAuthTag(cipherText.slice(-authTagLength));
+    cipherText = cipherText.slice(0, -authTagLength);
+  }
+  // A bad tag or bad padding is reported the same way as a bad HMAC, so they can't be told apart
+  try {
+    return Buffer.concat([decipher.update(cipherText), decipher.final()]);
+  } catch (e) {
+    throw errors.integrityError();
+  }
+}
+
+/**
+ * A constant time compare of two Buffers
+ *
+ * @param buffer1 {Buffer}
+ * @param buffer2 {Buffer}
+ * @returns {boolean} Returns `true` only if the contents of the Buffers are identical
+ */
+function compareBuffers(buffer1, buffer2) {
+  if (!(Buffer.isBuffer(buffer1) || Buffer.isBuffer(buffer2))) { return false; }
+  if (buffer1.length !== buffer2.length) { return false; }
+
+  var i = 0, val = 0;
+  for (; i < buffer1.length; i++) {
+    val |= buffer1[i] ^ buffer2[i]; // XOR
+  }
+  return val === 0;
+}
+
+module.exports = {
+  authTagLength: authTagLength,
+  isAead: isAead,
+  validate: validate,
+  checkAllowed: checkAllowed,
+  ivLength: ivLength,
+  createCipher: createCipher,
+  createDecipher: createDecipher,
+  encrypt: encrypt,
+  decrypt: decrypt,
+  compareBuffers: compareBuffers
+};
@@ -0,0 +1,494 @@
+"use strict";
+/**
+ * The `kripke` command-line tool
+ *
+ * Exit codes: 0 on success, 1 for errors, 2 for invalid arguments and 3 if integrity verification failed
+ * (a `KripkeIntegrityError`).
+ */
+var fs = require('fs');
+var Kripke = require('../index');
+var cipher = require('./cipher');
+var config = require('./config');
+var errors = require('./errors');
+var format = require('./format');
+var jwe = require('./jwe');
+
+var EXIT_ERROR = 1;
+var EXIT_USAGE = 2;
+var EXIT_VERIFICATION = 3;
+
+var usage = [
+  'Usage: kripke <command> [options] [text]',
+  '',
+  'Commands:',
+  '  encrypt                   Encrypt the input',
+  '  decrypt                   Decrypt the input',
+  '  verify                    Verify the HMAC signature or authentication tag of the input',
+  '  reencrypt                 Decrypt the input and encrypt it again with the primary key and the options',
+  '  encrypt-config <file>     Encrypt the values of a .env or JSON config file in place',
+  '',
+  'The input is the text argument, the --in file or stdin.',
+  '',
+  'Input and output:',
+  '  -i, --in <file>           Read the input from a file',
+  '  -o, --out <file>          Write the output to a file instead of stdout',
+  '  --format <format>         The encoded format: string (default), base64url, buffer or jwe',
+  '  --stream                  Encrypt or decrypt a whole file in the stream format',
+  '  --type <type>             The type of the config file: env or json. Default: json for .json files, or env',
+  '  --exclude <names>         Comma-separated names (or JSON paths) of config values to keep in plain text',
+  '',
+  'Keys:',
+  '  --key-env <name>          Read the key from an environment variable. Default: KRIPKE_KEY',
+  '  --key-file <file>         Read the key from a file. A trailing newline is removed.',
+  '  --prompt                  Prompt for the key without echoing it',
+  '  --hmac-key-env <name>     Read the HMAC key from an environment variable. Default: KRIPKE_HMAC_KEY',
+  '  --hmac-key-file <file>    Read the HMAC key from a file. A trailing newline is removed.',
+  '  --keys-file <file>        Read a keyring from a JSON file: [{ "id", "key", "hmacKey", "primary" }]',
+  '',
+  'Encryption options:',
+  '  --algorithm <name>        Default: AES-256-CBC',
+  '  --hmac-algorithm <name>   Default: SHA256',
+  '  --key-length <bits>       128, 192 or 256. Default: 256',
+  '  --kdf <name>              pbkdf2, scrypt or hkdf. Default: pbkdf2',
+  '  --iterations <n>          pbkdf2 iterations. Default: 131072',
+  '  --digest <name>           pbkdf2 and hkdf hash. Default: the HMAC algorithm',
+  '  --cost <n>                scrypt N. Default: 32768',
+  '  --block-size <n>          scrypt r. Default: 8',
+  '  --parallelization <n>     scrypt p. Default: 1',
+  '  --derive-hmac-key         Derive the HMAC key from the key',
+  '',
+  'Exit codes: 0 success, 1 error, 2 invalid arguments, 3 verification failed',
+  ''
+].join('\n');
+
+// Options that take a value, and the name they are parsed to
+var valueOptions = {
+  '-i': 'in',
+  '--in': 'in',
+  '-o': 'out',
+  '--out': 'out',
+  '--format': 'output',
+  '--type': 'type',
+  '--exclude': 'exclude',
+  '--key-env': 'keyEnv',
+  '--key-file': 'keyFile',
+  '--hmac-key-env': 'hmacKeyEnv',
+  '--hmac-key-file': 'hmacKeyFile',
+  '--keys-file': 'keysFile',
+  '--algorithm': 'algorithm',
+  '--hmac-algorithm': 'hmacAlgorithm',
+  '--key-length': 'keyLength',
+  '--kdf': 'kdf',
+  '--iterations': 'iterations',
+  '--digest': 'digest',
+  '--cost': 'cost',
+  '--block-size': 'blockSize',
+  '--parallelization': 'parallelization'
+};
+
+var flagOptions = {
+  '-h': 'help',
+  '--help': 'help',
+  '--stream': 'stream',
+  '--prompt': 'prompt',
+  '--derive-hmac-key': 'deriveHmacKey'
+};
+
+var numericOptions = ['keyLength', 'iterations', 'cost', 'blockSize', 'parallelization'];
+
+// The options passed to the `Kripke` constructor
+var kripkeOptions = ['algorithm', 'hmacAlgorithm', 'keyLength', 'kdf', 'iterations', 'digest', 'cost', 'blockSize',
+  'parallelization', 'deriveHmacKey'];
+
+var commands = {
+  encrypt: function (kripke, input, args, callback) {
+    kripke.encrypt(input, { output: args.output }, callback);
+  },
+  decrypt: function (kripke, input, args, callback) {
+    kripke.decrypt(input, { output: 'buffer' }, callback);
+  },
+  verify: function (kripke, input, args, callback) {
+    var envelope = jwe.isJwe(input) ? null : format.parse(input);
+    // Data that is neither signed nor encrypted with an AEAD cipher can't be verified, which is reported as a failure
+    if (envelope && !envelope.hmac && !cipher.isAead(envelope.params.algorithm || kripke.algorithm)) {
+      return callback(new errors.KripkeIntegrityError('The data is not signed or authenticated'));
+    }
+    // The authentication tag and derived HMAC keys can only be checked by decrypting the data
+    kripke.decrypt(input, { output: 'buffer' }, function (err, plainText) {
+      if (plainText) { plainText.fill(0); }
+      callback(err, err ? undefined : 'OK');
+    });
+  },
+  reencrypt: function (kripke, input, args, callback) {
+    kripke.reencrypt(input, args.output ? { output: args.output } : null, callback);
+  },
+  'encrypt-config': function (kripke, input, args, callback) {
+    kripke.encryptConfig(input.toString(), {
+      type: config.configType(args.in, args.type),
+      exclude: args.exclude ? args.exclude.split(',') : []
+    }, callback);
+  }
+};
+
+/**
+ * Create an error for invalid arguments
+ *
+ * @param message {string}
+ * @returns {Error}
+ */
+function usageError(message) {
+  var err = new Error(message);
+  err.exitCode = EXIT_USAGE;
+  return err;
+}
+
+/**
+ * Get the exit code for an error
+ *
+ * @param err {Error}
+ * @returns {number}
+ */
+function exitCode(err) {
+  if (err.exitCode) {
+    return err.exitCode;
+  }
+  if (err instanceof errors.KripkeIntegrityError) {
+    return EXIT_VERIFICATION;
+  }
+  return EXIT_ERROR;
+}
+
+/**
+ * Parse the command-line arguments
+ *
+ * @param argv {string[]} The arguments after the script name
+ * @returns {{}} The command, the text argument and the options
+ * @throws {Error} The arguments are invalid
+ */
+function parseArgs(argv) {
+  var args = {}, positional = [], i, arg, name, value, eq;
+  for (i = 0; i < argv.length; i++) {
+    arg = argv[i];
+    eq = arg.indexOf('=');
+    name = arg.substr(0, 2) === '--' && eq > -1 ? arg.substr(0, eq) : arg;
+    if (arg === '--') {
+      positional = positional.concat(argv.slice(i + 1));
+      break;
+    } else if (flagOptions.hasOwnProperty(name) && name === arg) {
+      args[flagOptions[name]] = true;
+    } else if (valueOptions.hasOwnProperty(name)) {
+      value = name === arg ? argv[++i] : arg.substr(eq + 1);
+      if (value === undefined) {
+        throw usageError('Missing value for ' + name);
+      }
+      args[valueOptions[name]] = value;
+    } else if (arg.charAt(0) === '-' && arg.length > 1) {
+      throw usageError('Unknown option ' + arg);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  args.command = positional[0];
+  args.text = positional[1];
+  if (positional.length > 2) {
+    throw usageError('Too many arguments');
+  }
+  if (args.help) {
+    return args;
+  }
+  if (!commands.hasOwnProperty(args.command)) {
+    throw usageError(args.command ? 'Unknown command "' + args.command + '"' : 'Missing command');
+  }
+  if (args.text !== undefined && args.in) {
+    throw usageError('Use either a text argument or --in');
+  }
+  if (args.stream && ['encrypt', 'decrypt'].indexOf(args.command) === -1) {
+    throw usageError('--stream can only be used to encrypt or decrypt');
+  }
+  if (args.command === 'encrypt-config') {
+    // The file is encrypted in place
+    args.in = args.in || args.text;
+    args.out = args.out || args.in;
+    delete args.text;
+    if (!args.in) {
+      throw usageError('Missing config file');
+    }
+  } else if (args.type || args.exclude) {
+    throw usageError('--type and --exclude can only be used with encrypt-config');
+  }
+  if (args.prompt && args.text === undefined && !args.in) {
+    throw usageError('Use a text argument or --in for the input when prompting for the key');
+  }
+  numericOptions.forEach(function (name) {
+    if (args.hasOwnProperty(name)) {
+      if (!/^\d+$/.test(args[name])) {
+        throw usageError('The value of --' + name.replace(/[A-Z]/g, '-$&').toLowerCase() + ' must be a number');
+      }
+      args[name] = parseInt(args[name], 10);
+    }
+  });
+  return args;
+}
+
+/**
+ * Read a key from a file, without a trailing newline
+ *
+ * @param file {string}
+ * @returns {Buffer}
+ */
+function readKeyFile(file) {
+  var key = fs.readFileSync(file);
+  var end = key.length;
+  if (key[end - 1] === 0x0a) { end--; }
+  if (key[end - 1] === 0x0d) { end--; }
+  return key.slice(0, end);
+}
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ *
+ * @param io {{stdin: tty.ReadStream, stderr: stream.Writable}}
+ * @param question {string}
+ * @param callback {function(Error, string)}
+ */
+function prompt(io, question, callback) {
+  var stdin = io.stdin, value = '';
+  if (!stdin.isTTY) {
+    return callback(usageError('A terminal is required to prompt for the key'));
+  }
+
+  function done(err) {
+    stdin.removeListener('data', onData);
+    stdin.setRawMode(false);
+    stdin.pause();
+    io.stderr.write('\n');
+    callback(err, value);
+  }
+
+  function onData(chars) {
+    var i, c;
+    for (i = 0; i < chars.length; i++) {
+      c = chars.charAt(i);
+      if (c === '\r' || c === '\n' || c === '\u0004') {
+        return done(null);
+      } else if (c === '\u0003') {
+        return done(new Error('Cancelled'));
+      } else if (c === '\u007f' || c === '\b') {
+        value = value.slice(0, -1);
+      } else {
+        value += c;
+      }
+    }
+  }
+
+  io.stderr.write(question);
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  stdin.on('data', onData);
+  stdin.resume();
+}
+
+/**
+ * Get the keys from a keyring file, files, environment variables or a prompt
+ *
+ * @param args {{}}
+ * @param io {{}}
+ * @param callback {function(Error, {})} Returns the key options of the `Kripke` constructor
+ */
+function readKeys(args, io, callback) {
+  var keys = {};
+  try {
+    if (args.keysFile) {
+      keys.keys = JSON.parse(fs.readFileSync(args.keysFile, 'utf8'));
+      return callback(null, keys);
+    }
+    if (args.hmacKeyFile) {
+      keys.hmacKey = readKeyFile(args.hmacKeyFile);
+    } else {
+      keys.hmacKey = io.env[args.hmacKeyEnv || 'KRIPKE_HMAC_KEY'];
+    }
+    if (args.prompt) {
+      return prompt(io, 'Key: ', function (err, key) {
+        keys.key = key;
+        callback(err, keys);
+      });
+    }
+    if (args.keyFile) {
+      keys.key = readKeyFile(args.keyFile);
+    } else {
+      keys.key = io.env[args.keyEnv || 'KRIPKE_KEY'];
+    }
+  } catch (e) {
+    return callback(e);
+  }
+  if (!keys.key || !keys.key.length) {
+    return callback(usageError('No key was provided. Set KRIPKE_KEY or use --key-file, --keys-file or --prompt'));
+  }
+  callback(null, keys);
+}
+
+/**
+ * Read the whole input
+ *
+ * @param args {{}}
+ * @param io {{}}
+ * @param callback {function(Error, string|Buffer)} Encoded data is returned as a string, unless it's binary
+ */
+function readInput(args, io, callback) {
+  var chunks = [];
+
+  function done(input) {
+    // Encoded strings may end with a newline. The binary format starts with 'kripke'.
+    if (['encrypt', 'encrypt-config'].indexOf(args.command) === -1 && input.slice(0, 6).toString() !== 'kripke') {
+      input = input.toString().trim();
+    }
+    callback(null, input);
+  }
+
+  if (args.text !== undefined) {
+    return callback(null, args.text);
+  }
+  if (args.in) {
+    return fs.readFile(args.in, function (err, input) {
+      if (err) { return callback(err); }
+      done(input);
+    });
+  }
+  io.stdin.on('data', function (chunk) { chunks.push(chunk); });
+  io.stdin.on('error', callback);
+  io.stdin.on('end', function () { done(Buffer.concat(chunks)); });
+}
+
+/**
+ * Write the output to the --out file or stdout
+ *
+ * @param args {{}}
+ * @param io {{}}
+ * @param output {string|Buffer}
+ * @param callback {function(Error)}
+ */
+function writeOutput(args, io, output, callback) {
+  if (args.out) {
+    return fs.writeFile(args.out, output, callback);
+  }
+  // Strings are written as lines, except decrypted data unless it's going to a terminal
+  if (typeof output === 'string' || (args.command === 'decrypt' && io.stdout.isTTY)) {
+    output = Buffer.concat([Buffer.from(output), Buffer.from('\n')]);
+  }
+  io.stdout.write(output, callback);
+}
+
+/**
+ * Encrypt or decrypt the input in the stream format
+ *
+ * The decrypted data must not be trusted if the command fails. A partial --out file is removed.
+ *
+ * @param kripke {Kripke}
+ * @param args {{}}
+ * @param io {{}}
+ * @param callback {function(Error)}
+ */
+function runStream(kripke, args, io, callback) {
+  var input = args.in ? fs.createReadStream(args.in) : io.stdin;
+  var output = args.out ? fs.createWriteStream(args.out) : io.stdout;
+  var transform = args.command === 'encrypt' ? kripke.createEncryptStream() : kripke.createDecryptStream();
+  var finished = false;
+
+  function done(err) {
+    if (finished) { return; }
+    finished = true;
+    if (err) {
+      input.unpipe(transform);
+      transform.unpipe(output);
+      if (args.out) {
+        output.destroy();
+        return fs.unlink(args.out, function () {
+          callback(err);
+        });
+      }
+    }
+    callback(err);
+  }
+
+  input.on('error', done);
+  transform.on('error', done);
+  output.on('error', done);
+  if (args.out) {
+    output.on('finish', function () { done(null); });
+  } else {
+    transform.on('end', function () { done(null); });
+  }
+  input.pipe(transform).pipe(output, { end: !!args.out });
+}
+
+/**
+ * Run the command-line tool
+ *
+ * @param argv {string[]} The arguments after the script name
+ * @param io {{stdin: stream.Readable, stdout: stream.Writable, stderr: stream.Writable, env: {}}} E.g. `process`
+ * @param callback {function(number)} Returns the exit code
+ */
+function run(argv, io, callback) {
+  var args;
+
+  function fail(err) {
+    io.stderr.write('kripke: ' + err.message + '\n');
+    if (err.exitCode === EXIT_USAGE) {
+      io.stderr.write('Run "kripke --help" for usage\n');
+    }
+    callback(exitCode(err));
+  }
+
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    return fail(e);
+  }
+  if (args.help) {
+    io.stdout.write(usage);
+    return callback(0);
+  }
+
+  readKeys(args, io, function (err, keys) {
+    var options = {}, kripke;
+    if (err) { return fail(err); }
+    try {
+      kripkeOptions.forEach(function (name) {
+        if (args.hasOwnProperty(name)) {
+          options[name] = args[name];
+        }
+      });
+      kripke = new Kripke(Object.assign(options, keys));
+    } catch (e) {
+      e.exitCode = EXIT_USAGE;
+      return fail(e);
+    }
+
+    if (args.stream) {
+      return runStream(kripke, args, io, function (err) {
+        if (err) { return fail(err); }
+        callback(0);
+      });
+    }
+
+    readInput(args, io, function (err, input) {
+      if (err) { return fail(err); }
+      try {
+        commands[args.command](kripke, input, args, function (err, output) {
+          if (err) { return fail(err); }
+          writeOutput(args, io, output, function (err) {
+            if (err) { return fail(err); }
+            callback(0);
+          });
+        });
+      } catch (e) {
+        fail(e);
+      }
+    });
+  });
+}
+
+module.exports = {
+  run: run
+};
@@ -0,0 +1,69 @@
+"use strict";
+/**
+ * Compression of the plain text before it is encrypted
+ *
+ * The method is recorded in the header (`z=gzip`), which is authenticated, so `decrypt` decompresses automatically.
+ * Decompressed data is limited in size to guard against decompression bombs.
+ */
+var zlib = require('zlib');
+var errors = require('./errors');
+
+// The zlib functions of each method
+var METHODS = {
+  gzip: { compress: zlib.gzip, decompress: zlib.gunzip },
+  deflate: { compress: zlib.deflate, decompress: zlib.inflate },
+  brotli: { compress: zlib.brotliCompress, decompress: zlib.brotliDecompress }
+};
+
+/**
+ * Check that the compression method is supported
+ *
+ * @param method {string} 'gzip', 'deflate' or 'brotli'
+ * @throws {KripkeArgumentError} The method is not supported
+ */
+function validate(method) {
+  if (!METHODS.hasOwnProperty(method)) {
+    throw new errors.KripkeArgumentError('Unsupported compression "' + method + '"');
+  }
+}
+
+/**
+ * Compress the data
+ *
+ * @param method {string}
+ * @param data {string|Buffer}
+ * @param callback {function(Error, Buffer)} Returns the compressed data, or `null` if it isn't smaller
+ */
+function compress(method, data, callback) {
+  METHODS[method].compress(data, function (err, compressed) {
+    callback(err, compressed && compressed.length < Buffer.byteLength(data) ? compressed : null);
+  });
+}
+
+/**
+ * Decompress the data
+ *
+ * @param method {string}
+ * @param data {Buffer}
+ * @param maxLength {number} The maximum size of the decompressed data in bytes
+ * @param callback {function(Error, Buffer)}
+ */
+function decompress(method, data, maxLength, callback) {
+  if (!METHODS.hasOwnProperty(method)) {
+    return setImmediate(callback, new errors.KripkeFormatError('Unsupported compression "' + method + '"'));
+  }
+  METHODS[method].decompress(data, { maxOutputLength: maxLength }, function (err, decompressed) {
+    if (err && err.code === 'ERR_BUFFER_TOO_LARGE') {
+      err = new errors.KripkeFormatError('The decompressed data is larger than ' + maxLength + ' bytes');
+    } else if (err) {
+      err = new errors.KripkeFormatError('The compressed data is invalid');
+    }
+    callback(err, decompressed);
+  });
+}
+
+module.exports = {
+  validate: validate,
+  compress: compress,
+  decompress: decompress
+};
@@ -0,0 +1,314 @@
+"use strict";
+/**
+ * Encrypted configuration files: `.env` files and JSON documents
+ *
+ * Only the values are encrypted, so the names stay readable and diffs show which entries changed. Each value is
+ * encrypted like a field of `encryptFields`, together with its name, so a value copied to another entry fails to
+ * decrypt. Values that are already encrypted are kept, so entries can be added in plain text and the file encrypted
+ * again. Decrypting rejects values in plain text that are not excluded, so a value that was replaced in the file
+ * can't be passed off as a decrypted one.
+ */
+var fs = require('fs');
+var errors = require('./errors');
+var fields = require('./fields');
+var format = require('./format');
+
+var TYPES = ['env', 'json'];
+
+/**
+ * @typedef {{}} envEntry
+ * @property name {string}
+ * @property value {string} The value, without quotes or escapes
+ * @property line {number} The line number, from 1
+ * @property prefix {string} The text of the line before the value
+ * @property suffix {string} The text of the line after the value, e.g. a comment
+ */
+
+/**
+ * Get the type of a config file
+ *
+ * @param [path] {string} The file name. Files ending in `.json` are JSON, others are `.env` files.
+ * @param [type] {string} 'env' or 'json', to ignore the file name
+ * @returns {string}
+ * @throws {KripkeArgumentError} The type is not supported
+ */
+function configType(path, type) {
+  type = type || (/\.json$/i.test(path || '') ? 'json' : 'env');
+  if (TYPES.indexOf(type) === -1) {
+    throw new errors.KripkeArgumentError('Unsupported config type "' + type + '"');
+  }
+  return type;
+}
+
+/**
+ * Check whether a value is encoded data in the string format
+ *
+ * @param value {*}
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.indexOf('$' + format.ID + '$') === 0;
+}
+
+/**
+ * Parse a `.env` file
+ *
+ * Lines are `NAME=value`, optionally starting with `export`. Values are unquoted (` #` starts a comment),
+ * single-quoted (taken literally) or double-quoted (with `\n`, `\r`, `\t`, `\"` and `\\` escapes), and can't span
+ * lines. Blank lines and lines starting with `#` are ignored.
+ *
+ * @param text {string}
+ * @returns {envEntry[]}
+ * @throws {KripkeFormatError} A line is invalid
+ */
+function parseEnv(text) {
+  var entries = [];
+  text.split('\n').forEach(function (line, i) {
+    var match = /^(\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.\-]*)\s*=[ \t]*)(.*?)(\r?)$/.exec(line), rest, value, end;
+
+    function invalid() {
+      return new errors.KripkeFormatError('Invalid line ' + (i + 1) + ' of the .env file');
+    }
+
+    if (!match) {
+      if (/^\s*(#.*)?\r?$/.test(line)) { return; }
+      throw invalid();
+    }
+    rest = match[3];
+    if (rest.charAt(0) === "'") {
+      end = rest.indexOf("'", 1) + 1;
+      if (!end) { throw invalid(); }
+      value = rest.slice(1, end - 1);
+    } else if (rest.charAt(0) === '"') {
+      end = /^"(?:[^"\\]|\\.)*"/.exec(rest);
+      if (!end) { throw invalid(); }
+      end = end[0].length;
+      value = rest.slice(1, end - 1).replace(/\\(.)/g, function (escape, c) {
+        return { n: '\n', r: '\r', t: '\t' }[c] || c;
+      });
+    } else {
+      value = rest.charAt(0) === '#' ? '' : /^(.*?)\s*(?:\s#.*)?$/.exec(rest)[1];
+      end = value.length;
+    }
+    if (!/^\s*(#.*)?$/.test(rest.slice(end))) {
+      throw invalid();
+    }
+    entries.push({
+      name: match[2],
+      value: value,
+      line: i + 1,
+      prefix: match[1],
+      suffix: rest.slice(end) + match[4]
+    });
+  });
+  return entries;
+}
+
+/**
+ * Find the string values of a JSON document
+ *
+ * @param document {{}}
+ * @returns {Array<{container: {}|Array, key: string|number, path: string}>} Each value, with the canonical path used
+ *                                                                           by `encryptFields`
+ */
+function jsonEntries(document) {
+  var entries = [];
+
+  (function walk(value, path) {
+    if (Array.isArray(value)) {
+      value.forEach(function (element, index) {
+        if (typeof element === 'string') {
+          entries.push({ container: value, key: index, path: path + '[*]' });
+        } else {
+          walk(element, path + '[*]');
+        }
+      });
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(function (key) {
+        if (typeof value[key] === 'string') {
+          entries.push({ container: value, key: key, path: fields.joinKey(path, key) });
+        } else {
+          walk(value[key], fields.joinKey(path, key));
+        }
+      });
+    }
+  })(document, '');
+  return entries;
+}
+
+/**
+ * Parse a JSON config file
+ *
+ * @param text {string}
+ * @returns {{}}
+ * @throws {KripkeFormatError} The file is not a JSON object
+ */
+function parseJson(text) {
+  var document;
+  try {
+    document = JSON.parse(text);
+  } catch (e) {
+    document = null;
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new errors.KripkeFormatError('The JSON config must be an object');
+  }
+  return document;
+}
+
+/**
+ * Encrypt the values of a config file that are not encrypted
+ *
+ * @param kripke {Kripke}
+ * @param text {string} The contents of the file
+ * @param options {{}} The options of `Kripke#encryptConfig`
+ * @param callback {function(Error, string)} Returns the contents of the encrypted file
+ * @throws {KripkeError} The file or the options are invalid
+ */
+function encryptConfig(kripke, text, options, callback) {
+  var type = configType(null, options.type), exclude = options.exclude || [], lines, document, entries, indent;
+
+  function selected(path, value) {
+    return !isEncrypted(value) && exclude.indexOf(path) === -1;
+  }
+
+  if (typeof text !== 'string') {
+    throw new errors.KripkeArgumentError('The config must be a string');
+  }
+  if (type === 'env') {
+    lines = text.split('\n');
+    entries = parseEnv(text).filter(function (entry) {
+      return selected(entry.name, entry.value);
+    });
+    return Promise.all(entries.map(function (entry) {
+      return fields.encryptValue(kripke, fields.joinKey('', entry.name), entry.value, {}).then(function (encodedText) {
+        // The string format has no quotes or whitespace, and single quotes keep `$` from being expanded
+        lines[entry.line - 1] = entry.prefix + "'" + encodedText + "'" + entry.suffix;
+      });
+    })).then(function () {
+      callback(null, lines.join('\n'));
+    }, callback);
+  }
+
+  document = parseJson(text);
+  indent = /^\{\r?\n([ \t]+)/.exec(text);
+  entries = jsonEntries(document).filter(function (entry) {
+    return selected(entry.path, entry.container[entry.key]);
+  });
+  Promise.all(entries.map(function (entry) {
+    return fields.encryptValue(kripke, entry.path, entry.container[entry.key], {}).then(function (encodedText) {
+      entry.container[entry.key] = encodedText;
+    });
+  })).then(function () {
+    callback(null, JSON.stringify(document, null, indent ? indent[1] : 2) + (/\n$/.test(text) ? '\n' : ''));
+  }, callback);
+}
+
+/**
+ * Decrypt the encrypted values of a config file
+ *
+ * Every value is decrypted, even after one fails, so the error reports all the entries that failed. Unless
+ * `options.strict` is `false`, values in plain text that are not in `options.exclude` fail too.
+ *
+ * @param kripke {Kripke}
+ * @param text {string} The contents of the file
+ * @param options {{}} The options of `Kripke#decryptConfig`
+ * @param callback {function(Error, {})} Returns the values by name, or the JSON document. The error has the
+ *                                       `failures`: `[{name, line, error}]`, where `name` is the path of a JSON
+ *                                       value and `line` is only set for `.env` files.
+ * @throws {KripkeError} The file or the options are invalid
+ */
+function decryptConfig(kripke, text, options, callback) {
+  var type = configType(null, options.type), exclude = options.exclude || [], values = {}, document, entries,
+    failures = [];
+
+  if (typeof text !== 'string') {
+    throw new errors.KripkeArgumentError('The config must be a string');
+  }
+  if (type === 'env') {
+    entries = parseEnv(text).map(function (entry) {
+      return { container: values, key: entry.name, path: fields.joinKey('', entry.name), value: entry.value,
+        line: entry.line };
+    });
+  } else {
+    document = parseJson(text);
+    entries = jsonEntries(document).map(function (entry) {
+      entry.value = entry.container[entry.key];
+      return entry;
+    });
+  }
+
+  Promise.all(entries.map(function (entry, i) {
+    var name = type === 'env' ? entry.key : entry.path;
+
+    function fail(err) {
+      failures[i] = { name: name, line: entry.line, error: err };
+    }
+
+    if (!isEncrypted(entry.value)) {
+      // A value in plain text could have replaced an encrypted one, so only the excluded ones are expected
+      if (options.strict !== false && exclude.indexOf(name) === -1) {
+        return fail(new errors.KripkeIntegrityError('The value is not encrypted'));
+      }
+      entry.container[entry.key] = entry.value;
+      return;
+    }
+    return fields.decryptValue(kripke, entry.path, entry.value, {}).then(function (value) {
+      entry.container[entry.key] = value;
+    }, fail);
+  })).then(function () {
+    var err;
+    failures = failures.filter(Boolean);
+    if (failures.length) {
+      err = new errors.KripkeError('Failed to decrypt ' + failures.map(function (failure) {
+        return '"' + failure.name + '"' + (failure.line ? ' (line ' + failure.line + ')' : '');
+      }).join(', '));
+      err.failures = failures;
+      return callback(err);
+    }
+    callback(null, document || values);
+  });
+}
+
+/**
+ * Decrypt a config file into an environment
+ *
+ * @param kripke {Kripke}
+ * @param path {string}
+ * @param options {{}} The options of `Kripke.loadEnv`
+ * @param callback {function(Error, {})} Returns the decrypted values
+ * @throws {KripkeArgumentError} The options are invalid
+ */
+function loadEnv(kripke, path, options, callback) {
+  var type = configType(path, options.type), env = options.env === undefined ? process.env : options.env,
+    decryptOptions = { type: type, strict: options.strict, exclude: options.exclude };
+  fs.readFile(path, 'utf8', function (err, text) {
+    if (err) { return callback(err); }
+    try {
+      decryptConfig(kripke, text, decryptOptions, function (err, values) {
+        if (err) { return callback(err); }
+        if (env) {
+          // Only values that are not objects can be environment variables
+          Object.keys(values).forEach(function (name) {
+            var value = values[name];
+            if ((value === null || typeof value !== 'object') &&
+              (options.override || !Object.prototype.hasOwnProperty.call(env, name))) {
+              env[name] = String(value);
+            }
+          });
+        }
+        callback(null, values);
+      });
+    } catch (e) {
+      callback(e);
+    }
+  });
+}
+
+module.exports = {
+  configType: configType,
+  parseEnv: parseEnv,
+  encryptConfig: encryptConfig,
+  decryptConfig: decryptConfig,
+  loadEnv: loadEnv
+};
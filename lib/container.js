@@ -0,0 +1,431 @@
+"use strict";
+/**
+ * A chunked container format, so a byte range of large encrypted data can be read without decrypting all of it
+ *
+ *   binary header (see `format.binaryHeader`, with `m=chunked` and the chunk size `cs`) | chunk | chunk | ...
+ *
+ * The key is derived once, and the encryption and HMAC keys are derived from it (`s=hkdf`). The data is split into
+ * chunks of `cs` bytes (the last may be shorter, or empty if there is no data) that are each encrypted with a random
+ * iv and authenticated:
+ *
+ *   iv | cipher text [| authentication tag (AEAD ciphers)] [| HMAC signature (other ciphers)]
+ *
+ * The authenticated data of a chunk is the header, its index (8 bytes) and a flag set on the last chunk (1 byte),
+ * so chunks can't be reordered, moved to another container or cut off at the end.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var util = require('util');
+var Transform = require('stream').Transform;
+var async = require('./async');
+var cipher = require('./cipher');
+var errors = require('./errors');
+var format = require('./format');
+var kdf = require('./kdf');
+var secrets = require('./secrets');
+
+var DEFAULT_CHUNK_SIZE = 65536;
+var MAX_CHUNK_SIZE = 16777216;
+
+/**
+ * Check a chunk size
+ *
+ * @param chunkSize {*}
+ * @returns {boolean}
+ */
+function isChunkSize(chunkSize) {
+  return typeof chunkSize === 'number' && chunkSize % 1 === 0 && chunkSize > 0 && chunkSize <= MAX_CHUNK_SIZE;
+}
+
+/**
+ * The keys and sizes of the chunks of a container
+ *
+ * @param params {{}} The parameters from the header
+ * @param header {Buffer} The binary header
+ * @param derivedKey {Buffer}
+ * @param salt {Buffer}
+ * @constructor
+ */
+function Chunks(params, header, derivedKey, salt) {
+  var keys = kdf.subkeys(derivedKey, salt, params), algorithm = params.algorithm;
+  this.algorithm = algorithm;
+  this.hmacAlgorithm = params.hmacAlgorithm;
+  this.header = header;
+  this.encryptionKey = keys.encryptionKey;
+  this.hmacKey = cipher.isAead(algorithm) ? null : keys.hmacKey;
+  this.chunkSize = params.chunkSize;
+  this.ivLength = cipher.ivLength(algorithm);
+  this.blockSize = crypto.getCipherInfo(algorithm).blockSize;
+  this.tagLength = this.hmacKey ? crypto.createHash(this.hmacAlgorithm).digest().length : cipher.authTagLength;
+  // The subkeys are kept to encrypt and read chunks, the key they come from isn't
+  secrets.wipe(derivedKey, this.hmacKey ? null : keys.hmacKey);
+}
+
+/**
+ * Get the size of an encrypted chunk
+ *
+ * @param length {number} The size of the plain text
+ * @returns {number}
+ */
+Chunks.prototype.encryptedLength = function (length) {
+  // Block ciphers always add padding
+  var cipherTextLength = this.blockSize > 1 ? (Math.floor(length / this.blockSize) + 1) * this.blockSize : length;
+  return this.ivLength + cipherTextLength + this.tagLength;
+};
+
+/**
+ * Get the authenticated data of a chunk
+ *
+ * @param index {number}
+ * @param final {boolean}
+ * @returns {Buffer}
+ */
+Chunks.prototype.associatedData = function (index, final) {
+  var position = Buffer.alloc(9);
+  position.writeUInt32BE(Math.floor(index / 0x100000000), 0);
+  position.writeUInt32BE(index % 0x100000000, 4);
+  position[8] = final ? 1 : 0;
+  return Buffer.concat([this.header, position]);
+};
+
+/**
+ * Compute the HMAC signature of a chunk
+ *
+ * @param aad {Buffer}
+ * @param iv {Buffer}
+ * @param cipherText {Buffer}
+ * @returns {Buffer}
+ */
+Chunks.prototype.sign = function (aad, iv, cipherText) {
+  return crypto.createHmac(this.hmacAlgorithm, this.hmacKey).update(aad).update(iv).update(cipherText).digest();
+};
+
+/**
+ * Encrypt a chunk
+ *
+ * @param plainText {Buffer}
+ * @param index {number}
+ * @param final {boolean}
+ * @returns {Buffer}
+ */
+Chunks.prototype.encrypt = function (plainText, index, final) {
+  var aad = this.associatedData(index, final), iv = crypto.randomBytes(this.ivLength), cipherText;
+  cipherText = cipher.encrypt(this.algorithm, this.encryptionKey, iv, plainText, aad);
+  return Buffer.concat([iv, cipherText].concat(this.hmacKey ? [this.sign(aad, iv, cipherText)] : []));
+};
+
+/**
+ * Verify and decrypt a chunk
+ *
+ * @param chunk {Buffer}
+ * @param index {number}
+ * @param final {boolean}
+ * @returns {Buffer}
+ * @throws {KripkeIntegrityError} The chunk was modified, moved or is not the last one
+ */
+Chunks.prototype.decrypt = function (chunk, index, final) {
+  var aad = this.associatedData(index, final), iv = chunk.slice(0, this.ivLength), cipherText;
+  if (chunk.length < this.encryptedLength(0) || chunk.length > this.encryptedLength(this.chunkSize)) {
+    throw new errors.KripkeFormatError('Encoded data is invalid');
+  }
+  if (this.hmacKey) {
+    cipherText = chunk.slice(this.ivLength, -this.tagLength);
+    if (!cipher.compareBuffers(this.sign(aad, iv, cipherText), chunk.slice(-this.tagLength))) {
+      throw errors.integrityError();
+    }
+  } else {
+    cipherText = chunk.slice(this.ivLength);
+  }
+  return cipher.decrypt(this.algorithm, this.encryptionKey, iv, cipherText, aad);
+};
+
+/**
+ * Encrypts everything written to it as a container. Created by `Kripke#createContainerStream`.
+ *
+ * A chunk is held back until more data is written or the stream ends, so the last chunk can be flagged.
+ *
+ * @param kripke {Kripke}
+ * @param params {{}} The encryption parameters, with `chunkSize`
+ * @constructor
+ */
+function ContainerStream(kripke, params) {
+  var self = this;
+  Transform.call(this);
+  this._buffer = Buffer.alloc(0);
+  this._index = 0;
+  this._ready = false;
+
+  kripke.generateDerivedKey(null, params, function (err, derivedKey, salt) {
+    var header;
+    if (!err) {
+      try {
+        header = format.binaryHeader(params, salt, Buffer.alloc(0));
+        self._chunks = new Chunks(params, header, derivedKey, salt);
+        self.push(header);
+      } catch (e) {
+        err = e;
+      }
+    }
+    self._error = err;
+    self._ready = true;
+    if (self._waiting) { self._waiting(); }
+  });
+}
+util.inherits(ContainerStream, Transform);
+
+/**
+ * Call `fn` once the key has been derived, or `callback` with the error if it couldn't be
+ *
+ * @param fn {function}
+ * @param callback {function}
+ * @private
+ */
+ContainerStream.prototype._whenReady = function (fn, callback) {
+  var self = this;
+  if (!this._ready) {
+    this._waiting = function () {
+      self._waiting = null;
+      self._whenReady(fn, callback);
+    };
+  } else if (this._error) {
+    callback(this._error);
+  } else {
+    try {
+      fn();
+    } catch (e) {
+      return callback(e);
+    }
+    callback();
+  }
+};
+
+ContainerStream.prototype._transform = function (chunk, encoding, callback) {
+  var self = this, chunkSize;
+  this._buffer = Buffer.concat([this._buffer, chunk]);
+  this._whenReady(function () {
+    chunkSize = self._chunks.chunkSize;
+    while (self._buffer.length > chunkSize) {
+      self.push(self._chunks.encrypt(self._buffer.slice(0, chunkSize), self._index++, false));
+      self._buffer = self._buffer.slice(chunkSize);
+    }
+  }, callback);
+};
+
+ContainerStream.prototype._flush = function (callback) {
+  var self = this;
+  this._whenReady(function () {
+    self.push(self._chunks.encrypt(self._buffer, self._index++, true));
+    self._buffer = Buffer.alloc(0);
+    // Nothing else is encrypted after the final chunk
+    secrets.wipe(self._chunks.encryptionKey, self._chunks.hmacKey);
+  }, callback);
+};
+
+/**
+ * Read from a file at a position
+ *
+ * @param handle {number|FileHandle} A file descriptor or a `fs.promises` FileHandle
+ * @param position {number}
+ * @param length {number}
+ * @param callback {function(Error, Buffer)} Returns the data, which is shorter at the end of the file
+ */
+function readAt(handle, position, length, callback) {
+  var buffer = Buffer.alloc(length);
+  if (typeof handle === 'number') {
+    return fs.read(handle, buffer, 0, length, position, function (err, bytesRead) {
+      callback(err, err ? undefined : buffer.slice(0, bytesRead));
+    });
+  }
+  handle.read(buffer, 0, length, position).then(function (result) {
+    callback(null, buffer.slice(0, result.bytesRead));
+  }, callback);
+}
+
+/**
+ * Get the size of a file
+ *
+ * @param handle {number|FileHandle}
+ * @param callback {function(Error, number)}
+ */
+function fileSize(handle, callback) {
+  if (typeof handle === 'number') {
+    return fs.fstat(handle, function (err, stats) {
+      callback(err, err ? undefined : stats.size);
+    });
+  }
+  handle.stat().then(function (stats) {
+    callback(null, stats.size);
+  }, callback);
+}
+
+/**
+ * A container opened for reading. Created by `Kripke#openContainer`.
+ *
+ * @param handle {number|FileHandle}
+ * @param chunks {Chunks}
+ * @param offset {number} The position of the first chunk in the file
+ * @param count {number} The number of chunks
+ * @param size {number} The size of the decrypted data
+ * @constructor
+ */
+function Container(handle, chunks, offset, count, size) {
+  this._handle = handle;
+  this._chunks = chunks;
+  this._offset = offset;
+  this._count = count;
+  this.size = size;
+}
+
+/**
+ * Verify and decrypt a chunk
+ *
+ * @param index {number}
+ * @param callback {function(Error, Buffer)}
+ * @private
+ */
+Container.prototype._readChunk = function (index, callback) {
+  var chunks = this._chunks, final = index === this._count - 1, length = chunks.encryptedLength(chunks.chunkSize);
+  readAt(this._handle, this._offset + index * length, length, function (err, chunk) {
+    var plainText;
+    if (err) { return callback(err); }
+    try {
+      plainText = chunks.decrypt(chunk, index, final);
+      // Every chunk but the last is full
+      if (!final && plainText.length !== chunks.chunkSize) {
+        throw new errors.KripkeFormatError('Encoded data is invalid');
+      }
+    } catch (e) {
+      return callback(e);
+    }
+    callback(null, plainText);
+  });
+};
+
+/**
+ * Decrypt a range of the data. Only the chunks it overlaps are read, and each one is verified.
+ *
+ * @param [start] {number} The position of the first byte. Default: 0
+ * @param [end] {number} The position after the last byte, as with `Buffer#slice`. Default: `size`
+ * @param [callback] {function(Error, Buffer)} Returns the decrypted range
+ * @returns {Promise<Buffer>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeError} The range is invalid or the container was closed. Passed to `callback` instead, or
+ *                      rejects the Promise.
+ */
+Container.prototype.read = function (start, end, callback) {
+  var self = this;
+  if (!callback && typeof end === 'function') {
+    callback = end;
+    end = undefined;
+  }
+  if (!callback && typeof start === 'function') {
+    callback = start;
+    start = undefined;
+  }
+  return async.withCallback(callback, function (callback) {
+    var chunkSize, first, index, last, parts = [];
+    if (!self._chunks) {
+      throw new errors.KripkeKeyError('The container was closed');
+    }
+    chunkSize = self._chunks.chunkSize;
+    start = start === undefined ? 0 : start;
+    end = end === undefined ? self.size : Math.min(end, self.size);
+    if (!(start >= 0 && start % 1 === 0 && end % 1 === 0)) {
+      throw new errors.KripkeArgumentError('Invalid range');
+    }
+    if (end <= start) {
+      return setImmediate(callback, null, Buffer.alloc(0));
+    }
+    first = index = Math.floor(start / chunkSize);
+    last = Math.floor((end - 1) / chunkSize);
+
+    (function next() {
+      self._readChunk(index, function (err, plainText) {
+        if (err) { return callback(err); }
+        parts.push(plainText);
+        if (index++ < last) {
+          return next();
+        }
+        callback(null, Buffer.concat(parts).slice(start - first * chunkSize, end - first * chunkSize));
+      });
+    })();
+  });
+};
+
+/**
+ * Zero-fill the keys of the container. Reading it afterwards fails with a `KripkeKeyError`. The file handle is not
+ * closed.
+ */
+Container.prototype.close = function () {
+  if (this._chunks) {
+    secrets.wipe(this._chunks.encryptionKey, this._chunks.hmacKey);
+    this._chunks = null;
+  }
+};
+
+/**
+ * Open a container for reading
+ *
+ * The last chunk is verified and decrypted to find the size of the data, so a container that was cut off at a
+ * chunk boundary fails to open.
+ *
+ * @param kripke {Kripke}
+ * @param handle {number|FileHandle} A file descriptor or a `fs.promises` FileHandle
+ * @param callback {function(Error, Container)}
+ */
+function open(kripke, handle, callback) {
+  var length = 1024;
+
+  // Read more of the file until the whole header has been read
+  function readHeader(fileSize) {
+    readAt(handle, 0, Math.min(length, fileSize), function (err, data) {
+      var header;
+      if (err) { return callback(err); }
+      try {
+        header = format.parseBinaryHeader(data);
+        if (!header && data.length < fileSize) {
+          length *= 4;
+          return readHeader(fileSize);
+        }
+        if (!header || header.params.mode !== 'chunked' || !isChunkSize(header.params.chunkSize) ||
+          header.params.wrapped || header.params.compression) {
+          throw new errors.KripkeFormatError('Encoded data is invalid');
+        }
+        cipher.checkAllowed(header.params.algorithm, kripke.decryptAlgorithms);
+        kripke.generateDerivedKey(header.salt, header.params, function (err, derivedKey) {
+          if (err) { return callback(err); }
+          opened(header, data.slice(0, header.length), derivedKey, fileSize);
+        });
+      } catch (e) {
+        callback(e);
+      }
+    });
+  }
+
+  function opened(header, headerData, derivedKey, fileSize) {
+    var chunks, count, container;
+    try {
+      chunks = new Chunks(header.params, headerData, derivedKey, header.salt);
+    } catch (e) {
+      return callback(e);
+    }
+    count = Math.max(1, Math.ceil((fileSize - header.length) / chunks.encryptedLength(chunks.chunkSize)));
+    container = new Container(handle, chunks, header.length, count, 0);
+    container._readChunk(count - 1, function (err, plainText) {
+      if (err) { return callback(err); }
+      container.size = (count - 1) * chunks.chunkSize + plainText.length;
+      callback(null, container);
+    });
+  }
+
+  fileSize(handle, function (err, size) {
+    if (err) { return callback(err); }
+    readHeader(size);
+  });
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE: DEFAULT_CHUNK_SIZE,
+  isChunkSize: isChunkSize,
+  ContainerStream: ContainerStream,
+  open: open
+};
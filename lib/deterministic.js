@@ -0,0 +1,61 @@
+"use strict";
+/**
+ * Deterministic encryption and blind indexes, for equality lookups on encrypted data
+ *
+ * Deterministic encryption (`m=siv`) is SIV-style: the salt is fixed and the iv is synthesized from an HMAC of the
+ * header, associated data and plain text, so the same plain text always produces the same encoded data. It reveals
+ * which records are equal, so it is only used when asked for.
+ *
+ * A blind index is a truncated HMAC of a value, keyed with a subkey derived from `key` that is only used for
+ * indexes. Fewer bits cause more false positives, which hides more about the values.
+ */
+var crypto = require('crypto');
+
+// The fixed salt of deterministic encryption
+var SALT = crypto.createHash('sha256').update('kripke deterministic').digest().slice(0, 16);
+// The fixed salt used to derive the key of blind indexes
+var BLIND_INDEX_SALT = crypto.createHash('sha256').update('kripke blind index').digest().slice(0, 16);
+
+/**
+ * Synthesize the iv of deterministic encryption
+ *
+ * @param hmacAlgorithm {string}
+ * @param hmacKey {Buffer} The HMAC subkey, which is never used as the encryption key
+ * @param header {string} The header, with the associated data appended
+ * @param plainText {string|Buffer}
+ * @param length {number} The iv length of the algorithm
+ * @returns {Buffer}
+ */
+function syntheticIv(hmacAlgorithm, hmacKey, header, plainText, length) {
+  // The prefix keeps it apart from the HMAC signature, which covers data starting with the header
+  return crypto.createHmac(hmacAlgorithm, hmacKey).update('kripke siv$' + header + '$').update(plainText).digest()
+    .slice(0, length);
+}
+
+/**
+ * Compute a blind index
+ *
+ * @param derivedKey {Buffer} The key derived from `key` with `BLIND_INDEX_SALT`
+ * @param value {string|Buffer}
+ * @param bits {number} The number of bits to keep, from 1 to 256
+ * @param [name] {string} The name of the index. Each name has its own key.
+ * @returns {string} The index as hex. The unused bits of the last byte are 0.
+ */
+function blindIndex(derivedKey, value, bits, name) {
+  var indexKey, hash;
+  indexKey = Buffer.from(crypto.hkdfSync('sha256', derivedKey, BLIND_INDEX_SALT, 'kripke blind index$' + (name || ''),
+    32));
+  hash = crypto.createHmac('sha256', indexKey).update(value).digest().slice(0, Math.ceil(bits / 8));
+  indexKey.fill(0);
+  if (bits % 8) {
+    hash[hash.length - 1] &= 0xff << (8 - bits % 8);
+  }
+  return hash.toString('hex');
+}
+
+module.exports = {
+  SALT: SALT,
+  BLIND_INDEX_SALT: BLIND_INDEX_SALT,
+  syntheticIv: syntheticIv,
+  blindIndex: blindIndex
+};
@@ -0,0 +1,116 @@
+"use strict";
+/**
+ * The errors reported by Kripke
+ *
+ * Every error is a `KripkeError` with a stable `code`, so callers can handle them without matching messages:
+ *
+ * - KripkeArgumentError (ERR_KRIPKE_ARGUMENT): an argument or option is invalid
+ * - KripkeFormatError (ERR_KRIPKE_FORMAT): the encoded data is malformed or uses an unsupported version or parameter
+ * - KripkeKeyError (ERR_KRIPKE_KEY): a key is missing or invalid, or there is no key with the ID in the encoded data
+ * - KripkeIntegrityError (ERR_KRIPKE_INTEGRITY): the data was modified or the key is wrong. Failed HMAC signatures,
+ *   authentication tags and padding all report the same message, so they can't be told apart.
+ * - KripkeExpiredError (ERR_KRIPKE_EXPIRED): the data is authentic but its TTL has expired, or it was issued in the
+ *   future
+ *
+ * This module is shared with the WebCrypto build (web.js), so it only uses what browsers have.
+ */
+
+/**
+ * Set up the prototype chain of a subclass, like `util.inherits`
+ *
+ * @param ctor {function}
+ * @param superCtor {function}
+ */
+function inherits(ctor, superCtor) {
+  ctor.prototype = Object.create(superCtor.prototype, {
+    constructor: { value: ctor, writable: true, configurable: true }
+  });
+}
+
+/**
+ * @param message {string}
+ * @constructor
+ */
+function KripkeError(message) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+  this.message = message;
+}
+inherits(KripkeError, Error);
+KripkeError.prototype.name = 'KripkeError';
+KripkeError.prototype.code = 'ERR_KRIPKE';
+
+/**
+ * Define a subclass of `KripkeError`
+ *
+ * @param name {string}
+ * @param code {string}
+ * @returns {function} The constructor, which takes the message
+ */
+function define(name, code) {
+  var KripkeSubError = function (message) {
+    KripkeError.call(this, message);
+  };
+  inherits(KripkeSubError, KripkeError);
+  Object.defineProperty(KripkeSubError, 'name', { value: name });
+  KripkeSubError.prototype.name = name;
+  KripkeSubError.prototype.code = code;
+  return KripkeSubError;
+}
+
+var KripkeArgumentError = define('KripkeArgumentError', 'ERR_KRIPKE_ARGUMENT');
+var KripkeFormatError = define('KripkeFormatError', 'ERR_KRIPKE_FORMAT');
+var KripkeKeyError = define('KripkeKeyError', 'ERR_KRIPKE_KEY');
+var KripkeIntegrityError = define('KripkeIntegrityError', 'ERR_KRIPKE_INTEGRITY');
+var KripkeExpiredError = define('KripkeExpiredError', 'ERR_KRIPKE_EXPIRED');
+
+// The message of every `KripkeIntegrityError` caused by modified data or a wrong key
+var INTEGRITY_MESSAGE = 'Integrity verification failed';
+
+/**
+ * Create the error for data that failed its HMAC signature, authentication tag or padding check
+ *
+ * @returns {KripkeIntegrityError}
+ */
+function integrityError() {
+  return new KripkeIntegrityError(INTEGRITY_MESSAGE);
+}
+
+/**
+ * Recreate an error from its `name`, `message` and `code`, e.g. after it was sent from a worker thread
+ *
+ * @param error {{name: string, message: string, code: string}}
+ * @returns {Error}
+ */
+function revive(error) {
+  var classes = {
+    KripkeError: KripkeError,
+    KripkeArgumentError: KripkeArgumentError,
+    KripkeFormatError: KripkeFormatError,
+    KripkeKeyError: KripkeKeyError,
+    KripkeIntegrityError: KripkeIntegrityError,
+    KripkeExpiredError: KripkeExpiredError
+  }, err;
+  if (classes.hasOwnProperty(error.name)) {
+    return new classes[error.name](error.message);
+  }
+  err = new Error(error.message);
+  if (error.code) { err.code = error.code; }
+  return err;
+}
+
+module.exports = {
+  KripkeError: KripkeError,
+  KripkeArgumentError: KripkeArgumentError,
+  KripkeFormatError: KripkeFormatError,
+  KripkeKeyError: KripkeKeyError,
+  KripkeIntegrityError: KripkeIntegrityError,
+  KripkeExpiredError: KripkeExpiredError,
+  INTEGRITY_MESSAGE: INTEGRITY_MESSAGE,
+  integrityError: integrityError,
+  revive: revive
+};
@@ -0,0 +1,261 @@
+"use strict";
+/**
+ * Encrypt and decrypt selected fields of a JSON document
+ *
+ * Paths are dotted (`user.ssn`) or JSONPath-style (`$.accounts[*].token`, `$['user']['ssn']`). `*` or `[*]`
+ * matches every element of an array or every property of an object.
+ *
+ * Each value is serialized as JSON together with the path of its field before it is encrypted, so numbers,
+ * booleans, objects and `null` keep their type, and a value moved to another field fails to decrypt. Array
+ * elements are identified by the array's path, not their position, so arrays can be reordered.
+ */
+var errors = require('./errors');
+
+/**
+ * @typedef {{}} pathSegment
+ * @property [key] {string} An object property
+ * @property [index] {number} An array element
+ * @property [wildcard] {boolean} Every array element or object property
+ */
+
+/**
+ * Parse a field path
+ *
+ * @param path {string}
+ * @returns {pathSegment[]}
+ * @throws {KripkeArgumentError} The path is invalid
+ */
+function parsePath(path) {
+  var segments = [], rest, match;
+  if (typeof path !== 'string' || !path) {
+    throw new errors.KripkeArgumentError('Invalid field path "' + path + '"');
+  }
+
+  rest = path.replace(/^\$(?=$|[.\[])/, '');
+  if (rest.charAt(0) === '.') { rest = rest.substr(1); }
+  while (rest) {
+    match = /^\[\*\]|^\[(\d+)\]|^\['([^']*)'\]|^\["([^"]*)"\]|^([^.\[\]]+)/.exec(rest);
+    if (!match) {
+      throw new errors.KripkeArgumentError('Invalid field path "' + path + '"');
+    }
+    if (match[1] !== undefined) {
+      segments.push({ index: parseInt(match[1], 10) });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      segments.push({ key: match[2] !== undefined ? match[2] : match[3] });
+    } else if (match[4] !== undefined && match[4] !== '*') {
+      segments.push({ key: match[4] });
+    } else {
+      segments.push({ wildcard: true });
+    }
+
+    rest = rest.substr(match[0].length);
+    if (rest.charAt(0) === '.') {
+      rest = rest.substr(1);
+      if (!rest) {
+        throw new errors.KripkeArgumentError('Invalid field path "' + path + '"');
+      }
+    }
+  }
+  if (!segments.length) {
+    throw new errors.KripkeArgumentError('Invalid field path "' + path + '"');
+  }
+  return segments;
+}
+
+/**
+ * Add a property to a canonical field path
+ *
+ * @param path {string}
+ * @param key {string}
+ * @returns {string}
+ */
+function joinKey(path, key) {
+  if (/^[a-z_$][a-z0-9_$]*$/i.test(key)) {
+    return path ? path + '.' + key : key;
+  }
+  return path + "['" + key.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "']";
+}
+
+/**
+ * Find the fields matching the paths
+ *
+ * @param document {{}|Array}
+ * @param paths {string[]}
+ * @returns {Array<{container: {}|Array, key: string|number, path: string}>} Each field once, with its canonical path
+ * @throws {KripkeArgumentError} A path is invalid
+ */
+function select(document, paths) {
+  var fields = [], seen = new Map();
+
+  function add(container, key, path) {
+    var keys = seen.get(container) || new Set();
+    seen.set(container, keys);
+    if (container[key] !== undefined && !keys.has(key)) {
+      keys.add(key);
+      fields.push({ container: container, key: key, path: path });
+    }
+  }
+
+  function walk(value, segments, i, path) {
+    var segment = segments[i], last = i === segments.length - 1;
+
+    function visit(key, childPath) {
+      if (last) {
+        add(value, key, childPath);
+      } else {
+        walk(value[key], segments, i + 1, childPath);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (segment.wildcard) {
+        value.forEach(function (element, index) { visit(index, path + '[*]'); });
+      } else if (segment.index !== undefined && segment.index < value.length) {
+        visit(segment.index, path + '[*]');
+      }
+    } else if (value && typeof value === 'object') {
+      if (segment.wildcard) {
+        Object.keys(value).forEach(function (key) { visit(key, joinKey(path, key)); });
+      } else if (segment.key !== undefined && Object.prototype.hasOwnProperty.call(value, segment.key)) {
+        visit(segment.key, joinKey(path, segment.key));
+      }
+    }
+  }
+
+  paths.map(parsePath).forEach(function (segments) {
+    walk(document, segments, 0, '');
+  });
+  return fields;
+}
+
+/**
+ * Copy the arrays and plain objects of a document, so it can be changed without changing the original
+ *
+ * @param value {*}
+ * @returns {*}
+ */
+function copy(value) {
+  var result;
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    result = {};
+    Object.keys(value).forEach(function (key) {
+      result[key] = copy(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Check the arguments and find the fields to encrypt or decrypt in a copy of the document
+ *
+ * @param document {{}|Array}
+ * @param paths {string|string[]}
+ * @returns {{document: {}|Array, fields: Array}}
+ * @throws {KripkeArgumentError} The document or a path is invalid
+ */
+function prepare(document, paths) {
+  if (!document || typeof document !== 'object') {
+    throw new errors.KripkeArgumentError('Invalid document');
+  }
+  if (!Array.isArray(paths)) {
+    paths = [paths];
+  }
+  document = copy(document);
+  return { document: document, fields: select(document, paths) };
+}
+
+/**
+ * Encrypt the value of a field, serialized as JSON together with its path
+ *
+ * @param kripke {Kripke}
+ * @param path {string} The canonical path of the field
+ * @param value {*}
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @returns {Promise<string|Buffer>} The encoded data
+ */
+function encryptValue(kripke, path, value, options) {
+  return kripke.encrypt(JSON.stringify({ path: path, value: value }), options);
+}
+
+/**
+ * Decrypt the value of a field encrypted by `encryptValue`
+ *
+ * @param kripke {Kripke}
+ * @param path {string} The canonical path of the field
+ * @param encodedText {string|Buffer}
+ * @param options {{}} The options of `Kripke#decrypt`
+ * @returns {Promise<*>} The value
+ */
+function decryptValue(kripke, path, encodedText, options) {
+  return kripke.decrypt(encodedText, options).then(function (plainText) {
+    var decoded;
+    try {
+      decoded = JSON.parse(plainText);
+    } catch (e) {
+      decoded = null;
+    }
+    if (!decoded || typeof decoded.path !== 'string') {
+      throw new errors.KripkeFormatError('The value of "' + path + '" was not encrypted by "encryptFields"');
+    }
+    if (decoded.path !== path) {
+      throw new errors.KripkeIntegrityError('The value of "' + path + '" was encrypted for "' + decoded.path + '"');
+    }
+    return decoded.value;
+  });
+}
+
+/**
+ * Encrypt the fields of a document
+ *
+ * @param kripke {Kripke}
+ * @param document {{}|Array}
+ * @param paths {string|string[]}
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @param callback {function(Error, {}|Array)} Returns a copy of the document with the fields encrypted
+ * @throws {KripkeArgumentError} The document or a path is invalid
+ */
+function encryptFields(kripke, document, paths, options, callback) {
+  var selected = prepare(document, paths);
+  Promise.all(selected.fields.map(function (field) {
+    return encryptValue(kripke, field.path, field.container[field.key], options).then(function (encodedText) {
+      field.container[field.key] = encodedText;
+    });
+  })).then(function () {
+    callback(null, selected.document);
+  }, callback);
+}
+
+/**
+ * Decrypt the fields of a document encrypted by `encryptFields`
+ *
+ * @param kripke {Kripke}
+ * @param document {{}|Array}
+ * @param paths {string|string[]} The paths used to encrypt the fields
+ * @param options {{}} The options of `Kripke#decrypt`
+ * @param callback {function(Error, {}|Array)} Returns a copy of the document with the fields decrypted
+ * @throws {KripkeArgumentError} The document or a path is invalid
+ */
+function decryptFields(kripke, document, paths, options, callback) {
+  var selected = prepare(document, paths);
+  Promise.all(selected.fields.map(function (field) {
+    return decryptValue(kripke, field.path, field.container[field.key], options).then(function (value) {
+      field.container[field.key] = value;
+    });
+  })).then(function () {
+    callback(null, selected.document);
+  }, callback);
+}
+
+module.exports = {
+  parsePath: parsePath,
+  joinKey: joinKey,
+  copy: copy,
+  encryptValue: encryptValue,
+  decryptValue: decryptValue,
+  encryptFields: encryptFields,
+  decryptFields: decryptFields
+};
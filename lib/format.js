@@ -0,0 +1,403 @@
+"use strict";
+/**
+ * Parsing and serialization of the encoded strings produced by `encrypt`
+ *
+ * Version 2 strings are self-describing and follow the PHC string format:
+ *
+ *   $kripke$v=2$c=aes-256-cbc,kdf=pbkdf2,i=131072,l=256,d=sha256,h=sha256$<cipherText>$<iv>$<salt>[$<hmac>]
+ *
+ * The header is part of the signed data, so the parameters cannot be altered without failing HMAC verification.
+ * AEAD ciphers also authenticate the header, and their authentication tag is appended to the cipher text.
+ *
+ * Version 1 (legacy) strings are `<cipherText>$<iv>$<salt>[$<hmac>]` and carry no parameters. They can only be
+ * decrypted with the same options that were used to encrypt them.
+ *
+ * With envelope encryption (`w=kek`), the ID of the key-encryption key and the wrapped data key follow the header:
+ *
+ *   $kripke$v=2$w=kek,c=aes-256-cbc,l=256,s=hkdf,h=sha256$<kekId>:<wrappedKey>$<cipherText>$<iv>$<salt>$<hmac>
+ *
+ * They are not part of the signed data, so the data key can be rewrapped without re-encrypting the data.
+ * Modifying them changes the data key, so the HMAC signature (keyed from the data key) no longer matches.
+ *
+ * Data encrypted for public keys (`w=pk`) has a comma separated list of recipient IDs and wrapped data keys instead:
+ *
+ *   $kripke$v=2$w=pk,c=aes-256-cbc,l=256,s=hkdf,h=sha256$<id>:<wrappedKey>[,<id>:<wrappedKey>...]$<cipherText>...
+ *
+ * Version 2 data can also be serialized in a compact binary format, which is used as is or as a URL-safe base64
+ * string. The HMAC signature and AEAD authentication always cover the '$' delimited form, so the same data can be
+ * converted between formats.
+ */
+var errors = require('./errors');
+var headerParams = require('./params');
+
+var ID = headerParams.ID;
+var VERSION = headerParams.VERSION;
+var MAGIC = Buffer.from(ID);
+// The ways a data key can be wrapped: by a key-encryption key, or for each recipient's public key
+var WRAPPED = ['kek', 'pk'];
+var formatParams = headerParams.formatParams;
+var parseParams = headerParams.parseParams;
+var checkLimits = headerParams.checkLimits;
+var isValid = headerParams.isValid;
+var header = headerParams.header;
+
+/**
+ * @typedef {{}} parsedEnvelope
+ * @property version {number} The format version. 1 for legacy strings
+ * @property params {{}} The parameters from the header. Empty for legacy strings
+ * @property [header] {string} The header as it appears in the encoded text. Not set for legacy strings
+ * @property cipherText {Buffer}
+ * @property iv {Buffer}
+ * @property salt {Buffer}
+ * @property [hmac] {Buffer} The HMAC signature, if the data was signed
+ * @property signedData {string} The data covered by the HMAC signature
+ * @property [kekId] {string} The ID of the key-encryption key, with envelope encryption
+ * @property [wrappedKey] {Buffer} The wrapped data key, with envelope encryption
+ * @property [recipients] {Array<{kekId: string, wrappedKey: Buffer}>} The ID and wrapped data key of each recipient,
+ *                                                                    for data encrypted for public keys
+ */
+
+/**
+ * Create an encoded string from its parts. The HMAC signature must be appended separately.
+ *
+ * Without `wrapped`, this is the data covered by the HMAC signature.
+ *
+ * @param params {{}} The parameters to record in the header
+ * @param cipherText {Buffer}
+ * @param iv {Buffer}
+ * @param salt {Buffer}
+ * @param [wrapped] {{kekId: string, wrappedKey: Buffer}} The wrapped data key, with envelope encryption
+ * @returns {string} A '$' delimited string
+ */
+function format(params, cipherText, iv, salt, wrapped) {
+  return join(header(params), wrapped, cipherText, iv, salt);
+}
+
+/**
+ * Append associated data to the signed data or the header authenticated by an AEAD cipher
+ *
+ * @param data {string} The signed data or header
+ * @param [aad] {Buffer} Associated data that is authenticated but not stored
+ * @returns {string}
+ */
+function withAad(data, aad) {
+  return aad && aad.length ? data + '$' + aad.toString('base64') : data;
+}
+
+/**
+ * Serialize a parsed envelope as a '$' delimited string
+ *
+ * @param envelope {parsedEnvelope} A version 2 envelope
+ * @returns {string}
+ */
+function stringify(envelope) {
+  var encodedText = join(envelope.header, wrappedKeys(envelope), envelope.cipherText, envelope.iv, envelope.salt);
+  return envelope.hmac ? encodedText + '$' + envelope.hmac.toString('base64') : encodedText;
+}
+
+/**
+ * Join the parts of an encoded string
+ *
+ * @param header {string}
+ * @param [wrapped] {{kekId: string, wrappedKey: Buffer}|Array} The wrapped data key, or one per recipient
+ * @param cipherText {Buffer}
+ * @param iv {Buffer}
+ * @param salt {Buffer}
+ * @returns {string}
+ */
+function join(header, wrapped, cipherText, iv, salt) {
+  return [header].concat(wrapped ? [[].concat(wrapped).map(function (entry) {
+    return entry.kekId + ':' + entry.wrappedKey.toString('base64');
+  }).join(',')] : [], [
+    cipherText.toString('base64'),
+    iv.toString('base64'),
+    salt.toString('base64')
+  ]).join('$');
+}
+
+/**
+ * Serialize the binary header shared by binary encoded data and streams
+ *
+ *   'kripke' | version (1 byte) | params length (2 bytes) | params | salt length (1 byte) | salt | iv length (1 byte) | iv
+ *
+ * With envelope encryption, the header ends with the wrapped data key:
+ *
+ *   ... | KEK ID length (1 byte) | KEK ID | wrapped key length (2 bytes) | wrapped key
+ *
+ * Data encrypted for public keys has the number of recipients (1 byte) followed by the same fields for each.
+ *
+ * @param params {{}|string} The parameters, or the already serialized `key=value` list
+ * @param salt {Buffer}
+ * @param iv {Buffer}
+ * @param [wrapped] {{kekId: string, wrappedKey: Buffer}|Array} The wrapped data key, or an array with the
+ *                                                              wrapped key of each recipient
+ * @returns {Buffer}
+ */
+function binaryHeader(params, salt, iv, wrapped) {
+  var paramsBuffer = Buffer.from(typeof params === 'string' ? params : formatParams(params)), lengths = Buffer.alloc(3),
+    parts;
+  lengths.writeUInt8(VERSION, 0);
+  lengths.writeUInt16BE(paramsBuffer.length, 1);
+  parts = [
+    MAGIC, lengths, paramsBuffer,
+    Buffer.from([salt.length]), salt,
+    Buffer.from([iv.length]), iv
+  ];
+  if (Array.isArray(wrapped)) {
+    parts.push(Buffer.from([wrapped.length]));
+  }
+  [].concat(wrapped || []).forEach(function (entry) {
+    var wrappedLength = Buffer.alloc(2);
+    wrappedLength.writeUInt16BE(entry.wrappedKey.length, 0);
+    parts.push(Buffer.from([entry.kekId.length]), Buffer.from(entry.kekId), wrappedLength, entry.wrappedKey);
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse the binary header from the start of the data
+ *
+ * @param data {Buffer}
+ * @returns {{params: {}, paramsText: string, salt: Buffer, iv: Buffer, kekId: string, wrappedKey: Buffer,
+ *            recipients: Array, length: number}|null} Returns `null` if more data is needed
+ * @throws {KripkeFormatError} The data does not start with a binary header or uses an unsupported version
+ */
+function parseBinaryHeader(data) {
+  var offset = MAGIC.length + 3, paramsText, params, salt, iv, count, wrapped = [], entry, header;
+
+  function read(length) {
+    var value = null;
+    if (data.length >= offset + length) {
+      value = data.slice(offset, offset + length);
+      offset += length;
+    }
+    return value;
+  }
+
+  // Read a field prefixed with a 1 byte length
+  function readField() {
+    var length = read(1);
+    return length && read(length[0]);
+  }
+
+  // Read a KEK ID or recipient ID and a wrapped key
+  function readWrappedKey() {
+    var kekId = readField(), length = kekId && read(2), wrappedKey = length && read(length.readUInt16BE(0));
+    return wrappedKey && { kekId: kekId.toString(), wrappedKey: wrappedKey };
+  }
+
+  if (data.length < offset) { return null; }
+  if (data.slice(0, MAGIC.length).toString('binary') !== ID) {
+    throw new errors.KripkeFormatError('Encoded data is invalid');
+  }
+  if (data[MAGIC.length] !== VERSION) {
+    throw new errors.KripkeFormatError('Unsupported encoded data version');
+  }
+  paramsText = read(data.readUInt16BE(MAGIC.length + 1));
+  salt = paramsText && readField();
+  iv = salt && readField();
+  if (!iv) { return null; }
+  paramsText = paramsText.toString();
+  params = parseParams(paramsText);
+  if (params.wrapped) {
+    validateWrapped(params.wrapped);
+    count = params.wrapped === 'pk' ? read(1) : [1];
+    if (!count) { return null; }
+    while (wrapped.length < count[0]) {
+      entry = readWrappedKey();
+      if (!entry) { return null; }
+      wrapped.push(entry);
+    }
+  }
+
+  header = { params: params, paramsText: paramsText, salt: salt, iv: iv, length: offset };
+  setWrappedKeys(header, params, wrapped);
+  return header;
+}
+
+/**
+ * Check the key wrapping of encoded data
+ *
+ * @param wrapped {string} The `w` parameter
+ * @throws {KripkeFormatError} It is not supported
+ */
+function validateWrapped(wrapped) {
+  if (WRAPPED.indexOf(wrapped) === -1) {
+    throw new errors.KripkeFormatError('Unsupported key wrapping "' + wrapped + '"');
+  }
+}
+
+/**
+ * Record the wrapped data keys on a parsed envelope or header: `kekId` and `wrappedKey` for a KEK,
+ * or `recipients` for public keys
+ *
+ * @param target {{}}
+ * @param params {{}}
+ * @param wrapped {Array<{kekId: string, wrappedKey: Buffer}>}
+ * @throws {KripkeFormatError} The number of wrapped keys doesn't match the key wrapping
+ */
+function setWrappedKeys(target, params, wrapped) {
+  if (params.wrapped === 'pk') {
+    if (!wrapped.length) {
+      throw new errors.KripkeFormatError('Encoded data is invalid');
+    }
+    target.recipients = wrapped;
+  } else if (params.wrapped) {
+    if (wrapped.length !== 1) {
+      throw new errors.KripkeFormatError('Encoded data is invalid');
+    }
+    target.kekId = wrapped[0].kekId;
+    target.wrappedKey = wrapped[0].wrappedKey;
+  }
+}
+
+/**
+ * Get the wrapped data keys of a parsed envelope
+ *
+ * @param envelope {parsedEnvelope}
+ * @returns {{kekId: string, wrappedKey: Buffer}|Array|undefined} The wrapped key, or one per recipient
+ */
+function wrappedKeys(envelope) {
+  return envelope.recipients || (envelope.wrappedKey && envelope);
+}
+
+/**
+ * Serialize a parsed envelope in the compact binary format
+ *
+ *   binary header | cipher text length (4 bytes) | cipher text [| hmac]
+ *
+ * @param envelope {parsedEnvelope} A version 2 envelope
+ * @returns {Buffer}
+ */
+function toBinary(envelope) {
+  var length = Buffer.alloc(4);
+  if (envelope.version !== VERSION) {
+    throw new errors.KripkeFormatError('Only version ' + VERSION + ' encoded text can be converted to binary');
+  }
+  length.writeUInt32BE(envelope.cipherText.length, 0);
+  return Buffer.concat([
+    binaryHeader(envelope.header.split('$')[3], envelope.salt, envelope.iv, wrappedKeys(envelope)),
+    length,
+    envelope.cipherText,
+    envelope.hmac || Buffer.alloc(0)
+  ]);
+}
+
+/**
+ * Parse data in the compact binary format
+ *
+ * @param data {Buffer}
+ * @returns {parsedEnvelope}
+ * @throws {KripkeFormatError} The data is malformed or uses an unsupported version
+ */
+function parseBinary(data) {
+  var header = parseBinaryHeader(data), envelope, length;
+  if (!header || data.length < header.length + 4) {
+    throw new errors.KripkeFormatError('Encoded data is invalid');
+  }
+  length = data.readUInt32BE(header.length);
+  if (data.length < header.length + 4 + length) {
+    throw new errors.KripkeFormatError('Encoded data is invalid');
+  }
+
+  envelope = {
+    version: VERSION,
+    params: header.params,
+    header: ['', ID, 'v=' + VERSION, header.paramsText].join('$'),
+    cipherText: data.slice(header.length + 4, header.length + 4 + length),
+    iv: header.iv,
+    salt: header.salt
+  };
+  ['kekId', 'wrappedKey', 'recipients'].forEach(function (name) {
+    if (header[name]) {
+      envelope[name] = header[name];
+    }
+  });
+  if (data.length > header.length + 4 + length) {
+    envelope.hmac = data.slice(header.length + 4 + length);
+  }
+  // The signature always covers the '$' delimited form
+  envelope.signedData = [
+    envelope.header,
+    envelope.cipherText.toString('base64'),
+    envelope.iv.toString('base64'),
+    envelope.salt.toString('base64')
+  ].join('$');
+  return envelope;
+}
+
+/**
+ * Split encoded data into its parts
+ *
+ * Accepts '$' delimited strings (either version), Buffers in the compact binary format,
+ * or the binary format as a URL-safe base64 string.
+ *
+ * @param encodedText {string|Buffer}
+ * @returns {parsedEnvelope}
+ * @throws {KripkeFormatError} The encoded text is malformed or uses an unsupported version
+ */
+function parse(encodedText) {
+  var parts, envelope, wrapped;
+  if (Buffer.isBuffer(encodedText)) {
+    return parseBinary(encodedText);
+  }
+  if (typeof encodedText !== 'string') {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  if (encodedText.indexOf('$') === -1) {
+    return parseBinary(Buffer.from(encodedText, 'base64url'));
+  }
+  parts = encodedText.split('$');
+
+  if (parts[0] === '' && parts[1] === ID) {
+    if (parts[2] !== 'v=' + VERSION) {
+      throw new errors.KripkeFormatError('Unsupported encoded text version');
+    }
+    envelope = { version: VERSION, params: parseParams(parts[3] || ''), header: parts.slice(0, 4).join('$') };
+    parts = parts.slice(4);
+    if (envelope.params.wrapped) {
+      validateWrapped(envelope.params.wrapped);
+      wrapped = (parts.shift() || '').split(',').map(function (entry) {
+        var match = /^([a-z0-9\-_.]+):([a-z0-9+\/=]+)$/i.exec(entry);
+        if (!match) {
+          throw new errors.KripkeFormatError('Encoded text is invalid');
+        }
+        return { kekId: match[1], wrappedKey: Buffer.from(match[2], 'base64') };
+      });
+      setWrappedKeys(envelope, envelope.params, wrapped);
+    }
+    if (parts.length < 3 || parts.length > 4) {
+      throw new errors.KripkeFormatError('Encoded text is invalid');
+    }
+    envelope.signedData = [envelope.header].concat(parts.slice(0, 3)).join('$');
+  } else if (parts.length >= 3 && parts.length <= 4) {
+    envelope = { version: 1, params: {}, signedData: parts.slice(0, 3).join('$') };
+  } else {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+
+  envelope.cipherText = Buffer.from(parts[0], 'base64');
+  envelope.iv = Buffer.from(parts[1], 'base64');
+  envelope.salt = Buffer.from(parts[2], 'base64');
+  if (parts.length > 3) {
+    envelope.hmac = Buffer.from(parts[3], 'base64');
+  }
+  return envelope;
+}
+
+module.exports = {
+  ID: ID,
+  VERSION: VERSION,
+  formatParams: formatParams,
+  parseParams: parseParams,
+  checkLimits: checkLimits,
+  isValid: isValid,
+  header: header,
+  format: format,
+  stringify: stringify,
+  withAad: withAad,
+  binaryHeader: binaryHeader,
+  parseBinaryHeader: parseBinaryHeader,
+  toBinary: toBinary,
+  parse: parse
+};
@@ -0,0 +1,310 @@
+"use strict";
+/**
+ * JWE compact serialization (RFC 7516), so other languages can decrypt data encrypted with the same `key`
+ *
+ *   BASE64URL(header).BASE64URL(encrypted key).BASE64URL(iv).BASE64URL(cipher text).BASE64URL(tag)
+ *
+ * Key management (`alg`):
+ *
+ * - PBES2-HS256+A128KW, PBES2-HS384+A192KW and PBES2-HS512+A256KW: a random content key is wrapped (AES key wrap)
+ *   with a key derived from `key` by PBKDF2, with the salt `p2s` and count `p2c` recorded in the header
+ * - dir: `key` is the content key, and must have its exact length
+ *
+ * Content encryption (`enc`): A128GCM, A192GCM, A256GCM, A128CBC-HS256, A192CBC-HS384 and A256CBC-HS512.
+ * The protected header is authenticated as the associated data.
+ */
+var crypto = require('crypto');
+var cipher = require('./cipher');
+var errors = require('./errors');
+var secrets = require('./secrets');
+
+var DEFAULT_ALGORITHM = 'PBES2-HS256+A128KW';
+var DEFAULT_ENCRYPTION = 'A256GCM';
+
+// The PBES2 algorithms and their PBKDF2 digest and key wrapping key length in bits
+var ALGORITHMS = {
+  'PBES2-HS256+A128KW': { digest: 'sha256', keyLength: 128 },
+  'PBES2-HS384+A192KW': { digest: 'sha384', keyLength: 192 },
+  'PBES2-HS512+A256KW': { digest: 'sha512', keyLength: 256 },
+  dir: {}
+};
+
+// The content encryption algorithms, with the length of their key in bytes, and their HMAC for the CBC algorithms
+var ENCRYPTIONS = {
+  A128GCM: { algorithm: 'aes-128-gcm', keyLength: 16 },
+  A192GCM: { algorithm: 'aes-192-gcm', keyLength: 24 },
+  A256GCM: { algorithm: 'aes-256-gcm', keyLength: 32 },
+  'A128CBC-HS256': { algorithm: 'aes-128-cbc', keyLength: 32, hmacAlgorithm: 'sha256' },
+  'A192CBC-HS384': { algorithm: 'aes-192-cbc', keyLength: 48, hmacAlgorithm: 'sha384' },
+  'A256CBC-HS512': { algorithm: 'aes-256-cbc', keyLength: 64, hmacAlgorithm: 'sha512' }
+};
+
+// The largest PBES2 count accepted when decrypting, unless `iterations` is larger, so a header can't make the key
+// derivation take too long
+var MAX_COUNT = 1000000;
+
+// The iv of AES key wrap (RFC 3394)
+var KEY_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+/**
+ * Check whether encoded data is in the JWE compact serialization
+ *
+ * @param encodedText {string|Buffer}
+ * @returns {boolean}
+ */
+function isJwe(encodedText) {
+  // The header is a JSON object, so it always starts with '{"', which is 'eyJ' in base64
+  return typeof encodedText === 'string' && /^eyJ[A-Za-z0-9_\-]*(\.[A-Za-z0-9_\-]*){4}$/.test(encodedText);
+}
+
+/**
+ * Check the JWE options of `encrypt`
+ *
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @returns {{alg: string, enc: string}}
+ * @throws {KripkeArgumentError} The options are not supported
+ */
+function validate(options) {
+  var jwe = options.jwe || {}, alg = jwe.alg || DEFAULT_ALGORITHM, enc = jwe.enc || DEFAULT_ENCRYPTION;
+  if (!ALGORITHMS.hasOwnProperty(alg)) {
+    throw new errors.KripkeArgumentError('Unsupported JWE "alg" "' + alg + '"');
+  }
+  if (!ENCRYPTIONS.hasOwnProperty(enc)) {
+    throw new errors.KripkeArgumentError('Unsupported JWE "enc" "' + enc + '"');
+  }
+  ['aad', 'ttl', 'deterministic'].forEach(function (name) {
+    if (options[name]) {
+      throw new errors.KripkeArgumentError('JWE does not support "' + name + '"');
+    }
+  });
+  return { alg: alg, enc: enc };
+}
+
+/**
+ * Create an error for an invalid JWE
+ *
+ * @returns {KripkeFormatError}
+ */
+function invalid() {
+  return new errors.KripkeFormatError('Encoded text is invalid');
+}
+
+/**
+ * Get the PBKDF2 salt of PBES2: the algorithm name, a zero byte and `p2s`
+ *
+ * @param alg {string}
+ * @param p2s {Buffer}
+ * @returns {Buffer}
+ */
+function pbes2Salt(alg, p2s) {
+  return Buffer.concat([Buffer.from(alg), Buffer.from([0]), p2s]);
+}
+
+/**
+ * Get the key that wraps or is the content key
+ *
+ * @param kripke {Kripke}
+ * @param header {{}} The JWE header
+ * @param callback {function(Error, Buffer)}
+ * @throws {KripkeKeyError} There is no key with the `kid` of the header, or the `dir` key has the wrong length
+ */
+function keyEncryptionKey(kripke, header, callback) {
+  var algorithm = ALGORITHMS[header.alg];
+  if (header.alg === 'dir') {
+    return setImmediate(callback, null, kripke.directKey(header.kid, ENCRYPTIONS[header.enc].keyLength));
+  }
+  kripke.generateDerivedKey(pbes2Salt(header.alg, Buffer.from(header.p2s, 'base64url')), {
+    keyId: header.kid,
+    kdf: 'pbkdf2',
+    iterations: header.p2c,
+    digest: algorithm.digest,
+    keyLength: algorithm.keyLength
+  }, callback);
+}
+
+/**
+ * Compute the tag of the CBC algorithms: the truncated HMAC of the aad, iv, cipher text and aad length in bits
+ *
+ * @param encryption {{}}
+ * @param macKey {Buffer}
+ * @param aad {Buffer}
+ * @param iv {Buffer}
+ * @param cipherText {Buffer}
+ * @returns {Buffer}
+ */
+function cbcTag(encryption, macKey, aad, iv, cipherText) {
+  var length = Buffer.alloc(8);
+  length.writeUInt32BE(Math.floor(aad.length * 8 / 0x100000000), 0);
+  length.writeUInt32BE(aad.length * 8 % 0x100000000, 4);
+  return crypto.createHmac(encryption.hmacAlgorithm, macKey).update(aad).update(iv).update(cipherText).update(length)
+    .digest().slice(0, encryption.keyLength / 2);
+}
+
+/**
+ * Encrypt data as a JWE
+ *
+ * @param kripke {Kripke}
+ * @param plainText {string|Buffer}
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @param callback {function(Error, string)}
+ * @throws {KripkeError} The options are not supported or there is no key
+ */
+function encrypt(kripke, plainText, options, callback) {
+  var algorithms = validate(options), header = { alg: algorithms.alg, enc: algorithms.enc };
+  if (kripke.keyId) {
+    header.kid = kripke.keyId;
+  }
+  if (header.alg !== 'dir') {
+    header.p2s = crypto.randomBytes(16).toString('base64url');
+    header.p2c = kripke.iterations;
+  }
+
+  keyEncryptionKey(kripke, header, function (err, key) {
+    var encryption = ENCRYPTIONS[header.enc], protectedHeader, aad, contentKey, encryptedKey, iv, cipherText, tag,
+      wrap;
+    if (err) { return callback(err); }
+    try {
+      if (header.alg === 'dir') {
+        contentKey = key;
+        encryptedKey = Buffer.alloc(0);
+      } else {
+        contentKey = crypto.randomBytes(encryption.keyLength);
+        wrap = crypto.createCipheriv('id-aes' + key.length * 8 + '-wrap', key, KEY_WRAP_IV);
+        encryptedKey = Buffer.concat([wrap.update(contentKey), wrap.final()]);
+      }
+      protectedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+      aad = Buffer.from(protectedHeader);
+
+      if (encryption.hmacAlgorithm) {
+        iv = crypto.randomBytes(16);
+        cipherText = cipher.encrypt(encryption.algorithm, contentKey.slice(encryption.keyLength / 2), iv, plainText);
+        tag = cbcTag(encryption, contentKey.slice(0, encryption.keyLength / 2), aad, iv, cipherText);
+      } else {
+        iv = crypto.randomBytes(12);
+        cipherText = cipher.encrypt(encryption.algorithm, contentKey, iv, plainText, aad);
+        tag = cipherText.slice(-cipher.authTagLength);
+        cipherText = cipherText.slice(0, -cipher.authTagLength);
+      }
+    } catch (e) {
+      err = e;
+    }
+    secrets.wipe(key, contentKey);
+    if (err) { return callback(err); }
+    callback(null, [protectedHeader, encryptedKey, iv, cipherText, tag].map(function (part) {
+      return typeof part === 'string' ? part : part.toString('base64url');
+    }).join('.'));
+  });
+}
+
+/**
+ * Parse the header of a JWE
+ *
+ * @param kripke {Kripke}
+ * @param protectedHeader {string}
+ * @returns {{}}
+ * @throws {KripkeFormatError} The header is invalid or not supported
+ */
+function parseHeader(kripke, protectedHeader) {
+  var header;
+  try {
+    header = JSON.parse(Buffer.from(protectedHeader, 'base64url').toString());
+  } catch (e) {
+    throw invalid();
+  }
+  if (!header || typeof header !== 'object' || (header.kid !== undefined && typeof header.kid !== 'string')) {
+    throw invalid();
+  }
+  if (!ALGORITHMS.hasOwnProperty(header.alg)) {
+    throw new errors.KripkeFormatError('Unsupported JWE "alg" "' + header.alg + '"');
+  }
+  if (!ENCRYPTIONS.hasOwnProperty(header.enc)) {
+    throw new errors.KripkeFormatError('Unsupported JWE "enc" "' + header.enc + '"');
+  }
+  // Compressed or critical extensions can't be decrypted correctly, so they are rejected
+  if (header.zip !== undefined || header.crit !== undefined) {
+    throw new errors.KripkeFormatError('Unsupported JWE "' + (header.zip !== undefined ? 'zip' : 'crit') + '"');
+  }
+  if (header.alg !== 'dir') {
+    if (typeof header.p2s !== 'string' || !/^[A-Za-z0-9_\-]{11,}$/.test(header.p2s) ||
+      !(header.p2c > 0 && header.p2c % 1 === 0)) {
+      throw invalid();
+    }
+    if (header.p2c > Math.max(MAX_COUNT, kripke.iterations)) {
+      throw new errors.KripkeFormatError('The JWE "p2c" is larger than ' + Math.max(MAX_COUNT, kripke.iterations));
+    }
+  }
+  return header;
+}
+
+/**
+ * Read the header of a JWE, without verifying it
+ *
+ * @param kripke {Kripke}
+ * @param encodedText {string}
+ * @returns {{}}
+ * @throws {KripkeFormatError} The header is invalid or not supported
+ */
+function readHeader(kripke, encodedText) {
+  return parseHeader(kripke, encodedText.split('.')[0]);
+}
+
+/**
+ * Verify and decrypt a JWE
+ *
+ * @param kripke {Kripke}
+ * @param encodedText {string}
+ * @param callback {function(Error, Buffer)} Returns the decrypted data
+ * @throws {KripkeError} The JWE is invalid or not supported, or there is no key
+ */
+function decrypt(kripke, encodedText, callback) {
+  var parts = encodedText.split('.'), header = parseHeader(kripke, parts[0]), encryption = ENCRYPTIONS[header.enc];
+  var encryptedKey = Buffer.from(parts[1], 'base64url'), iv = Buffer.from(parts[2], 'base64url'),
+    cipherText = Buffer.from(parts[3], 'base64url'), tag = Buffer.from(parts[4], 'base64url');
+  if ((header.alg === 'dir') !== !encryptedKey.length || iv.length !== (encryption.hmacAlgorithm ? 16 : 12) ||
+    tag.length !== (encryption.hmacAlgorithm ? encryption.keyLength / 2 : cipher.authTagLength)) {
+    throw invalid();
+  }
+
+  keyEncryptionKey(kripke, header, function (err, key) {
+    var aad = Buffer.from(parts[0]), contentKey, unwrap, plainText;
+    if (err) { return callback(err); }
+    try {
+      if (header.alg === 'dir') {
+        contentKey = key;
+      } else {
+        // A wrong key fails the integrity check of the key wrap
+        try {
+          unwrap = crypto.createDecipheriv('id-aes' + key.length * 8 + '-wrap', key, KEY_WRAP_IV);
+          contentKey = Buffer.concat([unwrap.update(encryptedKey), unwrap.final()]);
+        } catch (e) {
+          throw errors.integrityError();
+        }
+        if (contentKey.length !== encryption.keyLength) {
+          throw errors.integrityError();
+        }
+      }
+
+      if (encryption.hmacAlgorithm) {
+        if (!cipher.compareBuffers(tag, cbcTag(encryption, contentKey.slice(0, encryption.keyLength / 2), aad, iv,
+          cipherText))) {
+          throw errors.integrityError();
+        }
+        plainText = cipher.decrypt(encryption.algorithm, contentKey.slice(encryption.keyLength / 2), iv, cipherText);
+      } else {
+        plainText = cipher.decrypt(encryption.algorithm, contentKey, iv, Buffer.concat([cipherText, tag]), aad);
+      }
+    } catch (e) {
+      err = e;
+    }
+    secrets.wipe(key, contentKey);
+    callback(err, plainText);
+  });
+}
+
+module.exports = {
+  isJwe: isJwe,
+  validate: validate,
+  readHeader: readHeader,
+  encrypt: encrypt,
+  decrypt: decrypt
+};
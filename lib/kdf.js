@@ -0,0 +1,138 @@
+"use strict";
+/**
+ * Key derivation functions used to derive the encryption key from the secret key
+ *
+ * - pbkdf2: `iterations` of the `digest` hash. Suitable for passwords and other low-entropy secrets.
+ * - scrypt: memory-hard, configured by `cost` (N), `blockSize` (r) and `parallelization` (p).
+ * - hkdf: a single expansion with the `digest` hash, for secrets that are already random and high-entropy.
+ */
+var crypto = require('crypto');
+var errors = require('./errors');
+
+var kdfs = {
+  pbkdf2: {
+    params: ['iterations', 'digest'],
+    derive: function (secret, salt, params, length, callback) {
+      crypto.pbkdf2(secret, salt, params.iterations, length, params.digest, callback);
+    },
+    deriveSync: function (secret, salt, params, length) {
+      return crypto.pbkdf2Sync(secret, salt, params.iterations, length, params.digest);
+    }
+  },
+  scrypt: {
+    params: ['cost', 'blockSize', 'parallelization'],
+    derive: function (secret, salt, params, length, callback) {
+      crypto.scrypt(secret, salt, length, scryptOptions(params), callback);
+    },
+    deriveSync: function (secret, salt, params, length) {
+      return crypto.scryptSync(secret, salt, length, scryptOptions(params));
+    }
+  },
+  hkdf: {
+    params: ['digest'],
+    derive: function (secret, salt, params, length, callback) {
+      crypto.hkdf(params.digest, secret, salt, 'kripke', length, function (err, derivedKey) {
+        callback(err, derivedKey && Buffer.from(derivedKey));
+      });
+    },
+    deriveSync: function (secret, salt, params, length) {
+      return Buffer.from(crypto.hkdfSync(params.digest, secret, salt, 'kripke', length));
+    }
+  }
+};
+
+/**
+ * Get the options of `crypto.scrypt` from the parameters
+ *
+ * @param params {{}}
+ * @returns {{}}
+ */
+function scryptOptions(params) {
+  return {
+    cost: params.cost,
+    blockSize: params.blockSize,
+    parallelization: params.parallelization,
+    // Allow the memory the parameters need instead of the 32MB default
+    maxmem: 256 * params.cost * params.blockSize
+  };
+}
+
+/**
+ * Check the name of the key derivation function
+ *
+ * @param kdf {string}
+ * @throws {KripkeArgumentError} The key derivation function is not supported
+ */
+function validate(kdf) {
+  if (!kdfs.hasOwnProperty(kdf)) {
+    throw new errors.KripkeArgumentError('Unsupported key derivation function "' + kdf + '"');
+  }
+}
+
+/**
+ * Get the names of the parameters used by the key derivation function
+ *
+ * @param kdf {string}
+ * @returns {string[]}
+ */
+function paramNames(kdf) {
+  validate(kdf);
+  return kdfs[kdf].params;
+}
+
+/**
+ * Derive a key from the secret
+ *
+ * @param secret {string|Buffer}
+ * @param salt {Buffer}
+ * @param params {{}} `kdf`, `keyLength` (in bits) and the parameters of the key derivation function
+ * @param callback {function(Error, Buffer)}
+ * @throws {KripkeArgumentError} The key derivation function is not supported
+ */
+function derive(secret, salt, params, callback) {
+  validate(params.kdf);
+  kdfs[params.kdf].derive(secret, salt, params, params.keyLength / 8, callback);
+}
+
+/**
+ * Derive a key from the secret on the calling thread instead of libuv's threadpool
+ *
+ * @param secret {string|Buffer}
+ * @param salt {Buffer}
+ * @param params {{}} The same parameters accepted by `derive`
+ * @returns {Buffer}
+ * @throws {KripkeArgumentError} The key derivation function is not supported
+ */
+function deriveSync(secret, salt, params) {
+  validate(params.kdf);
+  return kdfs[params.kdf].deriveSync(secret, salt, params, params.keyLength / 8);
+}
+
+/**
+ * Expand a derived key into independent encryption and HMAC keys with HKDF, using the per-message salt
+ *
+ * @param derivedKey {Buffer} The output of `derive`
+ * @param salt {Buffer}
+ * @param params {{}} `subkeys` (the expansion method, only 'hkdf') and `hmacAlgorithm` (the HKDF hash)
+ * @returns {{encryptionKey: Buffer, hmacKey: Buffer}}
+ * @throws {KripkeFormatError} The expansion method is not supported
+ */
+function subkeys(derivedKey, salt, params) {
+  var digest = params.hmacAlgorithm;
+  if (params.subkeys !== 'hkdf') {
+    throw new errors.KripkeFormatError('Unsupported subkey derivation "' + params.subkeys + '"');
+  }
+  return {
+    encryptionKey: Buffer.from(crypto.hkdfSync(digest, derivedKey, salt, 'kripke encryption', derivedKey.length)),
+    hmacKey: Buffer.from(crypto.hkdfSync(digest, derivedKey, salt, 'kripke authentication',
+      crypto.createHash(digest).digest().length))
+  };
+}
+
+module.exports = {
+  validate: validate,
+  paramNames: paramNames,
+  derive: derive,
+  deriveSync: deriveSync,
+  subkeys: subkeys
+};
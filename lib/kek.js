@@ -0,0 +1,221 @@
+"use strict";
+/**
+ * Key-encryption key (KEK) providers for envelope encryption
+ *
+ * Each message is encrypted with a random data key. The data key is wrapped (encrypted) by a KEK provider and
+ * stored with the message. Only the provider can unwrap it, so the KEK itself can live in an HSM or a vault.
+ *
+ * A provider is an object with:
+ *
+ * - `id` {string}: recorded with each wrapped key to find the provider again. Letters, numbers, "-", "_" and "."
+ * - `wrapKey(dataKey, callback)`: encrypt the data key Buffer and call `callback(err, wrappedKey)` with a Buffer
+ * - `unwrapKey(wrappedKey, callback)`: decrypt the wrapped key Buffer and call `callback(err, dataKey)`
+ *
+ * Instead of calling `callback`, the methods may return a Promise for the Buffer.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var bytes = require('./bytes');
+var errors = require('./errors');
+var secrets = require('./secrets');
+
+/**
+ * A provider with a 256 bit KEK held in memory. Data keys are wrapped with AES-256-GCM.
+ *
+ * @param options {{}}
+ * @param options.id {string} The ID of the KEK
+ * @param [options.key] {Buffer|string} The KEK as 32 bytes or 64 hex characters
+ * @param [options.keyFile] {string} A file containing the KEK as 32 bytes or 64 hex characters, instead of `key`
+ * @constructor
+ * @throws {KripkeKeyError} The ID or KEK is invalid
+ */
+function LocalKekProvider(options) {
+  var key, read;
+  options = options || {};
+  validateId(options.id);
+  key = read = options.keyFile ? fs.readFileSync(options.keyFile) : options.key;
+  if (!Buffer.isBuffer(key)) {
+    key = Buffer.from(String(key || ''));
+  }
+  // A hex key may be followed by a newline
+  if (key.length !== 32 && /^[0-9a-f]{64}\r?\n?$/i.test(key.toString('binary'))) {
+    key = Buffer.from(key.toString('binary').substr(0, 64), 'hex');
+  }
+  if (key.length !== 32) {
+    throw new errors.KripkeKeyError('A local KEK must be 32 bytes or 64 hex characters');
+  }
+  // Only the KeyObject is kept. The Buffers made here are wiped, the caller's `key` is left as it is.
+  read = [read, key];
+  key = secrets.secretKey(key);
+  read.forEach(function (bytes) {
+    if (bytes !== options.key) { secrets.wipe(bytes); }
+  });
+  this.id = options.id;
+
+  /**
+   * Wrap a data key
+   *
+   * @param dataKey {Buffer}
+   * @param callback {function(Error, Buffer)} Returns the nonce, the wrapped key and the authentication tag
+   */
+  this.wrapKey = function (dataKey, callback) {
+    var iv = crypto.randomBytes(12), cipher, wrappedKey;
+    cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(options.id));
+    wrappedKey = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    setImmediate(callback, null, wrappedKey);
+  };
+
+  /**
+   * Unwrap a data key wrapped by `wrapKey`
+   *
+   * @param wrappedKey {Buffer}
+   * @param callback {function(Error, Buffer)} Returns the data key
+   */
+  this.unwrapKey = function (wrappedKey, callback) {
+    var decipher, dataKey;
+    try {
+      if (wrappedKey.length < 28) {
+        throw new Error('Wrapped key is too short');
+      }
+      decipher = crypto.createDecipheriv('aes-256-gcm', key, wrappedKey.slice(0, 12));
+      decipher.setAAD(Buffer.from(options.id));
+      decipher.setAuthTag(wrappedKey.slice(-16));
+      dataKey = Buffer.concat([decipher.update(wrappedKey.slice(12, -16)), decipher.final()]);
+    } catch (e) {
+      return setImmediate(callback, errors.integrityError());
+    }
+    setImmediate(callback, null, dataKey);
+  };
+}
+
+/**
+ * Check the ID of a KEK
+ *
+ * @param id {string}
+ * @throws {KripkeKeyError} The ID is invalid
+ */
+function validateId(id) {
+  if (typeof id !== 'string' || !/^[a-z0-9\-_.]+$/i.test(id)) {
+    throw new errors.KripkeKeyError('KEK IDs must only contain letters, numbers, "-", "_" and "."');
+  }
+}
+
+/**
+ * The KEK providers of a `Kripke` instance
+ *
+ * @param [primary] {{}} The provider used to wrap new data keys
+ * @param [others] {Array<{}>} Providers only used to unwrap data keys, e.g. after rotating the KEK
+ * @constructor
+ * @throws {KripkeKeyError} A provider is invalid or two have the same ID
+ */
+function KekRing(primary, others) {
+  var ids = {};
+  this.providers = (primary ? [primary] : []).concat(others || []);
+  this.providers.forEach(function (provider) {
+    if (!provider || typeof provider.wrapKey !== 'function' || typeof provider.unwrapKey !== 'function') {
+      throw new errors.KripkeKeyError('A KEK provider must have "wrapKey" and "unwrapKey" functions');
+    }
+    validateId(provider.id);
+    if (ids.hasOwnProperty(provider.id)) {
+      throw new errors.KripkeKeyError('Duplicate KEK ID "' + provider.id + '"');
+    }
+    ids[provider.id] = true;
+  });
+  this.primary = primary;
+}
+
+/**
+ * Find the provider with the ID
+ *
+ * @param id {string}
+ * @returns {{}}
+ * @throws {KripkeKeyError} There is no matching provider
+ */
+KekRing.prototype.find = function (id) {
+  var i;
+  for (i = 0; i < this.providers.length; i++) {
+    if (this.providers[i].id === id) {
+      return this.providers[i];
+    }
+  }
+  throw new errors.KripkeKeyError('No KEK provider found with ID "' + id + '"');
+};
+
+/**
+ * Call a provider method that takes a callback or returns a Promise for a Buffer
+ *
+ * @param provider {{}}
+ * @param method {string} 'wrapKey' or 'unwrapKey'
+ * @param key {Buffer}
+ * @param callback {function(Error, Buffer)}
+ */
+function callProvider(provider, method, key, callback) {
+  var called = false, result;
+
+  function done(err, value) {
+    if (called) { return; }
+    called = true;
+    value = bytes.toBuffer(value);
+    if (!err && !Buffer.isBuffer(value)) {
+      err = new errors.KripkeKeyError('The KEK provider "' + provider.id + '" did not return a Buffer');
+    }
+    callback(err, err ? undefined : value);
+  }
+
+  try {
+    result = provider[method](key, done);
+  } catch (e) {
+    return done(e);
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(function (value) { done(null, value); }, done);
+  }
+}
+
+/**
+ * Wrap a data key with the primary provider
+ *
+ * @param kekRing {KekRing}
+ * @param dataKey {Buffer}
+ * @param callback {function(Error, {kekId: string, wrappedKey: Buffer})}
+ */
+function wrap(kekRing, dataKey, callback) {
+  callProvider(kekRing.primary, 'wrapKey', dataKey, function (err, wrappedKey) {
+    callback(err, wrappedKey && { kekId: kekRing.primary.id, wrappedKey: wrappedKey });
+  });
+}
+
+/**
+ * Unwrap a data key with the provider that wrapped it
+ *
+ * @param kekRing {KekRing}
+ * @param wrapped {{kekId: string, wrappedKey: Buffer}|Array} The wrapped data key, or an array with the wrapped
+ *                                                            key of each recipient of data encrypted for public keys
+ * @param callback {function(Error, Buffer)} Returns a `KripkeKeyError` if there is no provider with the ID, or for
+ *                                          any of the recipients
+ */
+function unwrap(kekRing, wrapped, callback) {
+  var provider;
+  if (Array.isArray(wrapped)) {
+    wrapped = wrapped.filter(function (entry) {
+      return kekRing.providers.some(function (provider) { return provider.id === entry.kekId; });
+    })[0];
+    if (!wrapped) {
+      return setImmediate(callback, new errors.KripkeKeyError('The data was not encrypted for the private key'));
+    }
+  }
+  try {
+    provider = kekRing.find(wrapped.kekId);
+  } catch (e) {
+    return setImmediate(callback, e);
+  }
+  callProvider(provider, 'unwrapKey', wrapped.wrappedKey, callback);
+}
+
+module.exports = {
+  LocalKekProvider: LocalKekProvider,
+  KekRing: KekRing,
+  wrap: wrap,
+  unwrap: unwrap
+};
@@ -0,0 +1,79 @@
+"use strict";
+/**
+ * The set of secret keys held by a `Kripke` instance
+ */
+var errors = require('./errors');
+
+/**
+ * @typedef {{}} keyringEntry
+ * @property [id] {string} The ID recorded with data encrypted by this key
+ * @property key {string|Buffer} The secret key from which to derive the encryption key
+ * @property [hmacKey] {string|Buffer} A secret key to use to sign the encoded data
+ */
+
+/**
+ * Create a keyring from either `options.keys` or a single `options.key`
+ *
+ * @param options {{}}
+ * @param [options.key] {string|Buffer} A single secret key without an ID
+ * @param [options.hmacKey] {string|Buffer} The HMAC key to use with `options.key`
+ * @param [options.keys] {Array<{id: string, key: string|Buffer, hmacKey: string|Buffer, primary: boolean}>}
+ *                       Several keys. The one marked `primary` (or the first one) is used to encrypt.
+ *                       At most one key may omit its `id`. It is used to decrypt data that has no key ID.
+ * @param [optional] {boolean} Allow an empty keyring, which has no `primary` key
+ * @constructor
+ * @throws {KripkeKeyError} No key was provided or the keys are invalid
+ */
+function Keyring(options, optional) {
+  var ids = {}, keys;
+  if (options && options.keys) {
+    keys = options.keys;
+  } else if (options && options.key) {
+    keys = [{ key: options.key, hmacKey: options.hmacKey }];
+  } else if (optional) {
+    keys = [];
+  }
+  if (!(Array.isArray(keys) && (keys.length || optional))) {
+    throw new errors.KripkeKeyError('You must provide a "key"');
+  }
+
+  this.keys = keys.map(function (entry) {
+    var id = entry.id === undefined || entry.id === null ? '' : entry.id;
+    if (!entry.key) {
+      throw new errors.KripkeKeyError('You must provide a "key"');
+    }
+    if (typeof id !== 'string' || !/^[a-z0-9\-_.]*$/i.test(id)) {
+      throw new errors.KripkeKeyError('Key IDs must only contain letters, numbers, "-", "_" and "."');
+    }
+    if (ids.hasOwnProperty(id)) {
+      throw new errors.KripkeKeyError(id ? 'Duplicate key ID "' + id + '"' : 'Only one key may omit its ID');
+    }
+    ids[id] = true;
+    return { id: id || undefined, key: entry.key, hmacKey: entry.hmacKey, primary: !!entry.primary };
+  });
+
+  this.primary = this.keys.filter(function (entry) { return entry.primary; });
+  if (this.primary.length > 1) {
+    throw new errors.KripkeKeyError('Only one key may be marked as primary');
+  }
+  this.primary = this.primary[0] || this.keys[0];
+}
+
+/**
+ * Find the key with the ID
+ *
+ * @param [keyId] {string} The ID of the key, or `undefined` for the key without an ID
+ * @returns {keyringEntry}
+ * @throws {KripkeKeyError} There is no matching key
+ */
+Keyring.prototype.find = function (keyId) {
+  var i;
+  for (i = 0; i < this.keys.length; i++) {
+    if (this.keys[i].id === (keyId || undefined)) {
+      return this.keys[i];
+    }
+  }
+  throw new errors.KripkeKeyError(keyId ? 'No key found with ID "' + keyId + '"' : 'No key found without an ID');
+};
+
+module.exports = Keyring;
@@ -0,0 +1,133 @@
+"use strict";
+/**
+ * Parameter policies and the migration of data encrypted with outdated parameters
+ *
+ * A policy is checked against the parameters recorded in the header, so outdated data is found without decrypting
+ * it. The header is not verified, so modified data can only be reported as outdated, and then fails to decrypt.
+ */
+var async = require('./async');
+var errors = require('./errors');
+var format = require('./format');
+
+/**
+ * The parameters that encoded data must use to be current
+ *
+ * @param options {{}} The policy. Any option that is not provided defaults to the instance option.
+ * @param [options.minIterations] {number} The minimum number of pbkdf2 iterations. Default: `iterations`
+ * @param [options.minCost] {number} The minimum scrypt cost. Default: `cost`
+ * @param [options.algorithms] {string[]} The allowed encryption algorithms. Default: `[algorithm]`
+ * @param [options.requireHmac] {boolean} Data must have an HMAC signature. Default: false
+ * @param [options.requirePrimaryKey] {boolean} Data must be encrypted with the primary key, or with envelope
+ *                                             encryption. Default: true
+ * @param kripke {Kripke} The instance whose options are the defaults
+ * @constructor
+ */
+function Policy(options, kripke) {
+  options = options || {};
+  this.minIterations = options.minIterations || kripke.iterations;
+  this.minCost = options.minCost || kripke.cost;
+  this.algorithms = (options.algorithms || [kripke.algorithm]).map(function (algorithm) {
+    return algorithm.toLowerCase();
+  });
+  this.requireHmac = !!options.requireHmac;
+  this.requirePrimaryKey = options.requirePrimaryKey !== false;
+}
+
+/**
+ * Check whether parsed encoded data uses outdated parameters
+ *
+ * @param envelope {parsedEnvelope}
+ * @param keyId {string|undefined} The ID of the primary key
+ * @returns {boolean}
+ */
+Policy.prototype.isOutdated = function (envelope, keyId) {
+  var params = envelope.params;
+  // Legacy strings don't record their parameters
+  if (envelope.version !== format.VERSION) {
+    return true;
+  }
+  return this.algorithms.indexOf(String(params.algorithm).toLowerCase()) === -1 ||
+    (params.kdf === 'pbkdf2' && params.iterations < this.minIterations) ||
+    (params.kdf === 'scrypt' && params.cost < this.minCost) ||
+    (this.requireHmac && !envelope.hmac) ||
+    (this.requirePrimaryKey && !params.wrapped && params.keyId !== keyId);
+};
+
+/**
+ * Check whether a JWE uses outdated parameters. A JWE is always authenticated, and is re-encrypted with its own
+ * algorithms, so only the PBES2 count and the key are checked.
+ *
+ * @param header {{}} The JWE header
+ * @param keyId {string|undefined} The ID of the primary key
+ * @returns {boolean}
+ */
+Policy.prototype.isJweOutdated = function (header, keyId) {
+  return (header.alg !== 'dir' && header.p2c < this.minIterations) ||
+    (this.requirePrimaryKey && header.kid !== keyId);
+};
+
+/**
+ * Re-encrypt the records that need it, one at a time and in order
+ *
+ * @param kripke {Kripke}
+ * @param records {Iterable|AsyncIterable} The records
+ * @param options {{}} The options of `Kripke#migrate`
+ * @param callback {function(Error, {})} Returns the summary
+ * @throws {KripkeArgumentError} `records` is not iterable or `options.update` is not a function
+ */
+function migrate(kripke, records, options, callback) {
+  var get = options.get || function (record) { return record; }, results, index = 0, summary = {
+    processed: 0,
+    reencrypted: 0,
+    skipped: 0,
+    failed: 0,
+    failures: []
+  };
+  if (typeof options.update !== 'function') {
+    throw new errors.KripkeArgumentError('"update" must be a function');
+  }
+
+  results = async.mapIterable(records, function (record) {
+    var i = index++;
+    return Promise.resolve(record).then(get).then(function (encodedText) {
+      if (!kripke.needsReencrypt(encodedText)) {
+        return false;
+      }
+      return kripke.reencrypt(encodedText).then(function (reencrypted) {
+        return options.update(record, reencrypted, i);
+      }).then(function () {
+        return true;
+      });
+    }).then(function (reencrypted) {
+      summary[reencrypted ? 'reencrypted' : 'skipped']++;
+    }, function (err) {
+      // A record that fails doesn't stop the migration
+      summary.failed++;
+      summary.failures.push({ index: i, record: record, error: err });
+    }).then(function () {
+      summary.processed++;
+      if (options.onProgress) {
+        options.onProgress({
+          processed: summary.processed,
+          reencrypted: summary.reencrypted,
+          skipped: summary.skipped,
+          failed: summary.failed
+        });
+      }
+    });
+  });
+
+  (function next() {
+    results.next().then(function (step) {
+      if (step.done) {
+        return callback(null, summary);
+      }
+      next();
+    }, callback);
+  })();
+}
+
+module.exports = {
+  Policy: Policy,
+  migrate: migrate
+};
@@ -0,0 +1,172 @@
+"use strict";
+/**
+ * The parameters recorded in the header of encoded data (see lib/format.js)
+ *
+ * This module is shared with the WebCrypto build (web.js), so it doesn't use Buffers.
+ */
+var errors = require('./errors');
+
+var ID = 'kripke';
+var VERSION = 2;
+
+// Names of the parameters and the keys used for them in the header, in the order they are written
+var PARAMS = {
+  keyId: 'k',
+  wrapped: 'w',
+  algorithm: 'c',
+  kdf: 'kdf',
+  iterations: 'i',
+  cost: 'n',
+  blockSize: 'r',
+  parallelization: 'p',
+  keyLength: 'l',
+  digest: 'd',
+  subkeys: 's',
+  mode: 'm',
+  chunkSize: 'cs',
+  compression: 'z',
+  hmacAlgorithm: 'h',
+  issuedAt: 'iat',
+  expiresAt: 'exp'
+};
+var NUMERIC_PARAMS = ['iterations', 'cost', 'blockSize', 'parallelization', 'keyLength', 'chunkSize', 'issuedAt',
+  'expiresAt'];
+var TIMESTAMP_PARAMS = ['issuedAt', 'expiresAt'];
+var DIGEST_PARAMS = ['digest', 'hmacAlgorithm'];
+// The hash algorithms of `digest` and `hmacAlgorithm`, by their lowercase Node names
+var DIGESTS = ['sha1', 'sha224', 'sha256', 'sha384', 'sha512', 'sha512-224', 'sha512-256', 'sha3-224', 'sha3-256',
+  'sha3-384', 'sha3-512'];
+// Node's crypto functions throw a RangeError for counts and sizes that don't fit in a 32 bit integer
+var MAX_INT32 = 2147483647;
+var KEY_LENGTHS = [128, 192, 256];
+// The largest number of pbkdf2 iterations accepted from a header, unless the instance uses more. The header is only
+// authenticated once the key is derived, so it could otherwise keep the threadpool busy for as long as it likes.
+var MAX_ITERATIONS = 1000000;
+// The most memory (128 * N * r bytes) and the largest parallelization accepted for scrypt, likewise
+var MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+var MAX_PARALLELIZATION = 16;
+
+/**
+ * Serialize the parameters as a comma delimited list of `key=value` pairs
+ *
+ * @param params {{}}
+ * @returns {string}
+ * @throws {KripkeArgumentError} A value contains characters that can't be recorded
+ */
+function formatParams(params) {
+  return Object.keys(PARAMS).filter(function (name) {
+    return params[name] !== undefined && params[name] !== null;
+  }).map(function (name) {
+    var value = String(params[name]);
+    if (!/^[a-z0-9\-_.\/+]+$/i.test(value)) {
+      throw new errors.KripkeArgumentError('Invalid value for parameter "' + name + '"');
+    }
+    return PARAMS[name] + '=' + value;
+  }).join(',');
+}
+
+/**
+ * Parse a comma delimited list of `key=value` pairs
+ *
+ * @param str {string}
+ * @returns {{}}
+ * @throws {KripkeFormatError} The list contains an unknown or malformed parameter
+ */
+function parseParams(str) {
+  var params = {}, names = {};
+  Object.keys(PARAMS).forEach(function (name) { names[PARAMS[name]] = name; });
+
+  str.split(',').forEach(function (pair) {
+    var index = pair.indexOf('='), name = names[pair.substr(0, index)], value = pair.substr(index + 1);
+    if (index < 1 || !name || !value || params.hasOwnProperty(name)) {
+      throw new errors.KripkeFormatError('Encoded text is invalid');
+    }
+    if (NUMERIC_PARAMS.indexOf(name) > -1) {
+      if (!/^[0-9]+$/.test(value)) {
+        throw new errors.KripkeFormatError('Encoded text is invalid');
+      }
+      value = parseInt(value, 10);
+    }
+    if (!isValid(name, value)) {
+      throw new errors.KripkeFormatError(DIGEST_PARAMS.indexOf(name) > -1 ?
+        'Unsupported hash algorithm "' + value + '"' : 'Encoded text is invalid');
+    }
+    params[name] = value;
+  });
+  return params;
+}
+
+/**
+ * Check the value of a parameter, whether it is read from a header or set as an option of the instance
+ *
+ * @param name {string} The name of the parameter, e.g. 'iterations'
+ * @param value {*}
+ * @returns {boolean} Returns `false` if the value would be rejected by the hash or key derivation functions
+ */
+function isValid(name, value) {
+  if (DIGEST_PARAMS.indexOf(name) > -1) {
+    return typeof value === 'string' && DIGESTS.indexOf(value.toLowerCase()) > -1;
+  }
+  if (NUMERIC_PARAMS.indexOf(name) === -1) {
+    return true;
+  }
+  if (!Number.isSafeInteger(value)) {
+    return false;
+  }
+  if (TIMESTAMP_PARAMS.indexOf(name) > -1) {
+    return value >= 0;
+  }
+  if (value < 1 || value > MAX_INT32) {
+    return false;
+  }
+  // The scrypt cost must be a power of 2
+  return name !== 'cost' || (value > 1 && (value & (value - 1)) === 0);
+}
+
+/**
+ * Check the key derivation parameters read from a header before a key is derived with them
+ *
+ * @param params {{}} The parameters of the derivation: `kdf`, `keyLength`, `iterations` for pbkdf2, and `cost`,
+ *                    `blockSize` and `parallelization` for scrypt
+ * @param kripke {{}} The instance, whose settings raise the limits
+ * @throws {KripkeFormatError} A parameter is out of range
+ */
+function checkLimits(params, kripke) {
+  var maxIterations = Math.max(MAX_ITERATIONS, kripke.iterations),
+    maxMemory = Math.max(MAX_SCRYPT_MEMORY, 128 * kripke.cost * kripke.blockSize || 0),
+    maxParallelization = Math.max(MAX_PARALLELIZATION, kripke.parallelization || 0);
+  if (KEY_LENGTHS.indexOf(params.keyLength) === -1) {
+    throw new errors.KripkeFormatError('Unsupported key length "' + params.keyLength + '"');
+  }
+  if (params.kdf === 'pbkdf2' && params.iterations > maxIterations) {
+    throw new errors.KripkeFormatError('The number of iterations is larger than ' + maxIterations);
+  }
+  if (params.kdf === 'scrypt') {
+    if (128 * params.cost * params.blockSize > maxMemory) {
+      throw new errors.KripkeFormatError('The scrypt parameters need more than ' + maxMemory + ' bytes of memory');
+    }
+    if (params.parallelization > maxParallelization) {
+      throw new errors.KripkeFormatError('The scrypt parallelization is larger than ' + maxParallelization);
+    }
+  }
+}
+
+/**
+ * Create the header of an encoded string. It is authenticated along with the data by AEAD ciphers.
+ *
+ * @param params {{}} The parameters to record in the header
+ * @returns {string}
+ */
+function header(params) {
+  return ['', ID, 'v=' + VERSION, formatParams(params)].join('$');
+}
+
+module.exports = {
+  ID: ID,
+  VERSION: VERSION,
+  formatParams: formatParams,
+  parseParams: parseParams,
+  isValid: isValid,
+  checkLimits: checkLimits,
+  header: header
+};
@@ -0,0 +1,204 @@
+"use strict";
+/**
+ * Public-key (hybrid) encryption
+ *
+ * Data encrypted for public keys has a random data key, wrapped for each recipient:
+ *
+ * - RSA keys wrap it with RSA-OAEP and SHA-256
+ * - EC (e.g. P-256), X25519 and X448 keys agree on a secret with a new ephemeral key pair (ECDH). The secret is
+ *   expanded with HKDF into a key that wraps the data key with AES-256-GCM:
+ *
+ *     ephemeral public key length (1 byte) | ephemeral public key (SPKI) | nonce (12 bytes) | wrapped key | tag
+ *
+ * Recipients are identified by the fingerprint of their public key, so a private key finds its wrapped key
+ * without any other configuration.
+ */
+var crypto = require('crypto');
+var errors = require('./errors');
+
+var KEY_TYPES = ['rsa', 'ec', 'x25519', 'x448'];
+
+/**
+ * Load a public or private key
+ *
+ * @param key {string|Buffer|KeyObject|{}} Anything accepted by `crypto.createPublicKey` or `crypto.createPrivateKey`
+ * @param type {string} 'public' or 'private'
+ * @returns {KeyObject}
+ * @throws {KripkeKeyError} The key is invalid or its type is not supported
+ */
+function loadKey(key, type) {
+  try {
+    if (!(key instanceof crypto.KeyObject && key.type === type)) {
+      key = type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+    }
+  } catch (e) {
+    throw new errors.KripkeKeyError('Invalid ' + type + ' key');
+  }
+  if (KEY_TYPES.indexOf(key.asymmetricKeyType) === -1) {
+    throw new errors.KripkeKeyError('Unsupported key type "' + key.asymmetricKeyType + '"');
+  }
+  return key;
+}
+
+/**
+ * Get the ID of a recipient: the first 8 bytes of the SHA-256 hash of its public key, as hex
+ *
+ * @param publicKey {KeyObject}
+ * @returns {string}
+ */
+function fingerprint(publicKey) {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex')
+    .substr(0, 16);
+}
+
+/**
+ * Derive the key that wraps a data key from an ECDH shared secret
+ *
+ * @param privateKey {KeyObject}
+ * @param publicKey {KeyObject}
+ * @param ephemeralKey {Buffer} The ephemeral public key
+ * @param recipientKey {Buffer} The recipient's public key
+ * @returns {Buffer}
+ */
+function wrappingKey(privateKey, publicKey, ephemeralKey, recipientKey) {
+  var secret = crypto.diffieHellman({ privateKey: privateKey, publicKey: publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', secret, ephemeralKey,
+    Buffer.concat([Buffer.from('kripke recipient'), recipientKey]), 32));
+}
+
+/**
+ * A recipient of data encrypted with `Kripke.encryptFor`
+ *
+ * @param key {string|Buffer|KeyObject|{}} The public key of the recipient. A private key is also accepted.
+ * @constructor
+ * @throws {KripkeKeyError} The key is invalid or its type is not supported
+ */
+function Recipient(key) {
+  this.publicKey = loadKey(key, 'public');
+  this.id = fingerprint(this.publicKey);
+}
+
+/**
+ * Wrap a data key for the recipient
+ *
+ * @param dataKey {Buffer}
+ * @returns {Buffer}
+ */
+Recipient.prototype.wrap = function (dataKey) {
+  var publicKey = this.publicKey, details = publicKey.asymmetricKeyDetails, ephemeral, ephemeralKey, iv, cipher;
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return crypto.publicEncrypt({
+      key: publicKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: 'sha256'
+    }, dataKey);
+  }
+
+  ephemeral = crypto.generateKeyPairSync(publicKey.asymmetricKeyType,
+    details && details.namedCurve ? { namedCurve: details.namedCurve } : {});
+  ephemeralKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  iv = crypto.randomBytes(12);
+  cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey(ephemeral.privateKey, publicKey, ephemeralKey,
+    publicKey.export({ type: 'spki', format: 'der' })), iv);
+  return Buffer.concat([
+    Buffer.from([ephemeralKey.length]), ephemeralKey, iv,
+    cipher.update(dataKey), cipher.final(), cipher.getAuthTag()
+  ]);
+};
+
+/**
+ * A KEK provider that unwraps the data keys wrapped for its public key
+ *
+ * It can be used as the `kek` of an instance as well, to wrap data keys for its own public key.
+ *
+ * @param key {string|Buffer|KeyObject|{}} The private key. Anything accepted by `crypto.createPrivateKey`,
+ *                                         e.g. `{ key: pem, passphrase: 'secret' }`
+ * @constructor
+ * @throws {KripkeKeyError} The key is invalid or its type is not supported
+ */
+function PrivateKeyProvider(key) {
+  var privateKey = loadKey(key, 'private'), recipient = new Recipient(privateKey);
+  this.id = recipient.id;
+
+  /**
+   * Wrap a data key for the public key
+   *
+   * @param dataKey {Buffer}
+   * @param callback {function(Error, Buffer)}
+   */
+  this.wrapKey = function (dataKey, callback) {
+    setImmediate(callback, null, recipient.wrap(dataKey));
+  };
+
+  /**
+   * Unwrap a data key wrapped for the public key
+   *
+   * @param wrappedKey {Buffer}
+   * @param callback {function(Error, Buffer)} Returns the data key
+   */
+  this.unwrapKey = function (wrappedKey, callback) {
+    var dataKey;
+    try {
+      dataKey = unwrap(privateKey, recipient.publicKey, wrappedKey);
+    } catch (e) {
+      return setImmediate(callback, errors.integrityError());
+    }
+    setImmediate(callback, null, dataKey);
+  };
+}
+
+/**
+ * Unwrap a data key wrapped by `Recipient#wrap`
+ *
+ * @param privateKey {KeyObject}
+ * @param publicKey {KeyObject} The public key of `privateKey`
+ * @param wrappedKey {Buffer}
+ * @returns {Buffer}
+ * @throws {Error} The wrapped key is invalid or was wrapped for another key
+ */
+function unwrap(privateKey, publicKey, wrappedKey) {
+  var length, ephemeralKey, decipher;
+  if (privateKey.asymmetricKeyType === 'rsa') {
+    return crypto.privateDecrypt({
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: 'sha256'
+    }, wrappedKey);
+  }
+
+  length = wrappedKey[0];
+  if (wrappedKey.length < 1 + length + 28) {
+    throw new Error('Wrapped key is too short');
+  }
+  ephemeralKey = wrappedKey.slice(1, 1 + length);
+  decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey(privateKey,
+    crypto.createPublicKey({ key: ephemeralKey, type: 'spki', format: 'der' }), ephemeralKey,
+    publicKey.export({ type: 'spki', format: 'der' })), wrappedKey.slice(1 + length, 13 + length));
+  decipher.setAuthTag(wrappedKey.slice(-16));
+  return Buffer.concat([decipher.update(wrappedKey.slice(13 + length, -16)), decipher.final()]);
+}
+
+/**
+ * Wrap a data key for each recipient
+ *
+ * @param recipients {Array<Recipient>}
+ * @param dataKey {Buffer}
+ * @param callback {function(Error, Array<{kekId: string, wrappedKey: Buffer}>)}
+ */
+function wrap(recipients, dataKey, callback) {
+  var wrapped;
+  try {
+    wrapped = recipients.map(function (recipient) {
+      return { kekId: recipient.id, wrappedKey: recipient.wrap(dataKey) };
+    });
+  } catch (e) {
+    return setImmediate(callback, e);
+  }
+  setImmediate(callback, null, wrapped);
+}
+
+module.exports = {
+  Recipient: Recipient,
+  PrivateKeyProvider: PrivateKeyProvider,
+  wrap: wrap
+};
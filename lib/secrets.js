@@ -0,0 +1,102 @@
+"use strict";
+/**
+ * Handling of key material
+ *
+ * Secret keys are held as KeyObjects, whose bytes are kept out of the JavaScript heap and out of `util.inspect`.
+ * Buffers holding derived keys are zero-filled as soon as they have been used, and options objects are redacted
+ * when they are logged or serialized.
+ */
+var crypto = require('crypto');
+var util = require('util');
+
+var REDACTED = '[REDACTED]';
+// The options that hold secrets, and the secrets of each entry of `options.keys`
+var SECRET_OPTIONS = ['key', 'hmacKey', 'shares', 'privateKey'];
+var SECRET_ENTRY_OPTIONS = ['key', 'hmacKey'];
+
+/**
+ * Hold a secret key as a KeyObject
+ *
+ * @param key {string|Buffer|KeyObject} Strings are encoded as utf8
+ * @returns {KeyObject}
+ */
+function secretKey(key) {
+  var bytes;
+  if (key instanceof crypto.KeyObject) {
+    return key;
+  }
+  // `createSecretKey` copies the bytes, so only a copy we made ourselves is wiped
+  bytes = Buffer.isBuffer(key) ? key : Buffer.from(key);
+  try {
+    return crypto.createSecretKey(bytes);
+  } finally {
+    if (bytes !== key) { bytes.fill(0); }
+  }
+}
+
+/**
+ * Zero-fill Buffers holding key material once they are no longer needed
+ *
+ * @param {...Buffer} buffers Values that are not Buffers (e.g. `undefined`) are ignored
+ */
+function wipe() {
+  Array.prototype.forEach.call(arguments, function (buffer) {
+    if (Buffer.isBuffer(buffer)) { buffer.fill(0); }
+  });
+}
+
+/**
+ * Copy options with their secrets replaced by '[REDACTED]'
+ *
+ * @param options {{}}
+ * @returns {{}}
+ */
+function redacted(options) {
+  var copy = {};
+  Object.keys(options).forEach(function (name) {
+    var value = options[name];
+    if (SECRET_OPTIONS.indexOf(name) > -1 && value) {
+      value = REDACTED;
+    } else if (name === 'keys' && Array.isArray(value)) {
+      value = value.map(function (entry) {
+        var redactedEntry = Object.assign({}, entry);
+        SECRET_ENTRY_OPTIONS.forEach(function (secret) {
+          if (redactedEntry[secret]) { redactedEntry[secret] = REDACTED; }
+        });
+        return redactedEntry;
+      });
+    }
+    copy[name] = value;
+  });
+  return copy;
+}
+
+/**
+ * Copy an options object, with its secrets redacted when the copy is logged with `util.inspect` (e.g. `console.log`)
+ * or serialized with `JSON.stringify`. The options themselves are not changed.
+ *
+ * @param options {{}}
+ * @returns {{}} Returns the copy, or `options` if it is not an object
+ */
+function redact(options) {
+  var copy;
+  if (!options || typeof options !== 'object') {
+    return options;
+  }
+  copy = Object.assign({}, options);
+  [util.inspect.custom, 'toJSON'].forEach(function (name) {
+    if (!Object.prototype.hasOwnProperty.call(copy, name)) {
+      // Not enumerable, so they aren't copied with the options or sent to worker threads
+      Object.defineProperty(copy, name, { value: function () { return redacted(this); } });
+    }
+  });
+  return copy;
+}
+
+module.exports = {
+  REDACTED: REDACTED,
+  secretKey: secretKey,
+  wipe: wipe,
+  redacted: redacted,
+  redact: redact
+};
@@ -0,0 +1,208 @@
+"use strict";
+/**
+ * Shamir's secret sharing over GF(256), to split a master key into shares so that any `threshold` of them recover
+ * it and fewer reveal nothing about it
+ *
+ * Each byte of the key is the constant term of a random polynomial of degree `threshold - 1`, and a share is the
+ * value of every polynomial at its index (1 to 255). Shares are encoded as
+ *
+ *   kripke-share:1:<id>:<threshold>:<index>:<data>:<checksum>
+ *
+ * where the version is 1, `id` is random and the same for every share of a split, so shares of different keys
+ * aren't combined, `data` is URL-safe base64 and `checksum` is the start of the SHA-256 hash of the rest of the share,
+ * to catch shares that were mistyped or cut off. There is no checksum of the key itself, which would let the holders
+ * of fewer than `threshold` shares test guesses of a low-entropy key.
+ */
+var crypto = require('crypto');
+var errors = require('./errors');
+
+var PREFIX = 'kripke-share';
+var VERSION = 1;
+var MAX_SHARES = 255;
+
+// Exponent and logarithm tables of GF(256) with the AES polynomial (x^8 + x^4 + x^3 + x + 1) and generator 3
+var EXP = new Array(255);
+var LOG = new Array(256);
+(function () {
+  var i, value = 1;
+  for (i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    // Multiply by 3: add (xor) the value doubled, reduced by the polynomial
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+  }
+})();
+
+/**
+ * Multiply in GF(256)
+ *
+ * @param a {number}
+ * @param b {number}
+ * @returns {number}
+ */
+function multiply(a, b) {
+  return a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0;
+}
+
+/**
+ * Divide in GF(256)
+ *
+ * @param a {number}
+ * @param b {number} Not 0
+ * @returns {number}
+ */
+function divide(a, b) {
+  return a ? EXP[(LOG[a] - LOG[b] + 255) % 255] : 0;
+}
+
+/**
+ * Get the checksum of the text of a share
+ *
+ * @param text {string} The share without its checksum
+ * @returns {string}
+ */
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').substr(0, 8);
+}
+
+/**
+ * Encode a share
+ *
+ * @param share {{id: string, threshold: number, index: number, data: Buffer}}
+ * @returns {string}
+ */
+function encode(share) {
+  var text = [PREFIX, VERSION, share.id, share.threshold, share.index, share.data.toString('base64url')].join(':');
+  return text + ':' + checksum(text);
+}
+
+/**
+ * Decode a share
+ *
+ * @param share {string}
+ * @param position {number} The position of the share in the list, from 1, for the error messages
+ * @returns {{id: string, threshold: number, index: number, data: Buffer}}
+ * @throws {KripkeFormatError} The share is malformed or its checksum doesn't match
+ */
+function decode(share, position) {
+  var parts = typeof share === 'string' ? share.trim().split(':') : [], threshold, index;
+  if (parts.length !== 7 || parts[0] !== PREFIX || !/^[0-9a-f]{8}$/.test(parts[2]) ||
+    !/^[0-9]+$/.test(parts[3]) || !/^[0-9]+$/.test(parts[4]) || !/^[A-Za-z0-9\-_]+$/.test(parts[5])) {
+    throw new errors.KripkeFormatError('Share ' + position + ' is invalid');
+  }
+  if (parts[1] !== String(VERSION)) {
+    throw new errors.KripkeFormatError('Share ' + position + ' uses an unsupported version');
+  }
+  if (checksum(parts.slice(0, 6).join(':')) !== parts[6]) {
+    throw new errors.KripkeFormatError('Share ' + position + ' failed its checksum');
+  }
+  threshold = parseInt(parts[3], 10);
+  index = parseInt(parts[4], 10);
+  if (threshold < 2 || threshold > MAX_SHARES || index < 1 || index > MAX_SHARES) {
+    throw new errors.KripkeFormatError('Share ' + position + ' is invalid');
+  }
+  return { id: parts[2], threshold: threshold, index: index, data: Buffer.from(parts[5], 'base64url') };
+}
+
+/**
+ * Split a key into shares
+ *
+ * @param key {string|Buffer} Strings are split as utf8
+ * @param options {{shares: number, threshold: number}} The number of shares (2 to 255) and the number of them needed
+ *                                                      to recover the key (2 to `shares`)
+ * @returns {string[]} The encoded shares
+ * @throws {KripkeKeyError} There is no key
+ * @throws {KripkeArgumentError} The options are invalid
+ */
+function split(key, options) {
+  var count = options && options.shares, threshold = options && options.threshold, id, coefficients, shares = [],
+    index, data, i, j, value;
+  if (!key || !key.length || !(typeof key === 'string' || Buffer.isBuffer(key))) {
+    throw new errors.KripkeKeyError('You must provide a "key"');
+  }
+  if (!(Number.isInteger(count) && count >= 2 && count <= MAX_SHARES)) {
+    throw new errors.KripkeArgumentError('"shares" must be an integer from 2 to ' + MAX_SHARES);
+  }
+  if (!(Number.isInteger(threshold) && threshold >= 2 && threshold <= count)) {
+    throw new errors.KripkeArgumentError('"threshold" must be an integer from 2 to "shares"');
+  }
+  key = Buffer.from(key);
+  id = crypto.randomBytes(4).toString('hex');
+  // The random coefficients of the polynomial of each byte, after its constant term (the key byte)
+  coefficients = crypto.randomBytes(key.length * (threshold - 1));
+
+  for (index = 1; index <= count; index++) {
+    data = Buffer.alloc(key.length);
+    for (i = 0; i < key.length; i++) {
+      // Evaluate the polynomial at `index` with Horner's method, from the highest coefficient
+      value = 0;
+      for (j = threshold - 2; j >= 0; j--) {
+        value = multiply(value, index) ^ coefficients[i * (threshold - 1) + j];
+      }
+      data[i] = multiply(value, index) ^ key[i];
+    }
+    shares.push(encode({ id: id, threshold: threshold, index: index, data: data }));
+  }
+  coefficients.fill(0);
+  key.fill(0);
+  return shares;
+}
+
+/**
+ * Recover a key from its shares
+ *
+ * @param shares {string[]} At least `threshold` shares of the same key, in any order
+ * @returns {Buffer} The key
+ * @throws {KripkeFormatError} A share is malformed, or the shares don't belong together
+ * @throws {KripkeKeyError} There are fewer shares than the threshold
+ */
+function combine(shares) {
+  var decoded = [], indexes = {}, key, i, j, k, basis;
+  if (!Array.isArray(shares)) {
+    throw new errors.KripkeArgumentError('The shares must be an array');
+  }
+  shares.forEach(function (text, position) {
+    var share = decode(text, position + 1), first = decoded[0];
+    if (first && (share.id !== first.id || share.threshold !== first.threshold ||
+      share.data.length !== first.data.length)) {
+      throw new errors.KripkeFormatError('The shares are from different keys');
+    }
+    if (indexes.hasOwnProperty(share.index)) {
+      // The same share given twice is only counted once
+      if (!share.data.equals(indexes[share.index].data)) {
+        throw new errors.KripkeFormatError('There are different shares with the index ' + share.index);
+      }
+      return;
+    }
+    indexes[share.index] = share;
+    decoded.push(share);
+  });
+  if (!decoded.length) {
+    throw new errors.KripkeKeyError('You must provide the "shares"');
+  }
+  if (decoded.length < decoded[0].threshold) {
+    throw new errors.KripkeKeyError(decoded[0].threshold + ' shares are needed to recover the key, but ' +
+      decoded.length + ' were provided');
+  }
+
+  // Interpolate the polynomials at 0 with the Lagrange basis of the first `threshold` shares
+  decoded = decoded.slice(0, decoded[0].threshold);
+  key = Buffer.alloc(decoded[0].data.length);
+  for (j = 0; j < decoded.length; j++) {
+    basis = 1;
+    for (k = 0; k < decoded.length; k++) {
+      if (k !== j) {
+        basis = multiply(basis, divide(decoded[k].index, decoded[k].index ^ decoded[j].index));
+      }
+    }
+    for (i = 0; i < key.length; i++) {
+      key[i] ^= multiply(decoded[j].data[i], basis);
+    }
+  }
+  return key;
+}
+
+module.exports = {
+  split: split,
+  combine: combine
+};
@@ -0,0 +1,254 @@
+"use strict";
+/**
+ * Transform streams that encrypt and decrypt data of any size
+ *
+ * The encrypted stream is binary:
+ *
+ *   binary header (see `format.binaryHeader`) | cipher text [| authentication tag (AEAD ciphers)]
+ *   HMAC signature of everything above
+ */
+var crypto = require('crypto');
+var util = require('util');
+var Transform = require('stream').Transform;
+var cipher = require('./cipher');
+var errors = require('./errors');
+var format = require('./format');
+var kdf = require('./kdf');
+var secrets = require('./secrets');
+
+/**
+ * Get the encryption key and the `Hmac` for the trailing signature. When the header records `subkeys`,
+ * both are derived from the derived key. Otherwise the `hmacKey` of the instance is used.
+ *
+ * @param kripke {Kripke}
+ * @param params {{}} The parameters from the header
+ * @param derivedKey {Buffer}
+ * @param salt {Buffer}
+ * @returns {{encryptionKey: Buffer, hmac: Hmac}}
+ * @throws {KripkeKeyError} There is no `hmacKey` to verify the signature
+ */
+function createKeys(kripke, params, derivedKey, salt) {
+  var keys, hmac;
+  if (params.subkeys) {
+    keys = kdf.subkeys(derivedKey, salt, params);
+    hmac = crypto.createHmac(params.hmacAlgorithm, keys.hmacKey);
+    secrets.wipe(keys.hmacKey);
+    return { encryptionKey: keys.encryptionKey, hmac: hmac };
+  }
+  hmac = kripke.createHmac(params);
+  if (!hmac) {
+    throw new errors.KripkeKeyError('An "hmacKey" is required to verify the HMAC signature of the cipher text');
+  }
+  return { encryptionKey: derivedKey, hmac: hmac };
+}
+
+/**
+ * Encrypts everything written to it. Created by `Kripke#createEncryptStream`.
+ *
+ * @param kripke {Kripke}
+ * @param params {{}} The encryption parameters of the instance
+ * @constructor
+ */
+function EncryptStream(kripke, params) {
+  var self = this;
+  Transform.call(this);
+  this._ready = false;
+
+  kripke.generateDerivedKey(null, params, function (err, derivedKey, salt) {
+    var keys, iv, header;
+    if (!err) {
+      try {
+        keys = createKeys(kripke, params, derivedKey, salt);
+        iv = crypto.randomBytes(cipher.ivLength(params.algorithm));
+        header = format.binaryHeader(params, salt, iv);
+        self._cipher = cipher.createCipher(params.algorithm, keys.encryptionKey, iv, header);
+        self._aead = cipher.isAead(params.algorithm);
+        self._mac = keys.hmac;
+        self._output(header);
+      } catch (e) {
+        err = e;
+      }
+      // The cipher holds its own copy of the key
+      secrets.wipe(derivedKey, keys && keys.encryptionKey);
+    }
+    self._error = err;
+    self._ready = true;
+    if (self._waiting) { self._waiting(); }
+  });
+}
+util.inherits(EncryptStream, Transform);
+
+/**
+ * Push data and add it to the signature
+ *
+ * @param data {Buffer}
+ * @private
+ */
+EncryptStream.prototype._output = function (data) {
+  if (data.length) {
+    this._mac.update(data);
+    this.push(data);
+  }
+};
+
+/**
+ * Call `fn` once the key has been derived, or `callback` with the error if it couldn't be
+ *
+ * @param fn {function}
+ * @param callback {function}
+ * @private
+ */
+EncryptStream.prototype._whenReady = function (fn, callback) {
+  var self = this;
+  if (!this._ready) {
+    this._waiting = function () {
+      self._waiting = null;
+      self._whenReady(fn, callback);
+    };
+  } else if (this._error) {
+    callback(this._error);
+  } else {
+    fn();
+  }
+};
+
+EncryptStream.prototype._transform = function (chunk, encoding, callback) {
+  var self = this;
+  this._whenReady(function () {
+    try {
+      self._output(self._cipher.update(chunk));
+    } catch (e) {
+      return callback(e);
+    }
+    callback();
+  }, callback);
+};
+
+EncryptStream.prototype._flush = function (callback) {
+  var self = this;
+  this._whenReady(function () {
+    try {
+      self._output(self._cipher.final());
+      if (self._aead) { self._output(self._cipher.getAuthTag()); }
+      self.push(self._mac.digest());
+    } catch (e) {
+      return callback(e);
+    }
+    callback();
+  }, callback);
+};
+
+/**
+ * Decrypts data written by an `EncryptStream`. Created by `Kripke#createDecryptStream`.
+ *
+ * The signature is verified when the input ends. Decrypted data is pushed as it's available, but the stream
+ * only ends successfully if the signature is valid, otherwise it emits an error.
+ *
+ * @param kripke {Kripke}
+ * @constructor
+ */
+function DecryptStream(kripke) {
+  Transform.call(this);
+  this._kripke = kripke;
+  this._buffer = Buffer.alloc(0);
+}
+util.inherits(DecryptStream, Transform);
+
+/**
+ * Hold back the trailer (authentication tag and signature) and decrypt everything before it
+ *
+ * @param data {Buffer}
+ * @private
+ */
+DecryptStream.prototype._update = function (data) {
+  var body;
+  this._buffer = Buffer.concat([this._buffer, data]);
+  if (this._buffer.length > this._trailerLength) {
+    body = this._buffer.slice(0, this._buffer.length - this._trailerLength);
+    this._buffer = this._buffer.slice(body.length);
+    this._mac.update(body);
+    this.push(this._decipher.update(body));
+  }
+};
+
+DecryptStream.prototype._transform = function (chunk, encoding, callback) {
+  var header, self = this;
+  if (this._decipher) {
+    try {
+      this._update(chunk);
+    } catch (e) {
+      return callback(e);
+    }
+    return callback();
+  }
+
+  // Wait for the complete header before deriving the key
+  this._buffer = Buffer.concat([this._buffer, chunk]);
+  try {
+    header = format.parseBinaryHeader(this._buffer);
+  } catch (e) {
+    return callback(e);
+  }
+  if (!header) { return callback(); }
+  // Containers (`m=chunked`) are read with `Kripke#openContainer`
+  if (header.params.mode) {
+    return callback(new errors.KripkeFormatError('Encoded data is invalid'));
+  }
+  try {
+    cipher.checkAllowed(header.params.algorithm, this._kripke.decryptAlgorithms);
+    this._kripke.generateDerivedKey(header.salt, header.params, decrypt);
+  } catch (e) {
+    return callback(e);
+  }
+
+  function decrypt(err, derivedKey) {
+    var algorithm = header.params.algorithm, data = self._buffer, keys;
+    if (err) { return callback(err); }
+    try {
+      keys = createKeys(self._kripke, header.params, derivedKey, header.salt);
+      self._aead = cipher.isAead(algorithm);
+      try {
+        self._decipher = cipher.createDecipher(algorithm, keys.encryptionKey, header.iv, data.slice(0, header.length));
+      } catch (e) {
+        throw new errors.KripkeFormatError('Encoded data is invalid');
+      }
+      self._mac = keys.hmac;
+      self._trailerLength = crypto.createHash(header.params.hmacAlgorithm).digest().length +
+        (self._aead ? cipher.authTagLength : 0);
+      self._mac.update(data.slice(0, header.length));
+      self._buffer = Buffer.alloc(0);
+      self._update(data.slice(header.length));
+    } catch (e) {
+      err = e;
+    }
+    secrets.wipe(derivedKey, keys && keys.encryptionKey);
+    callback(err);
+  }
+};
+
+DecryptStream.prototype._flush = function (callback) {
+  var tag, signature, plainText;
+  if (!this._decipher || this._buffer.length !== this._trailerLength) {
+    return callback(new errors.KripkeFormatError('Encoded data is invalid'));
+  }
+  tag = this._buffer.slice(0, this._aead ? cipher.authTagLength : 0);
+  signature = this._buffer.slice(tag.length);
+  this._mac.update(tag);
+  if (!cipher.compareBuffers(this._mac.digest(), signature)) {
+    return callback(errors.integrityError());
+  }
+
+  try {
+    if (this._aead) { this._decipher.setAuthTag(tag); }
+    plainText = this._decipher.final();
+  } catch (e) {
+    return callback(errors.integrityError());
+  }
+  this.push(plainText);
+  callback();
+};
+
+module.exports = {
+  EncryptStream: EncryptStream,
+  DecryptStream: DecryptStream
+};
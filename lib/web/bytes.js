@@ -0,0 +1,151 @@
+"use strict";
+/**
+ * Uint8Array helpers for the WebCrypto build, in place of the Buffer methods used by the Node build
+ */
+var errors = require('../errors');
+
+/**
+ * Encode a string as utf8
+ *
+ * @param str {string}
+ * @returns {Uint8Array}
+ */
+function fromString(str) {
+  return new TextEncoder().encode(str);
+}
+
+/**
+ * Decode utf8 bytes
+ *
+ * @param bytes {Uint8Array}
+ * @returns {string}
+ */
+function toString(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Get the bytes of a string (as utf8) or a Uint8Array (including Buffers)
+ *
+ * @param data {string|Uint8Array}
+ * @returns {Uint8Array}
+ */
+function from(data) {
+  return typeof data === 'string' ? fromString(data) : new Uint8Array(data.buffer, data.byteOffset, data.length);
+}
+
+/**
+ * Encode bytes as standard, padded base64 like `Buffer#toString('base64')`
+ *
+ * @param bytes {Uint8Array}
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  var binary = '', i;
+  // Convert in pieces so large data doesn't exceed the argument limit of `String.fromCharCode`
+  for (i = 0; i < bytes.length; i += 32768) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 32768));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode standard base64
+ *
+ * @param str {string}
+ * @returns {Uint8Array}
+ * @throws {KripkeFormatError} The string is not base64
+ */
+function fromBase64(str) {
+  var binary, bytes, i;
+  try {
+    binary = atob(str);
+  } catch (e) {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  bytes = new Uint8Array(binary.length);
+  for (i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding like `Buffer#toString('base64url')`
+ *
+ * @param bytes {Uint8Array}
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ *
+ * @param str {string}
+ * @returns {Uint8Array}
+ * @throws {KripkeFormatError} The string is not URL-safe base64
+ */
+function fromBase64Url(str) {
+  if (/[+\/=]/.test(str)) {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  return fromBase64(str.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * Join byte arrays
+ *
+ * @param list {Uint8Array[]}
+ * @returns {Uint8Array}
+ */
+function concat(list) {
+  var length = 0, bytes, offset = 0;
+  list.forEach(function (item) { length += item.length; });
+  bytes = new Uint8Array(length);
+  list.forEach(function (item) {
+    bytes.set(item, offset);
+    offset += item.length;
+  });
+  return bytes;
+}
+
+/**
+ * A constant time compare of two byte arrays
+ *
+ * @param bytes1 {Uint8Array}
+ * @param bytes2 {Uint8Array}
+ * @returns {boolean} Returns `true` only if the contents are identical
+ */
+function equal(bytes1, bytes2) {
+  var i = 0, val = 0;
+  if (!bytes1 || !bytes2 || bytes1.length !== bytes2.length) { return false; }
+  for (; i < bytes1.length; i++) {
+    val |= bytes1[i] ^ bytes2[i];
+  }
+  return val === 0;
+}
+
+/**
+ * Generate random bytes with `crypto.getRandomValues`
+ *
+ * @param length {number}
+ * @returns {Uint8Array}
+ */
+function random(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+module.exports = {
+  fromString: fromString,
+  toString: toString,
+  from: from,
+  toBase64: toBase64,
+  fromBase64: fromBase64,
+  toBase64Url: toBase64Url,
+  fromBase64Url: fromBase64Url,
+  concat: concat,
+  equal: equal,
+  random: random
+};
@@ -0,0 +1,192 @@
+"use strict";
+/**
+ * Parsing and serialization of encoded data for the WebCrypto build, with Uint8Arrays instead of Buffers
+ *
+ * It reads and writes the same '$' delimited strings and compact binary format as lib/format.js. Data with a wrapped
+ * data key (`w=kek` or `w=pk`) is not supported, since the keys are unwrapped with Node's crypto.
+ */
+var bytes = require('./bytes');
+var errors = require('../errors');
+var headerParams = require('../params');
+
+var ID = headerParams.ID;
+var VERSION = headerParams.VERSION;
+var MAGIC = bytes.fromString(ID);
+
+/**
+ * @typedef {{}} webEnvelope
+ * @property version {number} The format version. 1 for legacy strings
+ * @property params {{}} The parameters from the header. Empty for legacy strings
+ * @property [header] {string} The header as it appears in the encoded text. Not set for legacy strings
+ * @property cipherText {Uint8Array}
+ * @property iv {Uint8Array}
+ * @property salt {Uint8Array}
+ * @property [hmac] {Uint8Array} The HMAC signature, if the data was signed
+ * @property signedData {string} The data covered by the HMAC signature
+ */
+
+/**
+ * Create an encoded string from its parts. The HMAC signature must be appended separately.
+ *
+ * @param params {{}} The parameters to record in the header
+ * @param cipherText {Uint8Array}
+ * @param iv {Uint8Array}
+ * @param salt {Uint8Array}
+ * @returns {string} A '$' delimited string, which is the data covered by the HMAC signature
+ */
+function format(params, cipherText, iv, salt) {
+  return [headerParams.header(params), bytes.toBase64(cipherText), bytes.toBase64(iv), bytes.toBase64(salt)].join('$');
+}
+
+/**
+ * Append associated data to the signed data or the header authenticated by an AEAD cipher
+ *
+ * @param data {string} The signed data or header
+ * @param [aad] {Uint8Array} Associated data that is authenticated but not stored
+ * @returns {string}
+ */
+function withAad(data, aad) {
+  return aad && aad.length ? data + '$' + bytes.toBase64(aad) : data;
+}
+
+/**
+ * Check that encoded data doesn't have a wrapped data key
+ *
+ * @param params {{}}
+ * @throws {KripkeFormatError} The data key is wrapped
+ */
+function validateWrapped(params) {
+  if (params.wrapped) {
+    throw new errors.KripkeFormatError('Unsupported key wrapping "' + params.wrapped + '"');
+  }
+}
+
+/**
+ * Serialize a parsed envelope in the compact binary format (see `toBinary` of lib/format.js)
+ *
+ * @param envelope {webEnvelope} A version 2 envelope
+ * @returns {Uint8Array}
+ */
+function toBinary(envelope) {
+  var paramsBytes = bytes.fromString(envelope.header.split('$')[3]), lengths = new Uint8Array(3),
+    cipherTextLength = new Uint8Array(4);
+  lengths[0] = VERSION;
+  new DataView(lengths.buffer).setUint16(1, paramsBytes.length);
+  new DataView(cipherTextLength.buffer).setUint32(0, envelope.cipherText.length);
+  return bytes.concat([
+    MAGIC, lengths, paramsBytes,
+    new Uint8Array([envelope.salt.length]), envelope.salt,
+    new Uint8Array([envelope.iv.length]), envelope.iv,
+    cipherTextLength, envelope.cipherText,
+    envelope.hmac || new Uint8Array(0)
+  ]);
+}
+
+/**
+ * Parse data in the compact binary format
+ *
+ * @param data {Uint8Array}
+ * @returns {webEnvelope}
+ * @throws {KripkeFormatError} The data is malformed or uses an unsupported version
+ */
+function parseBinary(data) {
+  var view = new DataView(data.buffer, data.byteOffset, data.length), offset = MAGIC.length + 3, paramsText, salt,
+    iv, envelope;
+
+  function read(length) {
+    var value;
+    if (data.length < offset + length) {
+      throw new errors.KripkeFormatError('Encoded data is invalid');
+    }
+    value = data.subarray(offset, offset + length);
+    offset += length;
+    return value;
+  }
+
+  if (data.length < offset || !bytes.equal(data.subarray(0, MAGIC.length), MAGIC)) {
+    throw new errors.KripkeFormatError('Encoded data is invalid');
+  }
+  if (data[MAGIC.length] !== VERSION) {
+    throw new errors.KripkeFormatError('Unsupported encoded data version');
+  }
+  paramsText = bytes.toString(read(view.getUint16(MAGIC.length + 1)));
+  salt = read(read(1)[0]);
+  iv = read(read(1)[0]);
+  envelope = {
+    version: VERSION,
+    params: headerParams.parseParams(paramsText),
+    header: ['', ID, 'v=' + VERSION, paramsText].join('$'),
+    salt: salt,
+    iv: iv
+  };
+  validateWrapped(envelope.params);
+  // The cipher text is prefixed with its 4 byte length
+  read(4);
+  envelope.cipherText = read(view.getUint32(offset - 4));
+  if (data.length > offset) {
+    envelope.hmac = data.subarray(offset);
+  }
+  // The signature always covers the '$' delimited form
+  envelope.signedData = [
+    envelope.header,
+    bytes.toBase64(envelope.cipherText),
+    bytes.toBase64(envelope.iv),
+    bytes.toBase64(envelope.salt)
+  ].join('$');
+  return envelope;
+}
+
+/**
+ * Split encoded data into its parts
+ *
+ * @param encodedText {string|Uint8Array} A '$' delimited string (either version), the compact binary format, or the
+ *                                        binary format as a URL-safe base64 string
+ * @returns {webEnvelope}
+ * @throws {KripkeFormatError} The encoded text is malformed, uses an unsupported version or has a wrapped data key
+ */
+function parse(encodedText) {
+  var parts, envelope;
+  if (encodedText instanceof Uint8Array) {
+    return parseBinary(encodedText);
+  }
+  if (typeof encodedText !== 'string') {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  if (encodedText.indexOf('$') === -1) {
+    return parseBinary(bytes.fromBase64Url(encodedText));
+  }
+  parts = encodedText.split('$');
+
+  if (parts[0] === '' && parts[1] === ID) {
+    if (parts[2] !== 'v=' + VERSION) {
+      throw new errors.KripkeFormatError('Unsupported encoded text version');
+    }
+    envelope = { version: VERSION, params: headerParams.parseParams(parts[3] || ''),
+      header: parts.slice(0, 4).join('$') };
+    validateWrapped(envelope.params);
+    parts = parts.slice(4);
+    if (parts.length < 3 || parts.length > 4) {
+      throw new errors.KripkeFormatError('Encoded text is invalid');
+    }
+    envelope.signedData = [envelope.header].concat(parts.slice(0, 3)).join('$');
+  } else if (parts.length >= 3 && parts.length <= 4) {
+    envelope = { version: 1, params: {}, signedData: parts.slice(0, 3).join('$') };
+  } else {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+
+  envelope.cipherText = bytes.fromBase64(parts[0]);
+  envelope.iv = bytes.fromBase64(parts[1]);
+  envelope.salt = bytes.fromBase64(parts[2]);
+  if (parts.length > 3) {
+    envelope.hmac = bytes.fromBase64(parts[3]);
+  }
+  return envelope;
+}
+
+module.exports = {
+  format: format,
+  withAad: withAad,
+  toBinary: toBinary,
+  parse: parse
+};
@@ -0,0 +1,280 @@
+"use strict";
+/**
+ * The key derivation, encryption and HMAC functions of the WebCrypto build, backed by `crypto.subtle`
+ *
+ * They produce the same bytes as lib/kdf.js and lib/cipher.js. WebCrypto only has AES-CBC and AES-GCM ciphers and
+ * the pbkdf2 and hkdf key derivation functions, so scrypt and ChaCha20-Poly1305 are not supported. Some browsers
+ * don't support 192 bit AES keys either.
+ */
+var bytes = require('./bytes');
+var errors = require('../errors');
+
+// Authentication tag length of AES-GCM, in bytes
+var authTagLength = 16;
+
+// WebCrypto names and output lengths (in bytes) of the hash algorithms, by their Node names
+var HASHES = {
+  sha1: { name: 'SHA-1', length: 20 },
+  sha256: { name: 'SHA-256', length: 32 },
+  sha384: { name: 'SHA-384', length: 48 },
+  sha512: { name: 'SHA-512', length: 64 }
+};
+
+/**
+ * Get `crypto.subtle`
+ *
+ * @returns {SubtleCrypto}
+ * @throws {KripkeError} WebCrypto is not available, e.g. on a page that is not served over HTTPS
+ */
+function api() {
+  var webCrypto = typeof globalThis === 'object' && globalThis.crypto;
+  if (!webCrypto || !webCrypto.subtle) {
+    throw new errors.KripkeError('WebCrypto is not available. Browsers only provide it to pages served over HTTPS.');
+  }
+  return webCrypto.subtle;
+}
+
+/**
+ * Get a hash algorithm by its Node name, e.g. 'SHA256' or 'sha256'
+ *
+ * @param name {string}
+ * @returns {{name: string, length: number}}
+ * @throws {KripkeArgumentError} The hash algorithm is not supported
+ */
+function hash(name) {
+  var key = String(name).toLowerCase();
+  if (!HASHES.hasOwnProperty(key)) {
+    throw new errors.KripkeArgumentError('Unsupported hash algorithm "' + name + '"');
+  }
+  return HASHES[key];
+}
+
+/**
+ * Get the WebCrypto cipher of an algorithm name used by Node, e.g. 'AES-256-CBC'
+ *
+ * @param algorithm {string}
+ * @returns {{name: string, keyLength: number}|null} The WebCrypto name and key length in bytes, or `null` if it is
+ *                                                   not supported
+ */
+function cipherInfo(algorithm) {
+  var match = /^aes-(128|192|256)-(cbc|gcm)$/i.exec(algorithm || '');
+  return match && { name: 'AES-' + match[2].toUpperCase(), keyLength: match[1] / 8 };
+}
+
+/**
+ * Check the name of the encryption algorithm
+ *
+ * @param algorithm {string}
+ * @throws {KripkeArgumentError} The algorithm is not supported
+ */
+function validate(algorithm) {
+  if (!cipherInfo(algorithm)) {
+    throw new errors.KripkeArgumentError('Unsupported algorithm "' + algorithm + '"');
+  }
+}
+
+/**
+ * Check that data may be decrypted with the algorithm recorded in its header, like `checkAllowed` of lib/cipher.js
+ *
+ * @param algorithm {string}
+ * @param [allowed] {string[]} The allowed algorithms, in lower case, or `null` to allow any supported algorithm
+ * @throws {KripkeFormatError} The algorithm is not supported or not allowed
+ */
+function checkAllowed(algorithm, allowed) {
+  if (!cipherInfo(algorithm)) {
+    throw new errors.KripkeFormatError('Unsupported algorithm "' + algorithm + '"');
+  }
+  if (allowed && allowed.indexOf(String(algorithm).toLowerCase()) === -1) {
+    throw new errors.KripkeFormatError('The algorithm "' + algorithm + '" is not allowed to decrypt');
+  }
+}
+
+/**
+ * Check if the algorithm is an AEAD cipher, which authenticates the data with its own tag
+ *
+ * @param algorithm {string}
+ * @returns {boolean}
+ */
+function isAead(algorithm) {
+  return /-gcm$/i.test(algorithm);
+}
+
+/**
+ * Get the number of bytes of the iv (or nonce) for the algorithm
+ *
+ * @param algorithm {string}
+ * @returns {number}
+ */
+function ivLength(algorithm) {
+  return isAead(algorithm) ? 12 : 16;
+}
+
+/**
+ * Expand key material with HKDF
+ *
+ * @param digest {string}
+ * @param secret {Uint8Array}
+ * @param salt {Uint8Array}
+ * @param info {string}
+ * @param length {number} The length in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function hkdf(digest, secret, salt, info, length) {
+  var algorithm = { name: 'HKDF', hash: hash(digest).name, salt: salt, info: bytes.fromString(info) };
+  return api().importKey('raw', secret, 'HKDF', false, ['deriveBits']).then(function (key) {
+    return api().deriveBits(algorithm, key, length * 8);
+  }).then(function (bits) {
+    return new Uint8Array(bits);
+  });
+}
+
+/**
+ * Derive a key from the secret, like `derive` of lib/kdf.js
+ *
+ * @param secret {Uint8Array}
+ * @param salt {Uint8Array}
+ * @param params {{}} `kdf` ('pbkdf2' or 'hkdf'), `keyLength` (in bits), `digest` and `iterations` for pbkdf2
+ * @returns {Promise<Uint8Array>}
+ * @throws {KripkeArgumentError} The key derivation function is not supported
+ */
+function derive(secret, salt, params) {
+  var algorithm;
+  if (params.kdf === 'hkdf') {
+    return hkdf(params.digest, secret, salt, 'kripke', params.keyLength / 8);
+  }
+  if (params.kdf !== 'pbkdf2') {
+    throw new errors.KripkeArgumentError('Unsupported key derivation function "' + params.kdf + '"');
+  }
+  algorithm = { name: 'PBKDF2', hash: hash(params.digest).name, salt: salt, iterations: params.iterations };
+  return api().importKey('raw', secret, 'PBKDF2', false, ['deriveBits']).then(function (key) {
+    return api().deriveBits(algorithm, key, params.keyLength);
+  }).then(function (bits) {
+    return new Uint8Array(bits);
+  });
+}
+
+/**
+ * Expand a derived key into independent encryption and HMAC keys, like `subkeys` of lib/kdf.js
+ *
+ * @param derivedKey {Uint8Array}
+ * @param salt {Uint8Array}
+ * @param params {{}} `subkeys` (only 'hkdf') and `hmacAlgorithm`
+ * @returns {Promise<{encryptionKey: Uint8Array, hmacKey: Uint8Array}>}
+ * @throws {KripkeFormatError} The expansion method is not supported
+ */
+function subkeys(derivedKey, salt, params) {
+  var digest = params.hmacAlgorithm;
+  if (params.subkeys !== 'hkdf') {
+    throw new errors.KripkeFormatError('Unsupported subkey derivation "' + params.subkeys + '"');
+  }
+  return Promise.all([
+    hkdf(digest, derivedKey, salt, 'kripke encryption', derivedKey.length),
+    hkdf(digest, derivedKey, salt, 'kripke authentication', hash(digest).length)
+  ]).then(function (keys) {
+    return { encryptionKey: keys[0], hmacKey: keys[1] };
+  });
+}
+
+/**
+ * Compute an HMAC signature
+ *
+ * @param algorithm {string} The hash algorithm
+ * @param key {Uint8Array}
+ * @param data {string}
+ * @returns {Promise<Uint8Array>}
+ */
+function hmac(algorithm, key, data) {
+  return api().importKey('raw', key, { name: 'HMAC', hash: hash(algorithm).name }, false, ['sign'])
+    .then(function (hmacKey) {
+      return api().sign('HMAC', hmacKey, bytes.fromString(data));
+    }).then(function (signature) {
+      return new Uint8Array(signature);
+    });
+}
+
+/**
+ * Get the parameters of `crypto.subtle.encrypt` and `decrypt`
+ *
+ * @param info {{name: string}}
+ * @param iv {Uint8Array}
+ * @param [aad] {string} Additional data to authenticate with AES-GCM
+ * @returns {{}}
+ */
+function cipherParams(info, iv, aad) {
+  var params = { name: info.name, iv: iv };
+  if (info.name === 'AES-GCM') {
+    params.tagLength = authTagLength * 8;
+    if (aad) { params.additionalData = bytes.fromString(aad); }
+  }
+  return params;
+}
+
+/**
+ * Encrypt data with the derived key, like `encrypt` of lib/cipher.js
+ *
+ * @param algorithm {string}
+ * @param key {Uint8Array}
+ * @param iv {Uint8Array}
+ * @param plainText {Uint8Array}
+ * @param [aad] {string} Additional data to authenticate when `algorithm` is AES-GCM
+ * @returns {Promise<Uint8Array>} The encrypted data, followed by the authentication tag for AES-GCM
+ * @throws {KripkeArgumentError} The algorithm is not supported or doesn't accept the key length
+ */
+function encrypt(algorithm, key, iv, plainText, aad) {
+  var info = cipherInfo(algorithm);
+  validate(algorithm);
+  if (key.length !== info.keyLength) {
+    throw new errors.KripkeArgumentError('The algorithm "' + algorithm + '" does not accept a ' + key.length * 8 +
+      ' bit key');
+  }
+  return api().importKey('raw', key, info.name, false, ['encrypt']).then(function (cryptoKey) {
+    return api().encrypt(cipherParams(info, iv, aad), cryptoKey, plainText);
+  }).then(function (cipherText) {
+    return new Uint8Array(cipherText);
+  });
+}
+
+/**
+ * Decrypt data with the derived key, like `decrypt` of lib/cipher.js
+ *
+ * @param algorithm {string}
+ * @param key {Uint8Array}
+ * @param iv {Uint8Array}
+ * @param cipherText {Uint8Array} The encrypted data, followed by the authentication tag for AES-GCM
+ * @param [aad] {string} Additional data that was authenticated when `algorithm` is AES-GCM
+ * @returns {Promise<Uint8Array>} Rejects with a `KripkeIntegrityError` if the authentication tag or padding is
+ *                                invalid
+ * @throws {KripkeFormatError} The algorithm is not supported or the key or iv don't fit it
+ */
+function decrypt(algorithm, key, iv, cipherText, aad) {
+  var info = cipherInfo(algorithm);
+  if (!info) {
+    throw new errors.KripkeFormatError('Unsupported algorithm "' + algorithm + '"');
+  }
+  if (key.length !== info.keyLength || (info.name === 'AES-CBC' ? iv.length !== 16 : !iv.length) ||
+    (info.name === 'AES-GCM' && cipherText.length < authTagLength)) {
+    throw new errors.KripkeFormatError('Encoded text is invalid');
+  }
+  return api().importKey('raw', key, info.name, false, ['decrypt']).then(function (cryptoKey) {
+    // A bad tag or bad padding is reported the same way as a bad HMAC, so they can't be told apart
+    return api().decrypt(cipherParams(info, iv, aad), cryptoKey, cipherText).catch(function () {
+      throw errors.integrityError();
+    });
+  }).then(function (plainText) {
+    return new Uint8Array(plainText);
+  });
+}
+
+module.exports = {
+  api: api,
+  hash: hash,
+  validate: validate,
+  checkAllowed: checkAllowed,
+  isAead: isAead,
+  ivLength: ivLength,
+  derive: derive,
+  subkeys: subkeys,
+  hmac: hmac,
+  encrypt: encrypt,
+  decrypt: decrypt
+};
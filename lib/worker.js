@@ -0,0 +1,32 @@
+"use strict";
+/**
+ * The script run by each thread of a `WorkerPool`
+ *
+ * Messages are batches of records to encrypt or decrypt. The reply has the results in order,
+ * or the error of the first record that failed.
+ */
+var workerThreads = require('worker_threads');
+var Kripke = require('../index');
+var bytes = require('./bytes');
+var options = workerThreads.workerData.options;
+var kripke;
+
+// Derive keys on this thread, which is the point of using a worker
+options.syncKdf = true;
+kripke = new Kripke(options);
+
+workerThreads.parentPort.on('message', function (job) {
+  Promise.all(job.records.map(function (record, i) {
+    return kripke[job.method](bytes.toBuffer(record), job.options).catch(function (err) {
+      err.index = job.offset + i;
+      throw err;
+    });
+  })).then(function (results) {
+    workerThreads.parentPort.postMessage({ id: job.id, offset: job.offset, results: results });
+  }, function (err) {
+    workerThreads.parentPort.postMessage({
+      id: job.id,
+      error: { name: err.name, message: err.message, code: err.code, index: err.index }
+    });
+  });
+});
@@ -0,0 +1,142 @@
+"use strict";
+/**
+ * A pool of worker threads that encrypt and decrypt batches of records
+ *
+ * Each worker has its own `Kripke` instance created with the same options, which derives keys on the worker
+ * thread instead of libuv's threadpool. Workers are started on first use and don't keep the process
+ * running while they are idle.
+ */
+var path = require('path');
+var bytes = require('./bytes');
+var errors = require('./errors');
+
+/**
+ * @param options {{}} The options of the `Kripke` instance. They must be cloneable (no functions).
+ * @param size {number} The maximum number of worker threads
+ * @constructor
+ */
+function WorkerPool(options, size) {
+  this.options = options;
+  this.size = size;
+  this.workers = [];
+  this.nextId = 0;
+}
+
+/**
+ * Split the records into one batch per worker and call `method` on each record
+ *
+ * @param method {string} 'encrypt' or 'decrypt'
+ * @param records {Array<string|Buffer>}
+ * @param options {{}} The options of `method`
+ * @param callback {function(Error, Array)} Returns the results in the same order as `records`.
+ *                                          Errors from a record have its position as `index`.
+ */
+WorkerPool.prototype.run = function (method, records, options, callback) {
+  var self = this, results = new Array(records.length), batchSize, remaining, failed = false, start;
+  if (!records.length) {
+    return setImmediate(callback, null, results);
+  }
+
+  batchSize = Math.ceil(records.length / this.size);
+  remaining = Math.ceil(records.length / batchSize);
+  for (start = 0; start < records.length; start += batchSize) {
+    this.send(start / batchSize, {
+      method: method,
+      records: records.slice(start, start + batchSize),
+      options: options,
+      offset: start
+    }, function (err, batch) {
+      if (failed) { return; }
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+      batch.results.forEach(function (result, i) {
+        results[batch.offset + i] = bytes.toBuffer(result);
+      });
+      if (--remaining === 0) {
+        callback(null, results);
+      }
+    });
+  }
+};
+
+/**
+ * Send a job to a worker, starting it if needed
+ *
+ * @param index {number} The position of the worker in the pool
+ * @param job {{}}
+ * @param callback {function(Error, {})}
+ */
+WorkerPool.prototype.send = function (index, job, callback) {
+  var worker = this.workers[index] || this.start(index);
+  job.id = ++this.nextId;
+  worker.jobs.set(job.id, callback);
+  worker.thread.ref();
+  worker.thread.postMessage(job);
+};
+
+/**
+ * Start a worker thread
+ *
+ * @param index {number} The position of the worker in the pool
+ * @returns {{thread: Worker, jobs: Map}}
+ */
+WorkerPool.prototype.start = function (index) {
+  // Only required once a worker is started, so the rest of the module loads where worker threads are not available.
+  // worker.js is only loaded by the threads themselves.
+  var Worker = require('worker_threads').Worker, self = this, worker;
+  worker = this.workers[index] = {
+    thread: new Worker(path.join(__dirname, 'worker.js'), { workerData: { options: this.options } }),
+    jobs: new Map()
+  };
+
+  function fail(err) {
+    var jobs = worker.jobs;
+    if (self.workers[index] === worker) {
+      self.workers[index] = null;
+    }
+    worker.jobs = new Map();
+    jobs.forEach(function (callback) {
+      callback(err);
+    });
+  }
+
+  worker.thread.on('message', function (message) {
+    var callback = worker.jobs.get(message.id), err;
+    // A job that already failed, e.g. when the thread reported an error, has no callback left
+    if (!callback) { return; }
+    worker.jobs.delete(message.id);
+    if (!worker.jobs.size) {
+      worker.thread.unref();
+    }
+    if (message.error) {
+      err = errors.revive(message.error);
+      err.index = message.error.index;
+    }
+    callback(err, message);
+  });
+  worker.thread.on('error', fail);
+  worker.thread.on('exit', function () {
+    fail(new errors.KripkeError('The worker thread exited'));
+  });
+  worker.thread.unref();
+  return worker;
+};
+
+/**
+ * Stop every worker thread. Unfinished jobs fail.
+ *
+ * @param callback {function(Error)}
+ */
+WorkerPool.prototype.close = function (callback) {
+  var workers = this.workers.filter(Boolean);
+  this.workers = [];
+  Promise.all(workers.map(function (worker) {
+    return worker.thread.terminate();
+  })).then(function () {
+    callback(null);
+  }, callback);
+};
+
+module.exports = WorkerPool;
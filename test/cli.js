@@ -0,0 +1,181 @@
+"use strict";
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Kripke = require('../index');
+
+var bin = path.join(__dirname, '..', 'bin', 'kripke.js');
+
+// Run the command-line tool and return its exit code and output
+function kripke(args, options) {
+  var result;
+  options = options || {};
+  result = childProcess.spawnSync(process.execPath, [bin].concat(args), {
+    input: options.input || '',
+    env: Object.assign({ NODE_NO_WARNINGS: '1' }, options.env)
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr.toString() };
+}
+
+describe('Command-line tool', function () {
+  var dir, env, options;
+
+  this.timeout(10000);
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kripke-'));
+  });
+
+  after(function () {
+    fs.readdirSync(dir).forEach(function (file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  beforeEach(function () {
+    env = { KRIPKE_KEY: 'cli key', KRIPKE_HMAC_KEY: 'cli hmac key' };
+    options = { key: env.KRIPKE_KEY, hmacKey: env.KRIPKE_HMAC_KEY, iterations: 1000 };
+  });
+
+  it('should encrypt a text argument with the keys from the environment', function () {
+    var result = kripke(['encrypt', '--iterations', '1000', '--algorithm', 'AES-256-GCM', 'my secret'], { env: env });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.toString().split('$')[3], 'c=aes-256-gcm,kdf=pbkdf2,i=1000,l=256,d=sha256,h=sha256');
+    return Kripke.decrypt(result.stdout.toString().trim(), Object.assign({ algorithm: 'AES-256-GCM' }, options))
+      .then(function (decrypted) {
+        assert.equal(decrypted, 'my secret');
+      });
+  });
+
+  it('should decrypt from stdin', function () {
+    return Kripke.encrypt('my secret', options).then(function (encrypted) {
+      var result = kripke(['decrypt'], { env: env, input: encrypted + '\n' });
+      assert.equal(result.status, 0);
+      assert.equal(result.stdout.toString(), 'my secret');
+    });
+  });
+
+  it('should read the keys from files and the input from a file', function () {
+    var keyFile = path.join(dir, 'key'), hmacKeyFile = path.join(dir, 'hmac-key'), input = path.join(dir, 'input');
+    fs.writeFileSync(keyFile, options.key + '\n');
+    fs.writeFileSync(hmacKeyFile, options.hmacKey + '\n');
+    return Kripke.encrypt('my secret', Object.assign({}, options, { output: 'buffer' })).then(function (encrypted) {
+      var result;
+      fs.writeFileSync(input, encrypted);
+      result = kripke(['decrypt', '--key-file', keyFile, '--hmac-key-file', hmacKeyFile, '--in', input]);
+      assert.equal(result.status, 0);
+      assert.equal(result.stdout.toString(), 'my secret');
+    });
+  });
+
+  it('should exit with 3 if the HMAC verification fails', function () {
+    return Kripke.encrypt('my secret', options).then(function (encrypted) {
+      var tampered = encrypted.substr(0, encrypted.length - 4) + 'AAA=', result;
+      result = kripke(['verify', encrypted], { env: env });
+      assert.equal(result.status, 0);
+      assert.equal(result.stdout.toString(), 'OK\n');
+      result = kripke(['verify', tampered], { env: env });
+      assert.equal(result.status, 3);
+      assert.equal(result.stderr, 'kripke: Integrity verification failed\n');
+      result = kripke(['decrypt', tampered], { env: env });
+      assert.equal(result.status, 3);
+    });
+  });
+
+  it('should verify the authentication tag of AEAD data', function () {
+    var gcmOptions = { key: options.key, iterations: 1000, algorithm: 'AES-256-GCM' };
+    return Kripke.encrypt('my secret', gcmOptions).then(function (encrypted) {
+      var parts = encrypted.split('$'), result;
+      parts[4] = Buffer.from(parts[4], 'base64').reverse().toString('base64');
+      result = kripke(['verify', '--algorithm', 'AES-256-GCM', encrypted], { env: { KRIPKE_KEY: env.KRIPKE_KEY } });
+      assert.equal(result.status, 0);
+      assert.equal(result.stdout.toString(), 'OK\n');
+      result = kripke(['verify', '--algorithm', 'AES-256-GCM', parts.join('$')],
+        { env: { KRIPKE_KEY: env.KRIPKE_KEY } });
+      assert.equal(result.status, 3);
+      assert.equal(result.stderr, 'kripke: Integrity verification failed\n');
+    });
+  });
+
+  it('should exit with 3 if the data is not signed or authenticated', function () {
+    return Kripke.encrypt('my secret', { key: options.key, iterations: 1000 }).then(function (encrypted) {
+      var result = kripke(['verify', encrypted], { env: { KRIPKE_KEY: env.KRIPKE_KEY } });
+      assert.equal(result.status, 3);
+      assert.equal(result.stdout.toString(), '');
+      assert.equal(result.stderr, 'kripke: The data is not signed or authenticated\n');
+    });
+  });
+
+  it('should reencrypt with the primary key of a keyring', function () {
+    var keysFile = path.join(dir, 'keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify([
+      { id: 'new', key: 'new key', primary: true },
+      { key: options.key, hmacKey: options.hmacKey }
+    ]));
+    return Kripke.encrypt('my secret', options).then(function (encrypted) {
+      var result = kripke(['reencrypt', '--keys-file', keysFile, '--iterations', '1000', encrypted]);
+      assert.equal(result.status, 0);
+      return Kripke.decrypt(result.stdout.toString().trim(), { keys: [{ id: 'new', key: 'new key' }] });
+    }).then(function (decrypted) {
+      assert.equal(decrypted, 'my secret');
+    });
+  });
+
+  it('should encrypt and decrypt a file in the stream format', function () {
+    var data = crypto.randomBytes(100000), input = path.join(dir, 'data'), encrypted = path.join(dir, 'data.kripke'),
+      decrypted = path.join(dir, 'data.out'), result;
+    fs.writeFileSync(input, data);
+    result = kripke(['encrypt', '--stream', '--iterations', '1000', '-i', input, '-o', encrypted], { env: env });
+    assert.equal(result.status, 0);
+    result = kripke(['decrypt', '--stream', '-i', encrypted, '-o', decrypted], { env: env });
+    assert.equal(result.status, 0);
+    assert(fs.readFileSync(decrypted).equals(data));
+  });
+
+  it('should remove the output file if stream verification fails', function () {
+    var input = path.join(dir, 'stream'), output = path.join(dir, 'stream.out'), data, result;
+    result = kripke(['encrypt', '--stream', '--iterations', '1000'], { env: env, input: crypto.randomBytes(1000) });
+    data = result.stdout;
+    data[data.length - 50] ^= 1;
+    fs.writeFileSync(input, data);
+    result = kripke(['decrypt', '--stream', '--in', input, '--out', output], { env: env });
+    assert.equal(result.status, 3);
+    assert(!fs.existsSync(output));
+  });
+
+  it('should encrypt the values of a config file in place', function () {
+    var file = path.join(dir, '.env'), result;
+    fs.writeFileSync(file, 'KRIPKE_KEY=not encrypted\nDB_PASSWORD=secret\n');
+    result = kripke(['encrypt-config', '--iterations', '1000', '--exclude', 'KRIPKE_KEY', file], { env: env });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.toString(), '');
+    options = Object.assign({ env: false, exclude: ['KRIPKE_KEY'] }, options);
+    return Kripke.loadEnv(file, options).then(function (values) {
+      assert.deepEqual(values, { KRIPKE_KEY: 'not encrypted', DB_PASSWORD: 'secret' });
+      assert(/^KRIPKE_KEY=not encrypted\nDB_PASSWORD='\$kripke\$[^']+'\n$/.test(fs.readFileSync(file, 'utf8')));
+    });
+  });
+
+  it('should exit with 2 if the arguments are invalid', function () {
+    var result = kripke(['encrypt', '--unknown', 'my secret'], { env: env });
+    assert.equal(result.status, 2);
+    assert.equal(result.stderr.split('\n')[0], 'kripke: Unknown option --unknown');
+    assert.equal(kripke(['sign', 'my secret'], { env: env }).status, 2);
+    assert.equal(kripke(['encrypt', '--iterations', 'many', 'my secret'], { env: env }).status, 2);
+    assert.equal(kripke(['verify', '--stream'], { env: env }).status, 2);
+    assert.equal(kripke(['encrypt', 'my secret']).status, 2);
+    assert.equal(kripke(['encrypt-config'], { env: env }).status, 2);
+    assert.equal(kripke(['encrypt', '--exclude', 'A', 'my secret'], { env: env }).status, 2);
+  });
+
+  it('should print the usage', function () {
+    var result = kripke(['--help']);
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.toString().split('\n')[0], 'Usage: kripke <command> [options] [text]');
+  });
+});
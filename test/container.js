@@ -0,0 +1,205 @@
+"use strict";
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Kripke = require('../index');
+
+// Encrypt the data in the container format, written in pieces of 777 bytes
+function encryptContainer(kripke, data, options, callback) {
+  var stream = kripke.createContainerStream(options), output = [], i;
+  stream.on('data', function (chunk) { output.push(chunk); });
+  stream.on('error', callback);
+  stream.on('end', function () { callback(null, Buffer.concat(output)); });
+  for (i = 0; i < data.length; i += 777) {
+    stream.write(data.slice(i, i + 777));
+  }
+  stream.end();
+}
+
+describe('Containers', function () {
+  var dir, file, data, kripke, handles = [];
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kripke-'));
+    file = path.join(dir, 'container');
+  });
+
+  after(function () {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  beforeEach(function () {
+    data = crypto.randomBytes(10000);
+    kripke = new Kripke({ key: crypto.randomBytes(32), iterations: 1000 });
+  });
+
+  afterEach(function () {
+    return Promise.all(handles.splice(0).map(function (handle) {
+      return handle.close();
+    }));
+  });
+
+  // Write a container to the file and open it
+  function open(encrypted) {
+    fs.writeFileSync(file, encrypted);
+    return fs.promises.open(file, 'r').then(function (handle) {
+      handles.push(handle);
+      return kripke.openContainer(handle);
+    });
+  }
+
+  [
+    { name: 'AES-256-CBC' },
+    { name: 'AES-256-GCM', algorithm: 'AES-256-GCM' },
+    { name: 'ChaCha20-Poly1305', algorithm: 'ChaCha20-Poly1305' }
+  ].forEach(function (test) {
+    it('should decrypt byte ranges with ' + test.name, function (done) {
+      kripke = new Kripke({ key: 'container key', iterations: 1000, algorithm: test.algorithm });
+      encryptContainer(kripke, data, { chunkSize: 1000 }, function (err, encrypted) {
+        var fd;
+        if (err) { return done(err); }
+        assert.equal(encrypted.slice(0, 6).toString(), 'kripke');
+        fs.writeFileSync(file, encrypted);
+        fd = fs.openSync(file, 'r');
+        kripke.openContainer(fd, function (err, container) {
+          if (err) { return done(err); }
+          assert.equal(container.size, 10000);
+          Promise.all([
+            container.read(),
+            container.read(0, 1000),
+            container.read(999, 1001),
+            container.read(1500, 4321),
+            container.read(9990, 20000),
+            container.read(5000, 5000)
+          ]).then(function (ranges) {
+            assert(ranges[0].equals(data));
+            assert(ranges[1].equals(data.slice(0, 1000)));
+            assert(ranges[2].equals(data.slice(999, 1001)));
+            assert(ranges[3].equals(data.slice(1500, 4321)));
+            assert(ranges[4].equals(data.slice(9990)));
+            assert.equal(ranges[5].length, 0);
+            fs.closeSync(fd);
+            done();
+          }).catch(done);
+        });
+      });
+    });
+  });
+
+  it('should read containers whose data fills the last chunk or is empty', function (done) {
+    encryptContainer(kripke, data, { chunkSize: 2500 }, function (err, encrypted) {
+      if (err) { return done(err); }
+      open(encrypted).then(function (container) {
+        assert.equal(container.size, 10000);
+        encryptContainer(kripke, Buffer.alloc(0), null, function (err, empty) {
+          if (err) { return done(err); }
+          open(empty).then(function (container) {
+            assert.equal(container.size, 0);
+            return container.read();
+          }).then(function (decrypted) {
+            assert.equal(decrypted.length, 0);
+            done();
+          }).catch(done);
+        });
+      }).catch(done);
+    });
+  });
+
+  it('should zero-fill the keys of a container when it is closed', function (done) {
+    encryptContainer(kripke, data, null, function (err, encrypted) {
+      var chunks;
+      if (err) { return done(err); }
+      open(encrypted).then(function (container) {
+        chunks = container._chunks;
+        container.close();
+        assert(chunks.encryptionKey.every(function (byte) { return byte === 0; }));
+        assert(chunks.hmacKey.every(function (byte) { return byte === 0; }));
+        return container.read();
+      }).then(function () {
+        done(new Error('read should fail'));
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        assert.equal(err.message, 'The container was closed');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should fail to open a container that was cut off at a chunk boundary', function (done) {
+    encryptContainer(kripke, data, { chunkSize: 1000 }, function (err, encrypted) {
+      if (err) { return done(err); }
+      // Each chunk is a 16 byte iv, 1008 bytes of cipher text and a 32 byte HMAC signature
+      open(encrypted.slice(0, encrypted.length - 1056)).then(function () {
+        done(new Error('openContainer should fail'));
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should fail to read modified or reordered chunks', function (done) {
+    encryptContainer(kripke, data, { chunkSize: 1000 }, function (err, encrypted) {
+      var chunkLength = 1056, headerLength = encrypted.length - 10 * chunkLength, modified = Buffer.from(encrypted),
+        reordered = Buffer.from(encrypted);
+      if (err) { return done(err); }
+      modified[headerLength + 2 * chunkLength + 100] ^= 1;
+      encrypted.copy(reordered, headerLength, headerLength + chunkLength, headerLength + 2 * chunkLength);
+      encrypted.copy(reordered, headerLength + chunkLength, headerLength, headerLength + chunkLength);
+
+      open(modified).then(function (container) {
+        return container.read(0, 2000).then(function (decrypted) {
+          assert(decrypted.equals(data.slice(0, 2000)));
+          return container.read(2500, 2600);
+        });
+      }).then(function () {
+        assert.fail('read should fail');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        return open(reordered);
+      }).then(function (container) {
+        return container.read(500, 600);
+      }).then(function () {
+        assert.fail('read should fail');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should not decrypt a container as a stream or with another key', function (done) {
+    encryptContainer(kripke, data, null, function (err, encrypted) {
+      var stream = kripke.createDecryptStream();
+      if (err) { return done(err); }
+      stream.on('error', function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        kripke = new Kripke({ key: crypto.randomBytes(32), iterations: 1000 });
+        open(encrypted).then(function () {
+          done(new Error('openContainer should fail'));
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeIntegrityError);
+          done();
+        }).catch(done);
+      });
+      stream.end(encrypted);
+    });
+  });
+
+  it('should throw an error for an invalid chunk size or file handle', function () {
+    assert.throws(function () {
+      kripke.createContainerStream({ chunkSize: 0 });
+    }, /Invalid chunkSize/);
+    return kripke.openContainer('file').then(function () {
+      assert.fail('openContainer should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeArgumentError);
+    });
+  });
+});
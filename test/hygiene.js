@@ -0,0 +1,188 @@
+"use strict";
+
+var assert = require('assert');
+var crypto = require('crypto');
+var util = require('util');
+var Kripke = require('../index');
+var secrets = require('../lib/secrets');
+
+describe('Key material', function () {
+  var options, k, derivedKeys;
+
+  // Record every derived key the instance hands out, to check they are wiped once they are used
+  function recordDerivedKeys(kripke) {
+    var generateDerivedKey = kripke.generateDerivedKey;
+    kripke.generateDerivedKey = function (salt, params, callback) {
+      return generateDerivedKey(salt, params, function (err, derivedKey, salt) {
+        if (derivedKey) { derivedKeys.push(derivedKey); }
+        callback(err, derivedKey, salt);
+      });
+    };
+  }
+
+  function isWiped(buffer) {
+    return buffer.every(function (byte) { return byte === 0; });
+  }
+
+  beforeEach(function () {
+    derivedKeys = [];
+    options = { key: crypto.randomBytes(32), hmacKey: crypto.randomBytes(32), iterations: 1000 };
+    k = new Kripke(options);
+  });
+
+  it('should keep its own copy of the keys', function () {
+    return k.encrypt('secret data').then(function (encodedText) {
+      options.key.fill(0);
+      options.hmacKey.fill(0);
+      return k.decrypt(encodedText);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, 'secret data');
+    });
+  });
+
+  it('should keep its own copy of a local KEK', function () {
+    var kekKey = crypto.randomBytes(32);
+    k = new Kripke({ kek: new Kripke.LocalKekProvider({ id: 'kek', key: kekKey }) });
+    return k.encrypt('secret data').then(function (encodedText) {
+      kekKey.fill(0);
+      return k.decrypt(encodedText);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, 'secret data');
+    });
+  });
+
+  it('should zero-fill derived keys once they are used', function () {
+    var subkeys = new Kripke({ key: 'secret key', deriveHmacKey: true, iterations: 1000, cacheSize: 4 });
+    [k, subkeys].forEach(recordDerivedKeys);
+    return Promise.all([
+      k.encrypt('secret data').then(function (encodedText) { return k.decrypt(encodedText); }),
+      subkeys.encrypt('secret data').then(function (encodedText) { return subkeys.decrypt(encodedText); }),
+      subkeys.encrypt('secret data', { deterministic: true }),
+      subkeys.blindIndex('secret data'),
+      k.encrypt('secret data', { output: 'jwe' }).then(function (encodedText) { return k.decrypt(encodedText); })
+    ]).then(function (results) {
+      assert.equal(results[0], 'secret data');
+      assert.equal(results[1], 'secret data');
+      assert.equal(results[4], 'secret data');
+      assert.equal(derivedKeys.length, 8);
+      derivedKeys.forEach(function (derivedKey) {
+        assert(isWiped(derivedKey));
+      });
+    });
+  });
+
+  it('should zero-fill the keys of JWE output', function () {
+    var directKey = k.directKey;
+    recordDerivedKeys(k);
+    // The `dir` key is a copy of the instance key, which is wiped the same way
+    k.directKey = function (keyId, length) {
+      var key = directKey(keyId, length);
+      derivedKeys.push(key);
+      return key;
+    };
+    return Promise.all(['PBES2-HS256+A128KW', 'dir'].map(function (alg) {
+      return k.encrypt('secret data', { output: 'jwe', jwe: { alg: alg } }).then(function (encodedText) {
+        assert.equal(encodedText.split('.').length, 5);
+        return k.decrypt(encodedText);
+      });
+    })).then(function (results) {
+      assert.deepEqual(results, ['secret data', 'secret data']);
+      assert.equal(derivedKeys.length, 4);
+      derivedKeys.forEach(function (derivedKey) {
+        assert(isWiped(derivedKey));
+      });
+    });
+  });
+
+  it('should zero-fill the data key if it could not be wrapped', function () {
+    var dataKey;
+    k = new Kripke({
+      kek: {
+        id: 'kms',
+        wrapKey: function (key, callback) {
+          dataKey = key;
+          callback(new Error('The KMS is unavailable'));
+        },
+        unwrapKey: function (wrappedKey, callback) {
+          callback(new Error('The KMS is unavailable'));
+        }
+      }
+    });
+    return k.encrypt('secret data').then(function () {
+      assert.fail('encrypt should fail');
+    }, function (err) {
+      assert.equal(err.message, 'The KMS is unavailable');
+      assert(isWiped(dataKey));
+    });
+  });
+
+  it('should zero-fill the derived key of a stream', function (done) {
+    var stream;
+    recordDerivedKeys(k);
+    stream = k.createEncryptStream();
+    stream.on('data', function () {});
+    stream.on('end', function () {
+      assert.equal(derivedKeys.length, 1);
+      assert(isWiped(derivedKeys[0]));
+      done();
+    });
+    stream.end('secret data');
+  });
+
+  it('should not be usable once it is destroyed', function () {
+    var encodedText;
+    return k.encrypt('secret data').then(function (result) {
+      encodedText = result;
+      assert.equal(k.destroyed, false);
+      k.destroy();
+      assert.equal(k.destroyed, true);
+      assert.throws(function () {
+        k.createHmac();
+      }, /The instance was destroyed/);
+      return Promise.all([k.encrypt('secret data'), k.decrypt(encodedText), k.blindIndex('secret data')]
+        .map(function (promise) {
+          return promise.then(function () {
+            assert.fail('should fail');
+          }, function (err) {
+            assert(err instanceof Kripke.KripkeKeyError);
+            assert.equal(err.message, 'The instance was destroyed');
+          });
+        }));
+    });
+  });
+
+  it('should not show the keys of the instance', function () {
+    var inspected = util.inspect(k, { depth: null, showHidden: true }), json = JSON.stringify(k);
+    [options.key, options.hmacKey].forEach(function (secret) {
+      [secret.toString('hex'), secret.toString('base64'), util.inspect(secret)].forEach(function (encoded) {
+        assert.equal(inspected.indexOf(encoded), -1);
+        assert.equal(json.indexOf(encoded), -1);
+      });
+    });
+    assert(/^Kripke \{/.test(inspected));
+    assert.equal(JSON.parse(json).iterations, 1000);
+  });
+
+  it('should redact the secrets of a copy of the options when it is logged or serialized', function () {
+    var keys = { keys: [{ id: 'old', key: 'old secret' }, { id: 'new', key: 'new secret', hmacKey: 'hmac secret',
+      primary: true }], iterations: 1000 }, copy = secrets.redact(options);
+    assert.equal(util.inspect(copy).indexOf(util.inspect(options.key)), -1);
+    assert.deepEqual(JSON.parse(JSON.stringify(copy)), { key: '[REDACTED]', hmacKey: '[REDACTED]',
+      iterations: 1000 });
+    copy = secrets.redact(keys);
+    assert.deepEqual(JSON.parse(JSON.stringify(copy)), { keys: [{ id: 'old', key: '[REDACTED]' },
+      { id: 'new', key: '[REDACTED]', hmacKey: '[REDACTED]', primary: true }], iterations: 1000 });
+    assert.equal(/secret/.test(util.inspect(copy, { depth: null })), false);
+    assert.strictEqual(copy.keys, keys.keys);
+  });
+
+  it('should not change the options', function () {
+    var keys = { keys: [{ id: 'old', key: 'old secret' }, { id: 'new', key: 'new secret', primary: true }] };
+    new Kripke(keys);
+    assert.deepEqual(Reflect.ownKeys(options), ['key', 'hmacKey', 'iterations']);
+    assert.deepEqual(Reflect.ownKeys(keys), ['keys']);
+    assert.equal(JSON.stringify(keys), '{"keys":[{"id":"old","key":"old secret"},' +
+      '{"id":"new","key":"new secret","primary":true}]}');
+    assert(Buffer.isBuffer(options.key));
+  });
+});
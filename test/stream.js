@@ -0,0 +1,159 @@
+"use strict";
+
+var assert = require('assert');
+var crypto = require('crypto');
+var Kripke = require('../index');
+
+// Write the chunks to the stream and collect the output
+function pipeThrough(stream, chunks, callback) {
+  var output = [];
+  stream.on('data', function (data) { output.push(data); });
+  stream.on('error', callback);
+  stream.on('end', function () { callback(null, Buffer.concat(output)); });
+  chunks.forEach(function (chunk) { stream.write(chunk); });
+  stream.end();
+}
+
+// Split the data into chunks of `size` bytes
+function split(data, size) {
+  var chunks = [], i;
+  for (i = 0; i < data.length; i += size) {
+    chunks.push(data.slice(i, i + size));
+  }
+  return chunks;
+}
+
+describe('Streams', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(300000);
+    options = {
+      key: crypto.randomBytes(32),
+      iterations: 10000
+    };
+  });
+
+  [
+    { name: 'AES-256-CBC without HMAC' },
+    { name: 'AES-256-CBC with HMAC', hmacKey: true },
+    { name: 'AES-256-GCM', algorithm: 'AES-256-GCM' },
+    { name: 'ChaCha20-Poly1305 with HMAC', algorithm: 'ChaCha20-Poly1305', hmacKey: true }
+  ].forEach(function (test) {
+    describe(test.name, function () {
+      var k;
+
+      beforeEach(function () {
+        if (test.algorithm) { options.algorithm = test.algorithm; }
+        if (test.hmacKey) { options.hmacKey = crypto.randomBytes(32); }
+        k = new Kripke(options);
+      });
+
+      it('should encrypt and decrypt data', function (done) {
+        pipeThrough(k.createEncryptStream(), split(data, 65536), function (err, encrypted) {
+          assert.equal(err, undefined);
+          assert.equal(encrypted.slice(0, 6).toString(), 'kripke');
+          pipeThrough(k.createDecryptStream(), split(encrypted, 1000), function (err, decrypted) {
+            assert.equal(err, undefined);
+            assert(decrypted.equals(data));
+            done();
+          });
+        });
+      });
+
+      it('should return an error if the data was modified', function (done) {
+        pipeThrough(k.createEncryptStream(), [data], function (err, encrypted) {
+          encrypted[encrypted.length - 100] ^= 1;
+          pipeThrough(k.createDecryptStream(), [encrypted], function (err) {
+            assert(err instanceof Kripke.KripkeIntegrityError);
+            assert.equal(err.message, 'Integrity verification failed');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should read the header one byte at a time', function (done) {
+    var k = new Kripke(options);
+    pipeThrough(k.createEncryptStream(), [data.slice(0, 100)], function (err, encrypted) {
+      pipeThrough(k.createDecryptStream(), split(encrypted, 1), function (err, decrypted) {
+        assert.equal(err, undefined);
+        assert(decrypted.equals(data.slice(0, 100)));
+        done();
+      });
+    });
+  });
+
+  it('should encrypt an empty stream', function (done) {
+    var k = new Kripke(options);
+    pipeThrough(k.createEncryptStream(), [], function (err, encrypted) {
+      assert.equal(err, undefined);
+      pipeThrough(k.createDecryptStream(), [encrypted], function (err, decrypted) {
+        assert.equal(err, undefined);
+        assert.equal(decrypted.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should decrypt using the parameters from the header', function (done) {
+    options.algorithm = 'AES-128-CBC';
+    options.keyLength = 128;
+    options.hmacAlgorithm = 'SHA512';
+    pipeThrough(new Kripke(options).createEncryptStream(), [data], function (err, encrypted) {
+      var k = new Kripke({ key: options.key, decryptAlgorithms: ['AES-128-CBC'] });
+      pipeThrough(k.createDecryptStream(), [encrypted], function (err, decrypted) {
+        assert.equal(err, undefined);
+        assert(decrypted.equals(data));
+        done();
+      });
+    });
+  });
+
+  it('should return an error if the key is wrong', function (done) {
+    pipeThrough(new Kripke(options).createEncryptStream(), [data], function (err, encrypted) {
+      var k = new Kripke({ key: crypto.randomBytes(32), iterations: 10000 });
+      pipeThrough(k.createDecryptStream(), [encrypted], function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        assert.equal(err.message, 'Integrity verification failed');
+        done();
+      });
+    });
+  });
+
+  it('should return an error if the data was truncated', function (done) {
+    var k = new Kripke(options);
+    pipeThrough(k.createEncryptStream(), [data], function (err, encrypted) {
+      pipeThrough(k.createDecryptStream(), [encrypted.slice(0, encrypted.length - 16)], function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        assert.equal(err.message, 'Integrity verification failed');
+        pipeThrough(k.createDecryptStream(), [encrypted.slice(0, 20)], function (err) {
+          assert(err instanceof Kripke.KripkeFormatError);
+          assert.equal(err.message, 'Encoded data is invalid');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should require an hmacKey if the stream was signed with one', function (done) {
+    options.hmacKey = crypto.randomBytes(32);
+    pipeThrough(new Kripke(options).createEncryptStream(), [data], function (err, encrypted) {
+      var k = new Kripke({ key: options.key });
+      pipeThrough(k.createDecryptStream(), [encrypted], function (err) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        assert.equal(err.message, 'An "hmacKey" is required to verify the HMAC signature of the cipher text');
+        done();
+      });
+    });
+  });
+
+  it('should return an error if the data is not an encrypted stream', function (done) {
+    pipeThrough(new Kripke(options).createDecryptStream(), [crypto.randomBytes(100)], function (err) {
+      assert(err instanceof Kripke.KripkeFormatError);
+      assert.equal(err.message, 'Encoded data is invalid');
+      done();
+    });
+  });
+});
@@ -2,7 +2,37 @@
 
 var assert = require('assert');
 var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var Kripke = require('../index');
+var KeyCache = require('../lib/cache');
+var kdf = require('../lib/kdf');
+var format = require('../lib/format');
+var deterministic = require('../lib/deterministic');
+
+// Flip a character in the cipher text of an encoded string
+function tamper(encodedText) {
+  var i = encodedText.split('$').slice(0, 4).join('$').length + 10;
+  return encodedText.substr(0, i) + (encodedText[i] === '0' ? '1' : '0') + encodedText.substr(i + 1);
+}
+
+// Call `fn` with a callback, and check that it is called asynchronously with an error that matches `expected`
+function callbackError(fn, expected) {
+  return new Promise(function (resolve, reject) {
+    var sync = true;
+    fn(function (err) {
+      try {
+        assert(!sync, 'The callback was called synchronously');
+        assert.throws(function () { throw err; }, expected);
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    });
+    sync = false;
+  });
+}
 
 describe('Instance tests', function () {
   var k, data, options;
@@ -24,7 +54,7 @@ describe('Instance tests', function () {
       k.encrypt(data, function (e, r) {
         assert.equal(e, undefined);
         assert.equal(typeof r, 'string');
-        assert.equal(r.split('$').length, 3);
+        assert.equal(r.split('$').length, 7);
         done();
       })
     });
@@ -53,7 +83,7 @@ describe('Instance tests', function () {
         assert.equal(e, undefined);
         assert.equal(typeof r, 'string');
         // Should have extra HMAC signature
-        assert.equal(r.split('$').length, 4);
+        assert.equal(r.split('$').length, 8);
         done();
       })
     });
@@ -76,7 +106,7 @@ describe('Instance tests', function () {
         delete options.hmacKey;
         var k2 = new Kripke(options);
         k2.decrypt(r, function (err, result) {
-          assert(err instanceof Error);
+          assert(err instanceof Kripke.KripkeKeyError);
           assert.equal(err.message, 'An "hmacKey" is required to verify the HMAC signature of the cipher text');
           assert.equal(result, undefined);
           done();
@@ -90,7 +120,7 @@ describe('Instance tests', function () {
       k2.encrypt(data, function (e, r) {
         assert(typeof r, 'string');
         k.decrypt(r, function (err, result) {
-          assert(err instanceof Error);
+          assert(err instanceof Kripke.KripkeIntegrityError);
           assert.equal(err.message, 'An "hmacKey" was provided but the cipher text does not include an HMAC signature');
           assert.equal(result, undefined);
           done();
@@ -100,30 +130,42 @@ describe('Instance tests', function () {
   });
 
   describe('Error handling', function () {
-    it('should throw an error on missing callback', function () {
-      assert.throws(k.encrypt, /No callback provided/);
-      assert.throws(k.decrypt, /No callback provided/);
+    it('should reject instead of throwing without a callback', function () {
+      return k.encrypt('').then(function () {
+        assert.fail('Expected a rejection');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeArgumentError);
+        assert.equal(err.message, 'Invalid plain text data');
+        return k.decrypt(null);
+      }).then(function () {
+        assert.fail('Expected a rejection');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeArgumentError);
+        assert.equal(err.message, 'Invalid cipher text');
+      });
     });
 
-    it('should throw an error if data is invalid', function () {
-      assert.throws(function () {
-        k.encrypt('', function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        k.encrypt(null, function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        k.encrypt(new Buffer(''), function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        k.decrypt('', function () {});
-      }, /Invalid cipher text/);
-      assert.throws(function () {
-        k.decrypt(null, function () {});
-      }, /Invalid cipher text/);
-      assert.throws(function () {
-        k.decrypt(new Buffer(''), function () {});
-      }, /Invalid cipher text/);
+    it('should return an error if data is invalid', function () {
+      return Promise.all([
+        callbackError(function (callback) {
+          k.encrypt('', callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          k.encrypt(null, callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          k.encrypt(Buffer.from(''), callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          k.decrypt('', callback);
+        }, /Invalid cipher text/),
+        callbackError(function (callback) {
+          k.decrypt(null, callback);
+        }, /Invalid cipher text/),
+        callbackError(function (callback) {
+          k.decrypt(Buffer.from(''), callback);
+        }, /Invalid cipher text/)
+      ]);
     });
 
     it('should throw an error if key is missing', function () {
@@ -136,10 +178,10 @@ describe('Instance tests', function () {
       options.hmacKey = crypto.randomBytes(32);
       k = new Kripke(options);
       k.encrypt(data, function (e, r) {
-        r = r.substr(0, 10) + '0' + r.substr(11);
+        r = tamper(r);
         k.decrypt(r, function (err) {
-          assert(err instanceof Error);
-          assert.equal(err.message, 'HMAC signature verification failed');
+          assert(err instanceof Kripke.KripkeIntegrityError);
+          assert.equal(err.message, 'Integrity verification failed');
           done();
         })
       })
@@ -163,7 +205,7 @@ describe('Static functions', function () {
       Kripke.encrypt(data, options, function (e, r) {
         assert.equal(e, undefined);
         assert.equal(typeof r, 'string');
-        assert.equal(r.split('$').length, 3);
+        assert.equal(r.split('$').length, 7);
         done();
       })
     });
@@ -191,7 +233,7 @@ describe('Static functions', function () {
         assert.equal(e, undefined);
         assert.equal(typeof r, 'string');
         // Should have extra HMAC signature
-        assert.equal(r.split('$').length, 4);
+        assert.equal(r.split('$').length, 8);
         done();
       })
     });
@@ -213,7 +255,7 @@ describe('Static functions', function () {
         assert(typeof r, 'string');
         delete options.hmacKey;
         Kripke.decrypt(r, options, function (err, result) {
-          assert(err instanceof Error);
+          assert(err instanceof Kripke.KripkeKeyError);
           assert.equal(err.message, 'An "hmacKey" is required to verify the HMAC signature of the cipher text');
           assert.equal(result, undefined);
           done();
@@ -226,7 +268,7 @@ describe('Static functions', function () {
       Kripke.encrypt(data, noHmac, function (e, r) {
         assert(typeof r, 'string');
         Kripke.decrypt(r, options, function (err, result) {
-          assert(err instanceof Error);
+          assert(err instanceof Kripke.KripkeIntegrityError);
           assert.equal(err.message, 'An "hmacKey" was provided but the cipher text does not include an HMAC signature');
           assert.equal(result, undefined);
           done();
@@ -236,48 +278,62 @@ describe('Static functions', function () {
   });
 
   describe('Error handling', function () {
-    it('should throw an error on missing callback', function () {
-      assert.throws(Kripke.encrypt, /No callback provided/);
-      assert.throws(Kripke.decrypt, /No callback provided/);
+    it('should reject instead of throwing without a callback', function () {
+      return Kripke.encrypt('blah', {}).then(function () {
+        assert.fail('Expected a rejection');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        assert.equal(err.message, 'You must provide a "key"');
+        return Kripke.decrypt('', { key: '1' });
+      }).then(function () {
+        assert.fail('Expected a rejection');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeArgumentError);
+        assert.equal(err.message, 'Invalid cipher text');
+      });
     });
 
-    it('should throw an error if data is invalid', function () {
-      assert.throws(function () {
-        Kripke.encrypt('', { key: '1' }, function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        Kripke.encrypt(null, { key: '1' }, function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        Kripke.encrypt(new Buffer(''), { key: '1' }, function () {});
-      }, /Invalid plain text data/);
-      assert.throws(function () {
-        Kripke.decrypt('', { key: '1' }, function () {});
-      }, /Invalid cipher text/);
-      assert.throws(function () {
-        Kripke.decrypt(null, { key: '1' }, function () {});
-      }, /Invalid cipher text/);
-      assert.throws(function () {
-        Kripke.decrypt(new Buffer(''), { key: '1' }, function () {});
-      }, /Invalid cipher text/);
+    it('should return an error if data is invalid', function () {
+      return Promise.all([
+        callbackError(function (callback) {
+          Kripke.encrypt('', { key: '1' }, callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          Kripke.encrypt(null, { key: '1' }, callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          Kripke.encrypt(Buffer.from(''), { key: '1' }, callback);
+        }, /Invalid plain text data/),
+        callbackError(function (callback) {
+          Kripke.decrypt('', { key: '1' }, callback);
+        }, /Invalid cipher text/),
+        callbackError(function (callback) {
+          Kripke.decrypt(null, { key: '1' }, callback);
+        }, /Invalid cipher text/),
+        callbackError(function (callback) {
+          Kripke.decrypt(Buffer.from(''), { key: '1' }, callback);
+        }, /Invalid cipher text/)
+      ]);
     });
 
-    it('should throw an error if key is missing', function () {
-      assert.throws(function () {
-        Kripke.encrypt('blah', {}, function () {});
-      }, /You must provide a "key"/);
-      assert.throws(function () {
-        Kripke.decrypt('blah', {}, function () {});
-      }, /You must provide a "key"/);
+    it('should return an error if key is missing', function () {
+      return Promise.all([
+        callbackError(function (callback) {
+          Kripke.encrypt('blah', {}, callback);
+        }, /You must provide a "key"/),
+        callbackError(function (callback) {
+          Kripke.decrypt('blah', {}, callback);
+        }, /You must provide a "key"/)
+      ]);
     });
 
     it('should return an error if the HMAC validation fails', function (done) {
       options.hmacKey = crypto.randomBytes(32);
       Kripke.encrypt(data, options, function (e, r) {
-        r = r.substr(0, 10) + '0' + r.substr(11);
+        r = tamper(r);
         Kripke.decrypt(r, options, function (err) {
-          assert(err instanceof Error);
-          assert.equal(err.message, 'HMAC signature verification failed');
+          assert(err instanceof Kripke.KripkeIntegrityError);
+          assert.equal(err.message, 'Integrity verification failed');
           done();
         })
       })
@@ -285,3 +341,2196 @@ describe('Static functions', function () {
   });
 
 });
+
+describe('AEAD ciphers', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = {
+      key: crypto.randomBytes(32),
+      iterations: 10000
+    };
+  });
+
+  ['AES-256-GCM', 'ChaCha20-Poly1305'].forEach(function (algorithm) {
+    describe(algorithm, function () {
+      beforeEach(function () {
+        options.algorithm = algorithm;
+      });
+
+      it('should encrypt data with a 12 byte nonce and a 16 byte tag', function (done) {
+        new Kripke(options).encrypt(data, function (e, r) {
+          var parts = r.split('$');
+          assert.equal(e, undefined);
+          assert.equal(parts.length, 7);
+          assert.equal(Buffer.from(parts[4], 'base64').length, data.length + 16);
+          assert.equal(Buffer.from(parts[5], 'base64').length, 12);
+          done();
+        });
+      });
+
+      it('should decrypt data', function (done) {
+        var k = new Kripke(options);
+        k.encrypt(data, function (e, r) {
+          k.decrypt(r, function (err, result) {
+            assert.equal(err, undefined);
+            assert.equal(result, data);
+            done();
+          });
+        });
+      });
+
+      it('should decrypt data with the static functions', function (done) {
+        options.hmacKey = crypto.randomBytes(32);
+        Kripke.encrypt(data, options, function (e, r) {
+          assert.equal(r.split('$').length, 8);
+          Kripke.decrypt(r, options, function (err, result) {
+            assert.equal(err, undefined);
+            assert.equal(result, data);
+            done();
+          });
+        });
+      });
+
+      it('should return an error if the cipher text was modified', function (done) {
+        Kripke.encrypt(data, options, function (e, r) {
+          Kripke.decrypt(tamper(r), options, function (err, result) {
+            assert(err instanceof Kripke.KripkeIntegrityError);
+            assert.equal(err.message, 'Integrity verification failed');
+            assert.equal(result, undefined);
+            done();
+          });
+        });
+      });
+
+      it('should return an error if the header was modified', function (done) {
+        Kripke.encrypt(data, options, function (e, r) {
+          Kripke.decrypt(r.replace(',h=sha256', ',h=sha512'), options, function (err) {
+            assert(err instanceof Kripke.KripkeIntegrityError);
+            assert.equal(err.message, 'Integrity verification failed');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should not decrypt data whose header was changed to another cipher', function () {
+    var k = new Kripke({ key: options.key, algorithm: 'AES-256-GCM', iterations: 1000 });
+    return k.encrypt(data).then(function (encodedText) {
+      var parts = encodedText.split('$'), cipherText = Buffer.from(parts[4], 'base64');
+      // AES-256-CTR with the GCM nonce and counter 2 produces the same key stream, without the tag
+      parts[3] = parts[3].replace('c=aes-256-gcm', 'c=aes-256-ctr');
+      parts[4] = cipherText.slice(0, -16).toString('base64');
+      parts[5] = Buffer.concat([Buffer.from(parts[5], 'base64'), Buffer.from([0, 0, 0, 2])]).toString('base64');
+      return Promise.all([
+        k.decrypt(parts.join('$')),
+        k.decrypt(encodedText.replace('c=aes-256-gcm', 'c=aes-256-cbc')),
+        new Kripke({ key: options.key, algorithm: 'AES-256-GCM', decryptAlgorithms: ['AES-128-GCM'], iterations: 1000 })
+          .decrypt(encodedText.replace('c=aes-256-gcm', 'c=aes-256-cbc'))
+      ].map(function (promise) {
+        return promise.then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          return err;
+        });
+      }));
+    }).then(function (errors) {
+      assert(errors[0] instanceof Kripke.KripkeFormatError);
+      assert.equal(errors[0].message, 'Unsupported algorithm "aes-256-ctr"');
+      // An AEAD instance doesn't decrypt data that is neither AEAD nor signed
+      assert(errors[1] instanceof Kripke.KripkeIntegrityError);
+      assert(errors[2] instanceof Kripke.KripkeFormatError);
+      assert.equal(errors[2].message, 'The algorithm "aes-256-cbc" is not allowed to decrypt');
+    });
+  });
+
+  it('should decrypt data in any supported algorithm with only the key', function () {
+    return Promise.all([['AES-256-GCM', 256], ['AES-128-CBC', 128], ['ChaCha20-Poly1305', 256]].map(function (test) {
+      return Kripke.encrypt(data, { key: options.key, algorithm: test[0], keyLength: test[1], iterations: 1000 })
+        .then(function (encodedText) {
+          return Kripke.decrypt(encodedText, { key: options.key });
+        });
+    })).then(function (decrypted) {
+      assert.deepEqual(decrypted, [data, data, data]);
+    });
+  });
+
+  it('should decrypt data with the algorithms in "decryptAlgorithms"', function () {
+    return Kripke.encrypt(data, { key: options.key, iterations: 1000 }).then(function (encodedText) {
+      return new Kripke({ key: options.key, algorithm: 'AES-256-GCM', decryptAlgorithms: ['AES-256-CBC'],
+        hmacKey: 'hmac', iterations: 1000 }).decrypt(encodedText).then(function () {
+        assert.fail('decrypt should fail');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        return Kripke.encrypt(data, { key: options.key, hmacKey: 'hmac', iterations: 1000 });
+      });
+    }).then(function (encodedText) {
+      return new Kripke({ key: options.key, algorithm: 'AES-256-GCM', decryptAlgorithms: ['AES-256-CBC'],
+        hmacKey: 'hmac', iterations: 1000 }).decrypt(encodedText);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+      assert.throws(function () {
+        return new Kripke({ key: options.key, decryptAlgorithms: ['AES-256-CTR'] });
+      }, /Unsupported algorithm "AES-256-CTR"/);
+    });
+  });
+});
+
+describe('Keyring', function () {
+  var data, oldKey, newKey;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    oldKey = { id: 'old', key: crypto.randomBytes(32), hmacKey: crypto.randomBytes(32) };
+    newKey = { id: 'new', key: crypto.randomBytes(32), hmacKey: crypto.randomBytes(32) };
+  });
+
+  it('should encrypt with the primary key and record its ID', function (done) {
+    var k = new Kripke({ keys: [oldKey, { id: 'new', key: newKey.key, primary: true }], iterations: 10000 });
+    assert.equal(k.keyId, 'new');
+    k.encrypt(data, function (e, r) {
+      assert.equal(e, undefined);
+      assert.equal(r.split('$')[3].split(',')[0], 'k=new');
+      // Not signed since the primary key has no HMAC key
+      assert.equal(r.split('$').length, 7);
+      done();
+    });
+  });
+
+  it('should use the first key if none is marked primary', function () {
+    assert.equal(new Kripke({ keys: [oldKey, newKey] }).keyId, 'old');
+  });
+
+  it('should decrypt with the key matching the ID', function (done) {
+    new Kripke({ keys: [oldKey], iterations: 10000 }).encrypt(data, function (e, r) {
+      var k = new Kripke({ keys: [newKey, oldKey] });
+      k.decrypt(r, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, data);
+        done();
+      });
+    });
+  });
+
+  it('should decrypt data without an ID with the key without an ID', function (done) {
+    Kripke.encrypt(data, { key: oldKey.key, iterations: 10000 }, function (e, r) {
+      var k = new Kripke({ keys: [newKey, { key: oldKey.key }] });
+      k.decrypt(r, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, data);
+        done();
+      });
+    });
+  });
+
+  it('should return an error if there is no key with the ID', function (done) {
+    new Kripke({ keys: [oldKey], iterations: 10000 }).encrypt(data, function (e, r) {
+      new Kripke({ keys: [newKey] }).decrypt(r, function (err, result) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        assert.equal(err.message, 'No key found with ID "old"');
+        assert.equal(result, undefined);
+        Kripke.decrypt(r, { key: oldKey.key }, function (err) {
+          assert(err instanceof Kripke.KripkeKeyError);
+          assert.equal(err.message, 'No key found with ID "old"');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should reencrypt data with the primary key', function (done) {
+    new Kripke({ keys: [oldKey], iterations: 10000 }).encrypt(data, function (e, r) {
+      var k;
+      newKey.primary = true;
+      k = new Kripke({ keys: [oldKey, newKey], iterations: 10000 });
+      k.reencrypt(r, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result.split('$')[3].split(',')[0], 'k=new');
+        new Kripke({ keys: [newKey] }).decrypt(result, function (err, result) {
+          assert.equal(err, undefined);
+          assert.equal(result, data);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should throw an error if the keys are invalid', function () {
+    assert.throws(function () {
+      new Kripke({ keys: [] });
+    }, /You must provide a "key"/);
+    assert.throws(function () {
+      new Kripke({ keys: [{ id: 'a' }] });
+    }, /You must provide a "key"/);
+    assert.throws(function () {
+      new Kripke({ keys: [{ id: 'a$b', key: '1' }] });
+    }, /Key IDs must only contain letters, numbers, "-", "_" and "."/);
+    assert.throws(function () {
+      new Kripke({ keys: [{ id: 'a', key: '1' }, { id: 'a', key: '2' }] });
+    }, /Duplicate key ID "a"/);
+    assert.throws(function () {
+      new Kripke({ keys: [{ key: '1' }, { key: '2' }] });
+    }, /Only one key may omit its ID/);
+    assert.throws(function () {
+      new Kripke({ keys: [{ id: 'a', key: '1', primary: true }, { id: 'b', key: '2', primary: true }] });
+    }, /Only one key may be marked as primary/);
+  });
+});
+
+describe('Output formats', function () {
+  var data, options, k;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(256);
+    options = {
+      key: crypto.randomBytes(32),
+      hmacKey: crypto.randomBytes(32),
+      iterations: 10000
+    };
+    k = new Kripke(options);
+  });
+
+  it('should decrypt binary data to a Buffer', function (done) {
+    k.encrypt(data, function (e, r) {
+      k.decrypt(r, { output: 'buffer' }, function (err, result) {
+        assert.equal(err, undefined);
+        assert(Buffer.isBuffer(result));
+        assert(result.equals(data));
+        done();
+      });
+    });
+  });
+
+  it('should decrypt to a string with the encoding', function (done) {
+    k.encrypt(data, function (e, r) {
+      k.decrypt(r, { encoding: 'hex' }, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, data.toString('hex'));
+        done();
+      });
+    });
+  });
+
+  it('should encrypt to the binary format', function (done) {
+    k.encrypt(data, { output: 'buffer' }, function (e, r) {
+      assert.equal(e, undefined);
+      assert(Buffer.isBuffer(r));
+      assert.equal(r.slice(0, 6).toString(), 'kripke');
+      k.decrypt(r, { output: 'buffer' }, function (err, result) {
+        assert.equal(err, undefined);
+        assert(result.equals(data));
+        done();
+      });
+    });
+  });
+
+  it('should encrypt to a URL-safe string', function (done) {
+    options.algorithm = 'AES-256-GCM';
+    options.output = 'base64url';
+    Kripke.encrypt(data, options, function (e, r) {
+      assert.equal(e, undefined);
+      assert(/^[A-Za-z0-9_-]+$/.test(r));
+      Kripke.decrypt(r, { key: options.key, hmacKey: options.hmacKey, algorithm: 'AES-256-GCM', output: 'buffer' },
+        function (err, result) {
+          assert.equal(err, undefined);
+          assert(result.equals(data));
+          done();
+        });
+    });
+  });
+
+  it('should return an error if the binary format was modified', function (done) {
+    k.encrypt(data, { output: 'buffer' }, function (e, r) {
+      r[r.length - 40] ^= 1;
+      k.decrypt(r, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        assert.equal(err.message, 'Integrity verification failed');
+        done();
+      });
+    });
+  });
+
+  it('should reencrypt to the same format', function (done) {
+    k.encrypt(data, { output: 'base64url' }, function (e, r) {
+      k.reencrypt(r, function (err, result) {
+        assert.equal(err, undefined);
+        assert.notEqual(result, r);
+        assert(/^[A-Za-z0-9_-]+$/.test(result));
+        done();
+      });
+    });
+  });
+
+  it('should return an error if the output is invalid', function () {
+    return Promise.all([
+      callbackError(function (callback) {
+        k.encrypt(data, { output: 'hex' }, callback);
+      }, /Invalid output "hex"/),
+      callbackError(function (callback) {
+        k.decrypt('a$b$c', { encoding: 'utf9' }, callback);
+      }, /Invalid encoding "utf9"/)
+    ]);
+  });
+});
+
+describe('Promises', function () {
+  var data, k;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    k = new Kripke({ key: crypto.randomBytes(32), hmacKey: crypto.randomBytes(32), iterations: 10000 });
+  });
+
+  it('should encrypt and decrypt without callbacks', function () {
+    return k.encrypt(data).then(function (r) {
+      assert.equal(r.split('$').length, 8);
+      return k.decrypt(r);
+    }).then(function (result) {
+      assert.equal(result, data);
+    });
+  });
+
+  it('should encrypt and decrypt with the static functions', function () {
+    var options = { key: crypto.randomBytes(32), iterations: 10000 };
+    return Kripke.encrypt(data, options).then(function (r) {
+      return Kripke.decrypt(r, options);
+    }).then(function (result) {
+      assert.equal(result, data);
+    });
+  });
+
+  it('should reject if the HMAC validation fails', function () {
+    return k.encrypt(data).then(function (r) {
+      return k.decrypt(tamper(r));
+    }).then(function () {
+      assert.fail('Expected a rejection');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+      assert.equal(err.message, 'Integrity verification failed');
+    });
+  });
+
+  it('should generate a derived key', function () {
+    return k.generateDerivedKey().then(function (result) {
+      assert.equal(result.derivedKey.length, 32);
+      assert.equal(result.salt.length, 16);
+      return k.generateDerivedKey(result.salt).then(function (again) {
+        assert(again.derivedKey.equals(result.derivedKey));
+      });
+    });
+  });
+
+  it('should reencrypt without a callback', function () {
+    return k.encrypt(data).then(function (r) {
+      return k.reencrypt(r);
+    }).then(function (r) {
+      return k.decrypt(r);
+    }).then(function (result) {
+      assert.equal(result, data);
+    });
+  });
+
+  describe('Async iterables', function () {
+    // Collect the values of an async iterable
+    function collect(iterable) {
+      var iterator = iterable[Symbol.asyncIterator](), values = [];
+      function next() {
+        return iterator.next().then(function (step) {
+          if (step.done) { return values; }
+          values.push(step.value);
+          return next();
+        });
+      }
+      return next();
+    }
+
+    it('should encrypt and decrypt a sequence of records', function () {
+      var records = ['one', 'two', 'three'];
+      return collect(k.encryptAll(records)).then(function (encrypted) {
+        assert.equal(encrypted.length, 3);
+        return collect(k.decryptAll(k.encryptAll(records)));
+      }).then(function (decrypted) {
+        assert.deepEqual(decrypted, records);
+      });
+    });
+
+    it('should stop at the first record that fails', function () {
+      return collect(k.decryptAll(['a$b$c'])).then(function () {
+        assert.fail('Expected a rejection');
+      }, function (err) {
+        assert(err instanceof Error);
+      });
+    });
+
+    it('should throw an error if the records are not iterable', function () {
+      assert.throws(function () {
+        k.encryptAll(42);
+      }, /Records must be iterable/);
+    });
+  });
+});
+
+describe('Key derivation functions', function () {
+  var data, key;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    key = crypto.randomBytes(32);
+  });
+
+  [
+    { kdf: 'pbkdf2', digest: 'SHA512', iterations: 10000, header: 'kdf=pbkdf2,i=10000,l=256,d=sha512,h=sha256' },
+    { kdf: 'scrypt', cost: 1024, blockSize: 4, header: 'kdf=scrypt,n=1024,r=4,p=1,l=256,h=sha256' },
+    { kdf: 'hkdf', header: 'kdf=hkdf,l=256,d=sha256,h=sha256' }
+  ].forEach(function (test) {
+    describe(test.kdf, function () {
+      var options;
+
+      beforeEach(function () {
+        options = { key: key, kdf: test.kdf, digest: test.digest, iterations: test.iterations, cost: test.cost,
+          blockSize: test.blockSize };
+      });
+
+      it('should record the parameters in the header', function (done) {
+        Kripke.encrypt(data, options, function (e, r) {
+          assert.equal(e, undefined);
+          assert.equal(r.split('$')[3], 'c=aes-256-cbc,' + test.header);
+          done();
+        });
+      });
+
+      it('should decrypt using the parameters from the header', function (done) {
+        Kripke.encrypt(data, options, function (e, r) {
+          Kripke.decrypt(r, { key: key }, function (err, result) {
+            assert.equal(err, undefined);
+            assert.equal(result, data);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should derive different keys with each function', function () {
+    var salt = crypto.randomBytes(16);
+    return Promise.all(['pbkdf2', 'scrypt', 'hkdf'].map(function (kdf) {
+      return new Kripke({ key: key, kdf: kdf, iterations: 1000, cost: 1024 }).generateDerivedKey(salt);
+    })).then(function (results) {
+      assert(!results[0].derivedKey.equals(results[1].derivedKey));
+      assert(!results[1].derivedKey.equals(results[2].derivedKey));
+    });
+  });
+
+  it('should throw an error if the key derivation function is not supported', function () {
+    assert.throws(function () {
+      new Kripke({ key: key, kdf: 'bcrypt' });
+    }, /Unsupported key derivation function "bcrypt"/);
+  });
+
+  it('should throw an argument error if the hash or key derivation options are invalid', function () {
+    [
+      [{ hmacAlgorithm: 'md77' }, 'Unsupported hash algorithm "md77"'],
+      [{ digest: 'md77' }, 'Unsupported hash algorithm "md77"'],
+      [{ iterations: 1.5 }, 'Invalid "iterations"'],
+      [{ iterations: 3000000000 }, 'Invalid "iterations"'],
+      [{ kdf: 'scrypt', cost: 1000 }, 'Invalid "cost"'],
+      [{ kdf: 'scrypt', blockSize: -1 }, 'Invalid "blockSize"'],
+      [{ kdf: 'scrypt', parallelization: 'many' }, 'Invalid "parallelization"']
+    ].forEach(function (test) {
+      assert.throws(function () {
+        new Kripke(Object.assign({ key: key }, test[0]));
+      }, function (err) {
+        return err instanceof Kripke.KripkeArgumentError && err.message === test[1];
+      });
+    });
+  });
+
+  it('should throw a format error if the hash or key derivation parameters of the header are invalid', function () {
+    var k = new Kripke({ key: key, iterations: 1000, algorithm: 'AES-256-GCM' });
+    return k.encrypt(data).then(function (encodedText) {
+      return Promise.all([
+        encodedText.replace('i=1000', 'i=99999999999999'),
+        encodedText.replace('i=1000', 'i=0'),
+        encodedText.replace('d=sha256', 'd=md77'),
+        encodedText.replace('h=sha256', 'h=md77'),
+        encodedText.replace('kdf=pbkdf2,i=1000', 'kdf=scrypt,n=1000')
+      ].map(function (tampered) {
+        return k.decrypt(tampered).then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeFormatError);
+          return err.message;
+        });
+      }));
+    }).then(function (messages) {
+      assert.deepEqual(messages, ['Encoded text is invalid', 'Encoded text is invalid',
+        'Unsupported hash algorithm "md77"', 'Unsupported hash algorithm "md77"', 'Encoded text is invalid']);
+    });
+  });
+
+  it('should reject parameters from the header before deriving the key', function () {
+    var k = new Kripke({ key: key, iterations: 1000, algorithm: 'AES-256-GCM' });
+    return k.encrypt(data).then(function (encodedText) {
+      return Promise.all([
+        k.decrypt(encodedText.replace('i=1000', 'i=2000000000')),
+        k.decrypt(encodedText.replace('l=256', 'l=4096')),
+        // An instance that uses more iterations accepts as many
+        new Kripke({ key: key, iterations: 2000000, algorithm: 'AES-256-GCM' })
+          .decrypt(encodedText.replace('i=1000', 'i=1000001'))
+      ].map(function (promise) {
+        return promise.then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          return err;
+        });
+      }));
+    }).then(function (errors) {
+      assert(errors[0] instanceof Kripke.KripkeFormatError);
+      assert.equal(errors[0].message, 'The number of iterations is larger than 1000000');
+      assert(errors[1] instanceof Kripke.KripkeFormatError);
+      assert.equal(errors[1].message, 'Unsupported key length "4096"');
+      // The key is derived, but the header no longer matches the authentication tag
+      assert(errors[2] instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should reject scrypt parameters from the header that need too many resources', function () {
+    var k = new Kripke({ key: key, kdf: 'scrypt', cost: 1024, algorithm: 'AES-256-GCM' });
+    return k.encrypt(data).then(function (encodedText) {
+      return Promise.all([
+        k.decrypt(encodedText.replace('n=1024', 'n=1048576')),
+        k.decrypt(encodedText.replace('r=8', 'r=1000000')),
+        k.decrypt(encodedText.replace('p=1', 'p=1000'))
+      ].map(function (promise) {
+        return promise.then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          return err;
+        });
+      }));
+    }).then(function (errors) {
+      assert.equal(errors[0].message, 'The scrypt parameters need more than 268435456 bytes of memory');
+      assert.equal(errors[1].message, 'The scrypt parameters need more than 268435456 bytes of memory');
+      assert(errors[2] instanceof Kripke.KripkeFormatError);
+      assert.equal(errors[2].message, 'The scrypt parallelization is larger than 16');
+    });
+  });
+});
+
+describe('Derived HMAC key', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = { key: crypto.randomBytes(32), iterations: 10000, deriveHmacKey: true };
+  });
+
+  it('should always sign the data', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      assert.equal(e, undefined);
+      assert.equal(r.split('$').length, 8);
+      assert.equal(r.split('$')[3], 'c=aes-256-cbc,kdf=pbkdf2,i=10000,l=256,d=sha256,s=hkdf,h=sha256');
+      done();
+    });
+  });
+
+  it('should decrypt data with only the key', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      Kripke.decrypt(r, { key: options.key }, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, data);
+        done();
+      });
+    });
+  });
+
+  it('should return an error if the parameters, iv or salt were modified', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      var parts = r.split('$');
+      parts[3] = parts[3].replace('c=aes-256-cbc', 'c=aes-256-ctr');
+      Kripke.decrypt(parts.join('$'), options, function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        assert.equal(err.message, 'Unsupported algorithm "aes-256-ctr"');
+        parts = r.split('$');
+        parts[5] = crypto.randomBytes(16).toString('base64');
+        Kripke.decrypt(parts.join('$'), options, function (err) {
+          assert(err instanceof Kripke.KripkeIntegrityError);
+          assert.equal(err.message, 'Integrity verification failed');
+          parts = r.split('$');
+          parts[6] = crypto.randomBytes(16).toString('base64');
+          Kripke.decrypt(parts.join('$'), options, function (err) {
+            assert(err instanceof Kripke.KripkeIntegrityError);
+            assert.equal(err.message, 'Integrity verification failed');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should return an error if the signature was removed', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      Kripke.decrypt(r.substr(0, r.lastIndexOf('$')), options, function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        assert.equal(err.message, 'Encoded text is invalid');
+        done();
+      });
+    });
+  });
+
+  it('should not decrypt data that was not signed with a derived HMAC key', function () {
+    var legacy = 'cqKqRq1Lz9lOV53Bl3nDtevHk7zhuZGcOepcbzi2MT8=$YSL3QAoFQIyTQaKjOcSKhg==$zyRceHna4IcBHfZZciXwIA==';
+    return Kripke.encrypt(data, { key: options.key, iterations: 10000 }).then(function (unsigned) {
+      return Promise.all([
+        Kripke.decrypt(unsigned, options),
+        Kripke.decrypt(legacy, { key: 'legacy key', iterations: 1000, deriveHmacKey: true })
+      ].map(function (promise) {
+        return promise.then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeIntegrityError);
+          assert.equal(err.message, 'Integrity verification failed');
+        });
+      }));
+    });
+  });
+
+  it('should not verify the data outside of decrypt', function (done) {
+    var k = new Kripke(options);
+    k.encrypt(data, function (e, r) {
+      assert.throws(function () {
+        k.verify(r);
+      }, /Data signed with a derived HMAC key can only be verified by "decrypt"/);
+      done();
+    });
+  });
+});
+
+describe('Derived key cache', function () {
+  var data, options, derive, derivations;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = { key: crypto.randomBytes(32), iterations: 10000 };
+    derivations = 0;
+    derive = kdf.derive;
+    kdf.derive = function () {
+      derivations++;
+      return derive.apply(this, arguments);
+    };
+  });
+
+  afterEach(function () {
+    kdf.derive = derive;
+  });
+
+  it('should derive the key once per salt', function () {
+    var k = new Kripke(Object.assign({ cacheSize: 10 }, options));
+    return k.encrypt(data).then(function (r) {
+      return Promise.all([k.decrypt(r), k.decrypt(r), k.decrypt(r)]);
+    }).then(function (results) {
+      assert.deepEqual(results, [data, data, data]);
+      assert.equal(derivations, 1);
+    });
+  });
+
+  it('should not use a cached key for different parameters', function () {
+    var k = new Kripke(Object.assign({ cacheSize: 10 }, options));
+    return k.generateDerivedKey('c2FsdA==').then(function (first) {
+      return k.generateDerivedKey('c2FsdA==', { iterations: 20000 }).then(function (second) {
+        assert(!first.derivedKey.equals(second.derivedKey));
+        assert.equal(derivations, 2);
+      });
+    });
+  });
+
+  it('should derive the key once with a session salt', function () {
+    var k = new Kripke(Object.assign({ sessionSalt: true }, options));
+    return Promise.all([k.encrypt(data), k.encrypt(data), k.encrypt(data)]).then(function (results) {
+      var parts = results.map(function (r) { return r.split('$'); });
+      assert.equal(parts[0][6], parts[1][6]);
+      assert.equal(parts[0][6], parts[2][6]);
+      assert.notEqual(parts[0][5], parts[1][5]);
+      return Promise.all(results.map(function (r) { return k.decrypt(r); }));
+    }).then(function (results) {
+      assert.deepEqual(results, [data, data, data]);
+      assert.equal(derivations, 1);
+    });
+  });
+
+  it('should decrypt session salt data with another instance', function () {
+    var k = new Kripke(Object.assign({ sessionSalt: true }, options));
+    return k.encrypt(data).then(function (r) {
+      return Kripke.decrypt(r, options);
+    }).then(function (result) {
+      assert.equal(result, data);
+    });
+  });
+
+  it('should zero-fill the least recently used key when it is evicted', function () {
+    var cache = new KeyCache(2), first = Buffer.from('first'), second = Buffer.from('second');
+    cache.set('first', first);
+    cache.set('second', second);
+    cache.get('first');
+    cache.set('third', Buffer.from('third'));
+    assert.equal(cache.get('second'), undefined);
+    assert.equal(second.toString('hex'), '000000000000');
+    assert.equal(cache.get('first').toString(), 'first');
+  });
+
+  it('should not evict pinned keys', function () {
+    var cache = new KeyCache(0);
+    cache.set('session', Buffer.from('session'), true);
+    cache.set('other', Buffer.from('other'));
+    assert.equal(cache.get('session').toString(), 'session');
+    assert.equal(cache.get('other'), undefined);
+  });
+
+  it('should not keep a derivation pending if it throws', function (done) {
+    var cache = new KeyCache(2);
+    cache.derive('id', false, function () {
+      throw new Error('derivation failed');
+    }, function (err) {
+      assert.equal(err.message, 'derivation failed');
+      cache.derive('id', false, function (callback) {
+        callback(null, Buffer.from('key'));
+      }, function (err, key) {
+        assert.equal(key.toString(), 'key');
+        done();
+      });
+    });
+  });
+
+  it('should call every waiting callback and wipe the key if one of them throws', function () {
+    var cache = new KeyCache(2), derivedKey = Buffer.from('key'), finish, key;
+    cache.derive('id', false, function (callback) { finish = callback; }, function () {
+      throw new Error('callback failed');
+    });
+    cache.derive('id', false, function () {
+      assert.fail('should share the derivation');
+    }, function (err, result) {
+      key = result;
+    });
+    assert.throws(function () {
+      finish(null, derivedKey);
+    }, /callback failed/);
+    assert.equal(key.toString(), 'key');
+    assert.equal(derivedKey.toString('hex'), '000000');
+    assert.equal(cache.get('id').toString(), 'key');
+  });
+
+  it('should zero-fill the keys when the cache is cleared', function () {
+    var k = new Kripke(Object.assign({ cacheSize: 10 }, options));
+    return k.encrypt(data).then(function (r) {
+      k.clearKeyCache();
+      return k.decrypt(r);
+    }).then(function (result) {
+      assert.equal(result, data);
+      assert.equal(derivations, 2);
+    });
+  });
+});
+
+describe('Field encryption', function () {
+  var k, document;
+
+  beforeEach(function () {
+    k = new Kripke({ key: crypto.randomBytes(32), iterations: 1000 });
+    document = {
+      name: 'Alice',
+      user: { ssn: '123-45-6789', pin: 1234, verified: true, address: { city: 'Springfield' } },
+      accounts: [{ id: 1, token: 'tok_1' }, { id: 2, token: 'tok_2' }, { id: 3 }],
+      'e-mail': 'alice@example.com'
+    };
+  });
+
+  it('should encrypt and decrypt fields by dotted paths with wildcards', function () {
+    var paths = ['user.ssn', 'user.pin', 'user.verified', 'user.address', 'accounts.*.token'];
+    return k.encryptFields(document, paths).then(function (encrypted) {
+      assert.equal(encrypted.name, 'Alice');
+      assert.equal(encrypted.user.ssn.substr(0, 8), '$kripke$');
+      assert.equal(encrypted.user.pin.substr(0, 8), '$kripke$');
+      assert.equal(encrypted.user.address.substr(0, 8), '$kripke$');
+      assert.equal(encrypted.accounts[1].token.substr(0, 8), '$kripke$');
+      assert.equal(encrypted.accounts[0].id, 1);
+      assert.equal(encrypted.accounts[2].token, undefined);
+      assert.equal(document.user.ssn, '123-45-6789');
+      return k.decryptFields(JSON.parse(JSON.stringify(encrypted)), paths);
+    }).then(function (decrypted) {
+      assert.deepEqual(decrypted, document);
+    });
+  });
+
+  it('should accept JSONPath-style paths', function () {
+    return k.encryptFields(document, ["$['user']['ssn']", '$.accounts[*].token', "$['e-mail']"]).then(function (encrypted) {
+      return k.decryptFields(encrypted, ['user.ssn', 'accounts.*.token', "['e-mail']"]);
+    }).then(function (decrypted) {
+      assert.deepEqual(decrypted, document);
+    });
+  });
+
+  it('should return an error if a value was moved to another field', function () {
+    return k.encryptFields(document, ['user.ssn', 'name']).then(function (encrypted) {
+      encrypted.name = encrypted.user.ssn;
+      return k.decryptFields(encrypted, ['name']);
+    }).then(function () {
+      assert.fail('decryptFields should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+      assert.equal(err.message, 'The value of "name" was encrypted for "user.ssn"');
+    });
+  });
+
+  it('should decrypt fields encrypted with associated data', function () {
+    k = new Kripke({ key: crypto.randomBytes(32), algorithm: 'AES-256-GCM', iterations: 1000 });
+    return k.encryptFields(document, ['user.ssn', 'accounts.*.token'], { aad: 'user-1' }).then(function (encrypted) {
+      return Promise.all([
+        k.decryptFields(encrypted, ['user.ssn', 'accounts.*.token'], { aad: 'user-1' }),
+        k.decryptFields(encrypted, 'user.ssn', { aad: 'user-2' }).then(function () {
+          assert.fail('decryptFields should fail');
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeIntegrityError);
+        })
+      ]);
+    }).then(function (results) {
+      assert.deepEqual(results[0], document);
+    });
+  });
+
+  it('should decrypt array elements after they were reordered', function () {
+    return k.encryptFields(document, 'accounts[*].token').then(function (encrypted) {
+      encrypted.accounts.reverse();
+      return k.decryptFields(encrypted, 'accounts[*].token');
+    }).then(function (decrypted) {
+      assert.equal(decrypted.accounts[1].token, 'tok_2');
+      assert.equal(decrypted.accounts[2].token, 'tok_1');
+    });
+  });
+
+  it('should return an error if a field was not encrypted by encryptFields', function (done) {
+    k.encrypt('plain value', function (err, encrypted) {
+      k.decryptFields({ name: encrypted }, 'name', function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        assert.equal(err.message, 'The value of "name" was not encrypted by "encryptFields"');
+        done();
+      });
+    });
+  });
+
+  it('should return an error if a path or the document is invalid', function () {
+    return Promise.all([
+      callbackError(function (callback) {
+        k.encryptFields(document, 'user..ssn', callback);
+      }, /Invalid field path "user\.\.ssn"/),
+      callbackError(function (callback) {
+        k.encryptFields(document, '', callback);
+      }, /Invalid field path ""/),
+      callbackError(function (callback) {
+        k.encryptFields('document', 'name', callback);
+      }, /Invalid document/)
+    ]);
+  });
+});
+
+describe('Envelope encryption', function () {
+  var k, data, kek1, kek2;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    kek1 = new Kripke.LocalKekProvider({ id: 'kek-1', key: crypto.randomBytes(32) });
+    kek2 = new Kripke.LocalKekProvider({ id: 'kek-2', key: crypto.randomBytes(32).toString('hex') });
+    k = new Kripke({ kek: kek1 });
+  });
+
+  it('should encrypt and decrypt without a key', function () {
+    return k.encrypt(data).then(function (encrypted) {
+      assert.equal(encrypted.split('$')[3], 'w=kek,c=aes-256-cbc,l=256,s=hkdf,h=sha256');
+      assert.equal(encrypted.split('$')[4].split(':')[0], 'kek-1');
+      return k.decrypt(encrypted);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+    });
+  });
+
+  it('should encrypt and decrypt in the binary formats', function () {
+    return Promise.all(['buffer', 'base64url'].map(function (output) {
+      return k.encrypt(data, { output: output }).then(function (encrypted) {
+        return k.decrypt(encrypted);
+      }).then(function (decrypted) {
+        assert.equal(decrypted, data);
+      });
+    }));
+  });
+
+  it('should rewrap the data key without changing the encrypted data', function () {
+    var rotated = new Kripke({ kek: kek2, keks: [kek1] }), encrypted;
+    return k.encrypt(data).then(function (result) {
+      encrypted = result;
+      return rotated.rewrap(encrypted);
+    }).then(function (rewrapped) {
+      var before = encrypted.split('$'), after = rewrapped.split('$');
+      assert.equal(after[4].split(':')[0], 'kek-2');
+      assert.deepEqual(after.slice(5), before.slice(5));
+      return new Kripke({ kek: kek2 }).decrypt(rewrapped);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+      return k.encrypt(data, { output: 'buffer' });
+    }).then(function (result) {
+      return rotated.rewrap(result);
+    }).then(function (rewrapped) {
+      assert(Buffer.isBuffer(rewrapped));
+      return new Kripke({ kek: kek2 }).decrypt(rewrapped);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+    });
+  });
+
+  it('should return an integrity error if the wrapped key was changed', function () {
+    return Promise.all([k.encrypt(data), k.encrypt(data)]).then(function (results) {
+      var parts = results[0].split('$');
+      parts[4] = results[1].split('$')[4];
+      return k.decrypt(parts.join('$'));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should report the errors of rewrap', function () {
+    return k.encrypt(data).then(function (encrypted) {
+      // Only the `kek` wraps the data key again, and a KEK ID that is unknown can't unwrap it
+      return Promise.all([
+        callbackError(function (callback) {
+          new Kripke({ keks: [kek1] }).rewrap(encrypted, callback);
+        }, /You must provide a "kek"/),
+        callbackError(function (callback) {
+          new Kripke({ kek: kek2 }).rewrap(encrypted, callback);
+        }, /No KEK provider found with ID "kek-1"/),
+        new Kripke({ keks: [kek1] }).rewrap(encrypted).then(function () {
+          assert.fail('rewrap should fail');
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeKeyError);
+          assert.equal(err.message, 'You must provide a "kek"');
+        })
+      ]);
+    });
+  });
+
+  it('should return a key error if the KEK is unknown', function () {
+    return k.encrypt(data).then(function (encrypted) {
+      return new Kripke({ kek: kek2 }).decrypt(encrypted);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeKeyError);
+      assert.equal(err.message, 'No KEK provider found with ID "kek-1"');
+    });
+  });
+
+  it('should accept providers that return Promises', function () {
+    var provider = {
+      id: 'custom',
+      wrapKey: function (dataKey) {
+        return Promise.resolve(Buffer.concat([Buffer.from('wrapped:'), dataKey]));
+      },
+      unwrapKey: function (wrappedKey) {
+        return Promise.resolve(wrappedKey.slice(8));
+      }
+    };
+    k = new Kripke({ kek: provider });
+    return k.encryptMany([data, data]).then(function (encrypted) {
+      return k.decryptMany(encrypted);
+    }).then(function (decrypted) {
+      assert.deepEqual(decrypted, [data, data]);
+    });
+  });
+
+  it('should still decrypt data encrypted with the key', function () {
+    var options = { key: crypto.randomBytes(32), iterations: 1000 };
+    return new Kripke(options).encrypt(data).then(function (encrypted) {
+      options.kek = kek1;
+      return new Kripke(options).decrypt(encrypted);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+    });
+  });
+
+  it('should throw an error if a KEK provider is invalid', function () {
+    assert.throws(function () {
+      new Kripke.LocalKekProvider({ id: 'kek', key: 'too short' });
+    }, /A local KEK must be 32 bytes or 64 hex characters/);
+    assert.throws(function () {
+      new Kripke.LocalKekProvider({ id: 'kek:1', key: crypto.randomBytes(32) });
+    }, /KEK IDs must only contain letters, numbers/);
+    assert.throws(function () {
+      new Kripke({ kek: { id: 'kek' } });
+    }, /A KEK provider must have "wrapKey" and "unwrapKey" functions/);
+    assert.throws(function () {
+      new Kripke({ kek: kek1, keks: [kek1] });
+    }, /Duplicate KEK ID "kek-1"/);
+  });
+});
+
+describe('Public-key encryption', function () {
+  var data, rsa, x25519, p256;
+
+  before(function () {
+    rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    x25519 = crypto.generateKeyPairSync('x25519');
+    p256 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  });
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+  });
+
+  it('should encrypt for several recipients that decrypt with their private key', function () {
+    var recipients = [rsa.publicKey.export({ type: 'spki', format: 'pem' }), x25519.publicKey, p256.publicKey];
+    return Kripke.encryptFor(data, recipients).then(function (encrypted) {
+      assert.equal(encrypted.split('$')[3], 'w=pk,c=aes-256-cbc,l=256,s=hkdf,h=sha256');
+      assert.equal(encrypted.split('$')[4].split(',').length, 3);
+      return Promise.all([rsa, x25519, p256].map(function (pair) {
+        return new Kripke({ privateKey: pair.privateKey }).decrypt(encrypted);
+      }));
+    }).then(function (decrypted) {
+      assert.deepEqual(decrypted, [data, data, data]);
+    });
+  });
+
+  it('should encrypt with an instance in the binary formats', function () {
+    var k = new Kripke({ recipients: [x25519.publicKey], algorithm: 'aes-256-gcm' });
+    return Promise.all(['buffer', 'base64url'].map(function (output) {
+      return k.encrypt(data, { output: output }).then(function (encrypted) {
+        return new Kripke({ privateKey: x25519.privateKey, algorithm: 'aes-256-gcm' }).decrypt(encrypted);
+      }).then(function (decrypted) {
+        assert.equal(decrypted, data);
+      });
+    }));
+  });
+
+  it('should return a key error if the data was not encrypted for the private key', function () {
+    return Kripke.encryptFor(data, rsa.publicKey).then(function (encrypted) {
+      return new Kripke({ privateKey: p256.privateKey }).decrypt(encrypted);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeKeyError);
+      assert.equal(err.message, 'The data was not encrypted for the private key');
+    });
+  });
+
+  it('should return an integrity error if the wrapped key was changed', function () {
+    return Promise.all([
+      Kripke.encryptFor(data, x25519.publicKey),
+      Kripke.encryptFor(data, x25519.publicKey)
+    ]).then(function (results) {
+      var parts = results[0].split('$');
+      parts[4] = results[1].split('$')[4];
+      return new Kripke({ privateKey: x25519.privateKey }).decrypt(parts.join('$'));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should throw an error if a key is invalid', function () {
+    assert.throws(function () {
+      new Kripke({ recipients: ['not a key'] });
+    }, /Invalid public key/);
+    assert.throws(function () {
+      new Kripke({ privateKey: rsa.publicKey });
+    }, /Invalid private key/);
+    assert.throws(function () {
+      new Kripke({ recipients: [crypto.generateKeyPairSync('ed25519').publicKey] });
+    }, /Unsupported key type "ed25519"/);
+    assert.throws(function () {
+      new Kripke({ recipients: [] });
+    }, /You must provide at least one recipient/);
+  });
+});
+
+describe('Associated data', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = { key: crypto.randomBytes(32), kdf: 'hkdf' };
+  });
+
+  [
+    ['an HMAC signature', { hmacKey: crypto.randomBytes(32) }],
+    ['a derived HMAC key', { deriveHmacKey: true }],
+    ['an AEAD cipher', { algorithm: 'aes-256-gcm' }]
+  ].forEach(function (test) {
+    describe('With ' + test[0], function () {
+      var k;
+
+      beforeEach(function () {
+        k = new Kripke(Object.assign(options, test[1]));
+      });
+
+      it('should decrypt with the same associated data', function () {
+        return k.encrypt(data, { aad: 'user:1' }).then(function (encrypted) {
+          return k.decrypt(encrypted, { aad: Buffer.from('user:1') });
+        }).then(function (decrypted) {
+          assert.equal(decrypted, data);
+        });
+      });
+
+      it('should return an integrity error with other or no associated data', function () {
+        return k.encrypt(data, { aad: 'user:1', output: 'buffer' }).then(function (encrypted) {
+          return Promise.all([{ aad: 'user:2' }, {}].map(function (decryptOptions) {
+            return k.decrypt(encrypted, decryptOptions).then(function () {
+              assert.fail('decrypt should fail');
+            }, function (err) {
+              assert(err instanceof Kripke.KripkeIntegrityError);
+            });
+          }));
+        });
+      });
+    });
+  });
+
+  it('should bind data encrypted with the static functions', function () {
+    options.hmacKey = crypto.randomBytes(32);
+    return Kripke.encrypt(data, Object.assign({ aad: 'user:1' }, options)).then(function (encrypted) {
+      return Kripke.decrypt(encrypted, Object.assign({ aad: 'user:2' }, options));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should include the associated data in the signature of sign and verify', function () {
+    var k = new Kripke(Object.assign(options, { hmacKey: crypto.randomBytes(32) })), signed;
+    signed = k.sign('data$iv$salt', 'user:1');
+    assert(k.verify(signed, 'user:1'));
+    assert(!k.verify(signed, 'user:2'));
+    assert(!k.verify(signed));
+  });
+
+  it('should return an error if the associated data cannot be authenticated', function () {
+    var k = new Kripke(options);
+    return Promise.all([
+      callbackError(function (callback) {
+        k.encrypt(data, { aad: 'user:1' }, callback);
+      }, /Associated data requires an AEAD algorithm or an HMAC signature/),
+      callbackError(function (callback) {
+        k.encrypt(data, { aad: 1 }, callback);
+      }, /Invalid "aad"/)
+    ]);
+  });
+});
+
+describe('Expiring data', function () {
+  var k, data, now;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    now = Date.UTC(2024, 0, 1);
+    k = new Kripke({
+      key: crypto.randomBytes(32),
+      kdf: 'hkdf',
+      deriveHmacKey: true,
+      clock: function () { return now; }
+    });
+  });
+
+  it('should record when the data was issued and expires', function () {
+    return k.encrypt(data, { ttl: 60 }).then(function (encrypted) {
+      assert.equal(encrypted.split('$')[3].split(',').slice(-2).join(','), 'iat=1704067200,exp=1704067260');
+      now += 60 * 1000;
+      return k.decrypt(encrypted);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+    });
+  });
+
+  it('should return an expired error after the TTL', function () {
+    return k.encrypt(data, { ttl: 60, output: 'buffer' }).then(function (encrypted) {
+      now += 61 * 1000;
+      return k.decrypt(encrypted);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeExpiredError);
+      assert.equal(err.code, 'ERR_KRIPKE_EXPIRED');
+      assert.equal(err.message, 'The data expired at 2024-01-01T00:01:00.000Z');
+    });
+  });
+
+  it('should allow for clock skew', function () {
+    var skewed = new Kripke({ key: 'key', kdf: 'hkdf', deriveHmacKey: true, clockSkew: 30, clock: function () {
+      return now;
+    } });
+    return skewed.encrypt(data, { ttl: 60 }).then(function (encrypted) {
+      now -= 30 * 1000;
+      return skewed.decrypt(encrypted).then(function () {
+        now += 120 * 1000;
+        return skewed.decrypt(encrypted);
+      }).then(function () {
+        now -= 120 * 1000 + 1000;
+        return skewed.decrypt(encrypted);
+      });
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeExpiredError);
+      assert.equal(err.message, 'The data was issued in the future');
+    });
+  });
+
+  it('should return an integrity error if the timestamps were changed', function () {
+    return k.encrypt(data, { ttl: 60 }).then(function (encrypted) {
+      return k.decrypt(encrypted.replace('exp=1704067260', 'exp=1704153600'));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should not trust timestamps in a header that is not authenticated', function () {
+    var gcm = new Kripke({ key: 'key', algorithm: 'AES-256-GCM', decryptAlgorithms: ['AES-256-CBC'], iterations: 1000,
+      clock: k.clock }),
+      unsigned = new Kripke({ key: 'key', iterations: 1000, clock: k.clock });
+    return Promise.all([gcm.encrypt(data, { ttl: 60 }), unsigned.encrypt(data)]).then(function (encrypted) {
+      var parts = encrypted[0].split('$');
+      now += 3600 * 1000;
+      // Remove the timestamps, or move them to data that is not authenticated
+      parts[3] = parts[3].replace(',iat=1704067200,exp=1704067260', '');
+      return Promise.all([
+        gcm.decrypt(parts.join('$')),
+        gcm.decrypt(parts.join('$').replace('c=aes-256-gcm', 'c=aes-256-cbc')),
+        unsigned.decrypt(encrypted[1].replace(',h=sha256', ',h=sha256,iat=1704067200,exp=1704157200'))
+      ].map(function (promise) {
+        return promise.then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          assert(err instanceof Kripke.KripkeIntegrityError);
+        });
+      }));
+    });
+  });
+
+  it('should keep the expiry when the data is reencrypted', function () {
+    var encrypted;
+    return k.encrypt(data, { ttl: 60 }).then(function (result) {
+      encrypted = result;
+      now += 30 * 1000;
+      return Promise.all([k.reencrypt(encrypted), k.reencrypt(encrypted, { ttl: 120 })]);
+    }).then(function (reencrypted) {
+      assert.notEqual(reencrypted[0], encrypted);
+      assert.equal(reencrypted[0].split('$')[3], encrypted.split('$')[3]);
+      assert(/,iat=1704067230,exp=1704067350$/.test(reencrypted[1].split('$')[3]));
+      now += 31 * 1000;
+      return k.decrypt(reencrypted[0]);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeExpiredError);
+    });
+  });
+
+  it('should extract the timestamps of verified data without checking them', function () {
+    return k.encrypt(data, { ttl: 60 }).then(function (encrypted) {
+      now += 3600 * 1000;
+      return k.extractTimestamp(encrypted);
+    }).then(function (timestamps) {
+      assert.equal(timestamps.issuedAt.toISOString(), '2024-01-01T00:00:00.000Z');
+      assert.equal(timestamps.expiresAt.toISOString(), '2024-01-01T00:01:00.000Z');
+      return k.encrypt(data);
+    }).then(function (encrypted) {
+      return k.extractTimestamp(encrypted);
+    }).then(function (timestamps) {
+      assert.deepEqual(timestamps, { issuedAt: undefined, expiresAt: undefined });
+    });
+  });
+
+  it('should return an error if the TTL is invalid or cannot be authenticated', function () {
+    return Promise.all([
+      callbackError(function (callback) {
+        k.encrypt(data, { ttl: -1 }, callback);
+      }, /Invalid ttl/),
+      callbackError(function (callback) {
+        new Kripke({ key: 'key', kdf: 'hkdf' }).encrypt(data, { ttl: 60 }, callback);
+      }, /A TTL requires an AEAD algorithm or an HMAC signature/)
+    ]);
+  });
+});
+
+describe('Deterministic encryption', function () {
+  var k, data;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    k = new Kripke({ key: crypto.randomBytes(32), iterations: 1000 });
+  });
+
+  it('should encrypt the same plain text to the same encoded data', function () {
+    return Promise.all([
+      k.encrypt(data, { deterministic: true }),
+      k.encrypt(data, { deterministic: true }),
+      k.encrypt(data + '.', { deterministic: true }),
+      k.encrypt(data, { deterministic: true, aad: 'user:1' }),
+      k.encrypt(data)
+    ]).then(function (results) {
+      assert.equal(results[0], results[1]);
+      assert.notEqual(results[0].split('$')[5], results[2].split('$')[5]);
+      assert.notEqual(results[0], results[3]);
+      assert.notEqual(results[0], results[4]);
+      assert.equal(results[0].split('$')[3], 'c=aes-256-cbc,kdf=pbkdf2,i=1000,l=256,d=sha256,s=hkdf,m=siv,h=sha256');
+      return k.decrypt(results[0]);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, data);
+    });
+  });
+
+  it('should return an integrity error if the synthetic iv does not match', function () {
+    var encrypted;
+    return k.encrypt(data, { deterministic: true }).then(function (result) {
+      encrypted = result;
+      return k.generateDerivedKey(deterministic.SALT, format.parse(encrypted).params);
+    }).then(function (result) {
+      var parts = encrypted.split('$'), keys;
+      keys = kdf.subkeys(result.derivedKey, deterministic.SALT, format.parse(encrypted).params);
+      // Sign the data again with another iv, which only the synthetic iv check can detect
+      parts[5] = crypto.randomBytes(16).toString('base64');
+      parts[7] = crypto.createHmac('sha256', keys.hmacKey).update(parts.slice(0, 7).join('$')).digest('base64');
+      return k.decrypt(parts.join('$'));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+            assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should stay deterministic when the data is reencrypted', function () {
+    var key = crypto.randomBytes(32), rotated = new Kripke({ keys: [{ id: 'new', key: crypto.randomBytes(32),
+      primary: true }, { key: key }], iterations: 1000 });
+    k = new Kripke({ key: key, iterations: 1000 });
+    return k.encrypt(data, { deterministic: true }).then(function (encrypted) {
+      return Promise.all([
+        rotated.reencrypt(encrypted),
+        rotated.encrypt(data, { deterministic: true }),
+        rotated.reencrypt(encrypted, { deterministic: false })
+      ]);
+    }).then(function (results) {
+      assert.equal(results[0], results[1]);
+      assert.equal(results[2].indexOf('m=siv'), -1);
+    });
+  });
+
+  it('should return an error with envelope encryption', function () {
+    k = new Kripke({ kek: new Kripke.LocalKekProvider({ id: 'kek', key: crypto.randomBytes(32) }) });
+    return Promise.all([
+      callbackError(function (callback) {
+        k.encrypt(data, { deterministic: true }, callback);
+      }, /Deterministic encryption requires a "key"/)
+    ]);
+  });
+});
+
+describe('Blind indexes', function () {
+  var k;
+
+  beforeEach(function () {
+    k = new Kripke({ key: crypto.randomBytes(32), iterations: 1000 });
+  });
+
+  it('should return the same truncated index for the same value and name', function () {
+    return Promise.all([
+      k.blindIndex('alice@example.com'),
+      k.blindIndex(Buffer.from('alice@example.com')),
+      k.blindIndex('bob@example.com'),
+      k.blindIndex('alice@example.com', { bits: 12 }),
+      k.blindIndex('alice@example.com', { name: 'email' }),
+      new Kripke({ key: crypto.randomBytes(32), iterations: 1000 }).blindIndex('alice@example.com')
+    ]).then(function (indexes) {
+      assert(/^[0-9a-f]{8}$/.test(indexes[0]));
+      assert.equal(indexes[0], indexes[1]);
+      assert.notEqual(indexes[0], indexes[2]);
+      assert(/^[0-9a-f]{3}0$/.test(indexes[3]));
+      assert.equal(indexes[3].substr(0, 3), indexes[0].substr(0, 3));
+      assert.notEqual(indexes[0], indexes[4]);
+      assert.notEqual(indexes[0], indexes[5]);
+    });
+  });
+
+  it('should not use the HMAC key', function () {
+    var key = crypto.randomBytes(32);
+    return Promise.all([
+      new Kripke({ key: key, iterations: 1000 }).blindIndex('value'),
+      new Kripke({ key: key, hmacKey: crypto.randomBytes(32), iterations: 1000 }).blindIndex('value')
+    ]).then(function (indexes) {
+      assert.equal(indexes[0], indexes[1]);
+    });
+  });
+
+  it('should return an error if the value or bits are invalid', function () {
+    return Promise.all([
+      callbackError(function (callback) {
+        k.blindIndex(1, callback);
+      }, /Invalid value/),
+      callbackError(function (callback) {
+        k.blindIndex('value', { bits: 257 }, callback);
+      }, /Invalid bits "257"/)
+    ]);
+  });
+});
+
+describe('Migration', function () {
+  var key, data;
+
+  beforeEach(function () {
+    key = crypto.randomBytes(32);
+    data = crypto.randomBytes(64).toString('hex');
+  });
+
+  describe('needsReencrypt', function () {
+    it('should check the parameters against the instance options by default', function () {
+      var k = new Kripke({ key: key, iterations: 2000 });
+      return Promise.all([
+        k.encrypt(data),
+        new Kripke({ key: key, iterations: 1000 }).encrypt(data),
+        new Kripke({ key: key, iterations: 4000 }).encrypt(data),
+        new Kripke({ key: key, iterations: 2000, algorithm: 'aes-128-cbc', keyLength: 128 }).encrypt(data),
+        new Kripke({ keys: [{ id: 'old', key: key }], iterations: 2000 }).encrypt(data)
+      ]).then(function (results) {
+        assert.deepEqual(results.map(function (encrypted) {
+          return k.needsReencrypt(encrypted);
+        }), [false, true, false, true, true]);
+        assert(k.needsReencrypt(results[0].split('$').slice(4).join('$')));
+      });
+    });
+
+    it('should check the parameters against the policy', function () {
+      var k = new Kripke({
+        key: key,
+        iterations: 2000,
+        policy: { minIterations: 1000, algorithms: ['AES-256-CBC', 'AES-256-GCM'], requireHmac: true }
+      });
+      return Promise.all([
+        new Kripke({ key: key, iterations: 1000, hmacKey: 'hmac' }).encrypt(data),
+        new Kripke({ key: key, iterations: 1000, algorithm: 'aes-256-gcm', deriveHmacKey: true }).encrypt(data),
+        new Kripke({ key: key, iterations: 1000, algorithm: 'aes-256-gcm' }).encrypt(data, { output: 'buffer' })
+      ]).then(function (results) {
+        assert.deepEqual(results.map(function (encrypted) {
+          return k.needsReencrypt(encrypted);
+        }), [false, false, true]);
+      });
+    });
+
+    it('should check the PBES2 count and key of a JWE', function () {
+      var k = new Kripke({ keys: [{ id: 'new', key: key }], iterations: 2000 });
+      return Promise.all([
+        k.encrypt(data, { output: 'jwe' }),
+        new Kripke({ keys: [{ id: 'new', key: key }], iterations: 1000 }).encrypt(data, { output: 'jwe' }),
+        new Kripke({ keys: [{ id: 'old', key: key }], iterations: 2000 }).encrypt(data, { output: 'jwe' }),
+        k.encrypt(data, { output: 'jwe', jwe: { alg: 'dir' } })
+      ]).then(function (results) {
+        assert.deepEqual(results.map(function (encrypted) {
+          return k.needsReencrypt(encrypted);
+        }), [false, true, true, false]);
+      });
+    });
+  });
+
+  describe('migrate', function () {
+    it('should re-encrypt outdated JWE records as JWE', function () {
+      var k = new Kripke({ key: key, iterations: 2000 }), rows;
+      return Promise.all([
+        new Kripke({ key: key, iterations: 1000 }).encrypt(data, { output: 'jwe', jwe: { enc: 'A128CBC-HS256' } }),
+        k.encrypt(data, { output: 'jwe' })
+      ]).then(function (results) {
+        rows = results.slice();
+        return k.migrate(rows, {
+          update: function (row, secret, index) {
+            rows[index] = secret;
+          }
+        });
+      }).then(function (summary) {
+        var header = JSON.parse(Buffer.from(rows[0].split('.')[0], 'base64url'));
+        assert.equal(summary.reencrypted, 1);
+        assert.equal(summary.skipped, 1);
+        assert.equal(summary.failed, 0);
+        assert.equal(header.enc, 'A128CBC-HS256');
+        assert.equal(header.p2c, 2000);
+        assert(!k.needsReencrypt(rows[0]));
+        return k.decrypt(rows[0]);
+      }).then(function (decrypted) {
+        assert.equal(decrypted, data);
+      });
+    });
+
+    it('should re-encrypt outdated records and report progress and failures', function () {
+      var k = new Kripke({ key: key, iterations: 2000 }), rows, progress = [];
+      return Promise.all([
+        new Kripke({ key: key, iterations: 1000 }).encrypt(data),
+        k.encrypt(data),
+        // Signed, so the wrong key always fails to decrypt it
+        new Kripke({ key: crypto.randomBytes(32), iterations: 1000, deriveHmacKey: true }).encrypt(data),
+        new Kripke({ key: key, iterations: 1000 }).encrypt(data, { output: 'buffer' })
+      ]).then(function (results) {
+        rows = results.map(function (secret, id) { return { id: id, secret: secret }; });
+        return k.migrate((function* () { yield* rows; })(), {
+          get: function (row) { return row.secret; },
+          update: function (row, secret, index) {
+            assert.equal(row.id, index);
+            row.secret = secret;
+            return Promise.resolve();
+          },
+          onProgress: function (status) { progress.push(status); }
+        });
+      }).then(function (summary) {
+        assert.equal(summary.processed, 4);
+        assert.equal(summary.reencrypted, 2);
+        assert.equal(summary.skipped, 1);
+        assert.equal(summary.failed, 1);
+        assert.equal(summary.failures[0].index, 2);
+        assert.strictEqual(summary.failures[0].record, rows[2]);
+        assert(summary.failures[0].error instanceof Kripke.KripkeError);
+        assert.equal(progress.length, 4);
+        assert.deepEqual(progress[3], { processed: 4, reencrypted: 2, skipped: 1, failed: 1 });
+        assert(Buffer.isBuffer(rows[3].secret));
+        assert.deepEqual(rows.map(function (row) { return k.needsReencrypt(row.secret); }),
+          [false, false, true, false]);
+        return k.decrypt(rows[3].secret);
+      }).then(function (decrypted) {
+        assert.equal(decrypted, data);
+      });
+    });
+
+    it('should reject if there is no update function', function () {
+      return new Kripke({ key: key }).migrate([]).then(function () {
+        assert.fail('migrate should fail');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeArgumentError);
+        assert.equal(err.message, '"update" must be a function');
+      });
+    });
+  });
+});
+
+describe('Compression', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = JSON.stringify(new Array(200).fill({ name: 'Alice', email: 'alice@example.com', verified: true }));
+    options = { key: crypto.randomBytes(32), kdf: 'hkdf', hmacKey: crypto.randomBytes(32) };
+  });
+
+  ['gzip', 'deflate', 'brotli'].forEach(function (method) {
+    it('should compress and decompress with ' + method, function () {
+      var k = new Kripke(Object.assign(options, { compress: method }));
+      return k.encrypt(data).then(function (encrypted) {
+        assert(encrypted.split('$')[3].indexOf('z=' + method) > -1);
+        assert(encrypted.length < data.length / 5);
+        return k.decrypt(encrypted);
+      }).then(function (decrypted) {
+        assert.equal(decrypted, data);
+      });
+    });
+  });
+
+  it('should not compress data below the threshold or that does not get smaller', function () {
+    var k = new Kripke(Object.assign(options, { compress: 'gzip', compressThreshold: 100 }));
+    return Promise.all([
+      k.encrypt(data.substr(0, 99)),
+      k.encrypt(crypto.randomBytes(200)),
+      k.encrypt(data, { compress: false }),
+      new Kripke(options).encrypt(data, { compress: 'deflate' })
+    ]).then(function (results) {
+      assert.deepEqual(results.map(function (encrypted) {
+        return /z=/.test(encrypted.split('$')[3]);
+      }), [false, false, false, true]);
+    });
+  });
+
+  it('should return an error if the decompressed data is too large', function () {
+    var k = new Kripke(Object.assign(options, { compress: 'gzip', maxDecompressedSize: 1000 }));
+    return k.encrypt(data).then(function (encrypted) {
+      return k.decrypt(encrypted);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeFormatError);
+      assert.equal(err.message, 'The decompressed data is larger than 1000 bytes');
+    });
+  });
+
+  it('should throw an error for an unsupported method', function () {
+    assert.throws(function () {
+      new Kripke(Object.assign(options, { compress: 'zip' }));
+    }, /Unsupported compression "zip"/);
+  });
+});
+
+describe('Config files', function () {
+  var kripke, env;
+
+  beforeEach(function () {
+    kripke = new Kripke({ key: crypto.randomBytes(32), kdf: 'hkdf', hmacKey: crypto.randomBytes(32) });
+    env = [
+      '# Database',
+      'MYAPP_SECRET_KEY=not encrypted',
+      'export DB_PASSWORD="p@ss\\"word" # the password',
+      "API_TOKEN='$ecret'",
+      '',
+      'EMPTY=',
+      ''
+    ].join('\n');
+  });
+
+  it('should encrypt the values of a .env file and keep the names and comments', function () {
+    return kripke.encryptConfig(env, { exclude: ['MYAPP_SECRET_KEY'] }).then(function (encrypted) {
+      var lines = encrypted.split('\n');
+      assert.equal(lines.length, 7);
+      assert.equal(lines[0], '# Database');
+      assert.equal(lines[1], 'MYAPP_SECRET_KEY=not encrypted');
+      assert(/^export DB_PASSWORD='\$kripke\$v=2\$[^' ]+' # the password$/.test(lines[2]));
+      assert(/^API_TOKEN='\$kripke\$[^' ]+'$/.test(lines[3]));
+      assert(/^EMPTY='\$kripke\$[^' ]+'$/.test(lines[5]));
+      return kripke.decryptConfig(encrypted, { exclude: ['MYAPP_SECRET_KEY'] });
+    }).then(function (values) {
+      assert.deepEqual(values, {
+        MYAPP_SECRET_KEY: 'not encrypted',
+        DB_PASSWORD: 'p@ss"word',
+        API_TOKEN: '$ecret',
+        EMPTY: ''
+      });
+    });
+  });
+
+  it('should keep values that are already encrypted', function () {
+    return kripke.encryptConfig(env).then(function (encrypted) {
+      return kripke.encryptConfig(encrypted + 'NEW=value\n').then(function (again) {
+        assert.equal(again.substr(0, encrypted.length), encrypted);
+        assert(/\nNEW='\$kripke\$[^']+'\n$/.test(again));
+      });
+    });
+  });
+
+  it('should encrypt the string values of a JSON file', function () {
+    var json = JSON.stringify({ db: { host: 'localhost', port: 5432, password: 'secret' }, tokens: ['a', 'b'] },
+      null, 4) + '\n';
+    return kripke.encryptConfig(json, { type: 'json', exclude: ['db.host'] }).then(function (encrypted) {
+      var document = JSON.parse(encrypted);
+      assert.equal(encrypted.split('\n')[1], '    "db": {');
+      assert.equal(document.db.host, 'localhost');
+      assert.equal(document.db.port, 5432);
+      assert(/^\$kripke\$/.test(document.db.password));
+      assert(/^\$kripke\$/.test(document.tokens[1]));
+      return kripke.decryptConfig(encrypted, { type: 'json', exclude: ['db.host'] });
+    }).then(function (document) {
+      assert.deepEqual(document, JSON.parse(json));
+    });
+  });
+
+  it('should report every entry that failed to decrypt', function () {
+    return kripke.encryptConfig(env).then(function (encrypted) {
+      var lines = encrypted.split('\n'), password = /'(.*)'/.exec(lines[2])[1];
+      // A value copied to another entry and a modified value
+      lines[3] = "API_TOKEN='" + password + "'";
+      lines[5] = "EMPTY='" + tamper(/'(.*)'/.exec(lines[5])[1]) + "'";
+      return kripke.decryptConfig(lines.join('\n'));
+    }).then(function () {
+      assert.fail('decryptConfig should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeError);
+      assert.equal(err.message, 'Failed to decrypt "API_TOKEN" (line 4), "EMPTY" (line 6)');
+      assert.deepEqual(err.failures.map(function (failure) {
+        return [failure.name, failure.line, failure.error.code];
+      }), [['API_TOKEN', 4, 'ERR_KRIPKE_INTEGRITY'], ['EMPTY', 6, 'ERR_KRIPKE_INTEGRITY']]);
+    });
+  });
+
+  it('should reject values in plain text unless they are excluded', function () {
+    return kripke.encryptConfig(env, { exclude: ['MYAPP_SECRET_KEY'] }).then(function (encrypted) {
+      // An encrypted value replaced with one in plain text
+      encrypted = encrypted.replace(/^API_TOKEN=.*$/m, 'API_TOKEN=replaced');
+      return Promise.all([
+        kripke.decryptConfig(encrypted).then(function () {
+          assert.fail('decryptConfig should fail');
+        }, function (err) {
+          assert.equal(err.message, 'Failed to decrypt "MYAPP_SECRET_KEY" (line 2), "API_TOKEN" (line 4)');
+          assert(err.failures[0].error instanceof Kripke.KripkeIntegrityError);
+          assert.equal(err.failures[0].error.message, 'The value is not encrypted');
+        }),
+        kripke.decryptConfig(encrypted, { exclude: ['MYAPP_SECRET_KEY'] }).then(function () {
+          assert.fail('decryptConfig should fail');
+        }, function (err) {
+          assert.equal(err.message, 'Failed to decrypt "API_TOKEN" (line 4)');
+        }),
+        kripke.decryptConfig(encrypted, { strict: false }).then(function (values) {
+          assert.equal(values.MYAPP_SECRET_KEY, 'not encrypted');
+          assert.equal(values.API_TOKEN, 'replaced');
+        })
+      ]);
+    });
+  });
+
+  it('should return an error for an invalid line', function () {
+    return kripke.decryptConfig('A=1\nnot a variable\n').then(function () {
+      assert.fail('decryptConfig should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeFormatError);
+      assert.equal(err.message, 'Invalid line 2 of the .env file');
+    });
+  });
+
+  describe('loadEnv', function () {
+    var dir, options;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kripke-'));
+    });
+
+    after(function () {
+      fs.readdirSync(dir).forEach(function (file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    beforeEach(function () {
+      options = { key: 'env key', hmacKey: 'env hmac key', iterations: 1000 };
+    });
+
+    it('should decrypt a .env file into the environment', function () {
+      var file = path.join(dir, '.env'), target = { API_TOKEN: 'already set' };
+      return new Kripke(options).encryptConfig(env).then(function (encrypted) {
+        fs.writeFileSync(file, encrypted);
+        return Kripke.loadEnv(file, Object.assign({ env: target }, options));
+      }).then(function (values) {
+        assert.equal(values.API_TOKEN, '$ecret');
+        assert.deepEqual(target, {
+          MYAPP_SECRET_KEY: 'not encrypted',
+          DB_PASSWORD: 'p@ss"word',
+          API_TOKEN: 'already set',
+          EMPTY: ''
+        });
+        return Kripke.loadEnv(file, Object.assign({ env: target, override: true }, options));
+      }).then(function () {
+        assert.equal(target.API_TOKEN, '$ecret');
+      });
+    });
+
+    it('should set the top-level values of a JSON file', function () {
+      var file = path.join(dir, 'config.json'), target = {};
+      return new Kripke(options).encryptConfig(JSON.stringify({ PORT: 80, DB_PASSWORD: 'secret', db: {} }),
+        { type: 'json' }).then(function (encrypted) {
+        fs.writeFileSync(file, encrypted);
+        return Kripke.loadEnv(file, Object.assign({ env: target }, options));
+      }).then(function (document) {
+        assert.deepEqual(document, { PORT: 80, DB_PASSWORD: 'secret', db: {} });
+        assert.deepEqual(target, { PORT: '80', DB_PASSWORD: 'secret' });
+      });
+    });
+
+    it('should not set any value if one fails to decrypt', function () {
+      var file = path.join(dir, '.env.failed'), target = {};
+      return new Kripke(options).encryptConfig(env).then(function (encrypted) {
+        fs.writeFileSync(file, encrypted);
+        return Kripke.loadEnv(file, Object.assign({ env: target }, options, { hmacKey: 'wrong key' }));
+      }).then(function () {
+        assert.fail('loadEnv should fail');
+      }, function (err) {
+        assert.deepEqual(err.failures.map(function (failure) { return failure.name; }),
+          ['MYAPP_SECRET_KEY', 'DB_PASSWORD', 'API_TOKEN', 'EMPTY']);
+        assert.deepEqual(target, {});
+      });
+    });
+  });
+});
+
+describe('JWE', function () {
+  var options, kripke;
+
+  // Decode a part of a JWE
+  function part(encodedText, i) {
+    return Buffer.from(encodedText.split('.')[i], 'base64url');
+  }
+
+  beforeEach(function () {
+    options = { key: 'jwe password', iterations: 1000 };
+    kripke = new Kripke(options);
+  });
+
+  ['PBES2-HS256+A128KW', 'PBES2-HS384+A192KW', 'PBES2-HS512+A256KW'].forEach(function (alg) {
+    ['A128GCM', 'A256GCM', 'A128CBC-HS256', 'A256CBC-HS512'].forEach(function (enc) {
+      it('should encrypt and decrypt with ' + alg + ' and ' + enc, function () {
+        return kripke.encrypt('my secret', { output: 'jwe', jwe: { alg: alg, enc: enc } }).then(function (encrypted) {
+          var header = JSON.parse(part(encrypted, 0));
+          assert.equal(encrypted.split('.').length, 5);
+          assert.deepEqual(Object.keys(header), ['alg', 'enc', 'p2s', 'p2c']);
+          assert.equal(header.alg, alg);
+          assert.equal(header.enc, enc);
+          assert.equal(header.p2c, 1000);
+          return Kripke.decrypt(encrypted, options);
+        }).then(function (decrypted) {
+          assert.equal(decrypted, 'my secret');
+        });
+      });
+    });
+  });
+
+  it('should produce a standard JWE', function () {
+    return kripke.encrypt('my secret', { output: 'jwe' }).then(function (encrypted) {
+      var header = JSON.parse(part(encrypted, 0)), kek, unwrap, contentKey, decipher;
+      // PBES2-HS256+A128KW (RFC 7518 section 4.8) and A256GCM, without Kripke
+      kek = crypto.pbkdf2Sync(options.key, Buffer.concat([Buffer.from(header.alg), Buffer.from([0]),
+        Buffer.from(header.p2s, 'base64url')]), header.p2c, 16, 'sha256');
+      unwrap = crypto.createDecipheriv('id-aes128-wrap', kek, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'));
+      contentKey = Buffer.concat([unwrap.update(part(encrypted, 1)), unwrap.final()]);
+      decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, part(encrypted, 2));
+      decipher.setAAD(Buffer.from(encrypted.split('.')[0]));
+      decipher.setAuthTag(part(encrypted, 4));
+      assert.equal(Buffer.concat([decipher.update(part(encrypted, 3)), decipher.final()]).toString(), 'my secret');
+    });
+  });
+
+  it('should re-encrypt a JWE as a JWE with the same algorithms', function () {
+    var key = crypto.randomBytes(32);
+    kripke = new Kripke({ keys: [{ id: 'k1', key: key }] });
+    return kripke.encrypt('my secret', { output: 'jwe', jwe: { alg: 'dir', enc: 'A256GCM' } }).then(function (encrypted) {
+      kripke = new Kripke({ keys: [{ id: 'k1', key: key }, { id: 'k2', key: crypto.randomBytes(32), primary: true }] });
+      return kripke.reencrypt(encrypted);
+    }).then(function (reencrypted) {
+      assert.deepEqual(JSON.parse(part(reencrypted, 0)), { alg: 'dir', enc: 'A256GCM', kid: 'k2' });
+      return kripke.decrypt(reencrypted);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, 'my secret');
+    });
+  });
+
+  it('should use the key directly with dir', function () {
+    var key = crypto.randomBytes(64);
+    kripke = new Kripke({ keys: [{ id: 'k1', key: crypto.randomBytes(32) }, { id: 'k2', key: key, primary: true }] });
+    return kripke.encrypt('my secret', { output: 'jwe', jwe: { alg: 'dir', enc: 'A256CBC-HS512' } })
+      .then(function (encrypted) {
+        assert.deepEqual(JSON.parse(part(encrypted, 0)), { alg: 'dir', enc: 'A256CBC-HS512', kid: 'k2' });
+        assert.equal(encrypted.split('.')[1], '');
+        return Kripke.decrypt(encrypted, { key: key });
+      }).then(function () {
+        assert.fail('decrypt should fail without the key ID');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        return kripke.encrypt('my secret', { output: 'jwe', jwe: { alg: 'dir' } });
+      }).then(function () {
+        assert.fail('encrypt should fail with a 64 byte key');
+      }, function (err) {
+        assert(err instanceof Kripke.KripkeKeyError);
+        assert.equal(err.message, 'The key must be 32 bytes to use it directly');
+      });
+  });
+
+  it('should return an error if the header or cipher text was modified', function () {
+    return kripke.encrypt('my secret', { output: 'jwe', jwe: { enc: 'A128CBC-HS256' } }).then(function (encrypted) {
+      var parts = encrypted.split('.'), header = JSON.parse(part(encrypted, 0)), cipherText = part(encrypted, 3);
+      header.cty = 'text/plain';
+      cipherText[0] ^= 1;
+      return Promise.all([
+        [Buffer.from(JSON.stringify(header)).toString('base64url')].concat(parts.slice(1)).join('.'),
+        parts.slice(0, 3).concat(cipherText.toString('base64url'), parts[4]).join('.'),
+        encrypted
+      ].map(function (modified) {
+        return kripke.decrypt(modified).catch(function (err) {
+          return err.code;
+        });
+      }));
+    }).then(function (results) {
+      assert.deepEqual(results, ['ERR_KRIPKE_INTEGRITY', 'ERR_KRIPKE_INTEGRITY', 'my secret']);
+      return kripke.encrypt('my secret', { output: 'jwe' });
+    }).then(function (encrypted) {
+      return new Kripke({ key: 'wrong password', iterations: 1000 }).decrypt(encrypted);
+    }).then(function () {
+      assert.fail('decrypt should fail with the wrong key');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should reject unsupported headers and a large PBES2 count', function () {
+    var jwe = function (header) {
+      return [Buffer.from(JSON.stringify(header)).toString('base64url'), 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+        'AAAAAAAAAAAAAAAA', 'AAAA', 'AAAAAAAAAAAAAAAAAAAAAA'].join('.');
+    };
+    return Promise.all([
+      jwe({ alg: 'RSA-OAEP', enc: 'A256GCM' }),
+      jwe({ alg: 'dir', enc: 'A256GCM', zip: 'DEF' }),
+      jwe({ alg: 'PBES2-HS256+A128KW', enc: 'A256GCM', p2s: 'AAAAAAAAAAAAAAAAAAAAAA', p2c: 1e9 })
+    ].map(function (encrypted) {
+      return kripke.decrypt(encrypted).catch(function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        return err.message;
+      });
+    })).then(function (messages) {
+      assert.deepEqual(messages, [
+        'Unsupported JWE "alg" "RSA-OAEP"',
+        'Unsupported JWE "zip"',
+        'The JWE "p2c" is larger than 1000000'
+      ]);
+    });
+  });
+
+  it('should return an error for unsupported options', function () {
+    return Promise.all([
+      callbackError(function (callback) {
+        kripke.encrypt('my secret', { output: 'jwe', jwe: { enc: 'A256CTR' } }, callback);
+      }, /Unsupported JWE "enc" "A256CTR"/),
+      callbackError(function (callback) {
+        kripke.encrypt('my secret', { output: 'jwe', aad: 'users:1' }, callback);
+      }, /JWE does not support "aad"/)
+    ]);
+  });
+});
+
+describe('Key splitting', function () {
+  var key;
+
+  beforeEach(function () {
+    key = crypto.randomBytes(32);
+  });
+
+  it('should recover the key from any shares that meet the threshold', function () {
+    var shares = Kripke.splitKey(key, { shares: 5, threshold: 3 });
+    assert.equal(shares.length, 5);
+    shares.forEach(function (share) {
+      assert(/^kripke-share:1:[0-9a-f]{8}:3:[1-5]:[A-Za-z0-9\-_]+:[0-9a-f]{8}$/.test(share));
+    });
+    [[0, 1, 2], [4, 2, 0], [1, 3, 4], [0, 1, 2, 3, 4], [3, 3, 1, 0]].forEach(function (indexes) {
+      var recovered = Kripke.combineShares(indexes.map(function (i) { return shares[i]; }));
+      assert(recovered.equals(key));
+    });
+  });
+
+  it('should not reveal the key with fewer shares than the threshold', function () {
+    var shares = Kripke.splitKey(key, { shares: 3, threshold: 2 });
+    assert.throws(function () {
+      Kripke.combineShares([shares[1], shares[1]]);
+    }, function (err) {
+      return err instanceof Kripke.KripkeKeyError &&
+        err.message === '2 shares are needed to recover the key, but 1 were provided';
+    });
+    // A single share of a 2-of-n split is the key masked with a random byte per byte
+    assert(!Buffer.from(shares[0].split(':')[5], 'base64url').equals(key));
+  });
+
+  it('should encrypt and decrypt with an instance created from shares', function (done) {
+    var shares = Kripke.splitKey('my master key', { shares: 3, threshold: 2 });
+    Kripke.encrypt('My secret data', { key: 'my master key', iterations: 1000 }, function (err, encodedText) {
+      if (err) { return done(err); }
+      new Kripke({ shares: [shares[2], shares[0]], iterations: 1000 }).decrypt(encodedText, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'My secret data');
+        assert.equal(Kripke.combineShares(shares.slice(1)).toString(), 'my master key');
+        done();
+      });
+    });
+  });
+
+  it('should reject shares that are mistyped or from different keys', function () {
+    var shares = Kripke.splitKey(key, { shares: 3, threshold: 2 }), other = Kripke.splitKey(key, { shares: 3,
+      threshold: 2 }), parts = shares[1].split(':');
+    parts[5] = (parts[5][0] === 'A' ? 'B' : 'A') + parts[5].substr(1);
+    assert.throws(function () {
+      Kripke.combineShares([shares[0], parts.join(':')]);
+    }, /^KripkeFormatError: Share 2 failed its checksum$/);
+    assert.throws(function () {
+      Kripke.combineShares([shares[0], shares[1].substr(0, 40)]);
+    }, /^KripkeFormatError: Share 2 is invalid$/);
+    assert.throws(function () {
+      Kripke.combineShares([shares[0], other[1]]);
+    }, /^KripkeFormatError: The shares are from different keys$/);
+    assert.throws(function () {
+      Kripke.combineShares(shares[0]);
+    }, Kripke.KripkeArgumentError);
+  });
+
+  it('should throw an error for invalid options', function () {
+    assert.throws(function () {
+      Kripke.splitKey(key, { shares: 1, threshold: 1 });
+    }, /"shares" must be an integer from 2 to 255/);
+    assert.throws(function () {
+      Kripke.splitKey(key, { shares: 3, threshold: 4 });
+    }, /"threshold" must be an integer from 2 to "shares"/);
+    assert.throws(function () {
+      Kripke.splitKey('', { shares: 3, threshold: 2 });
+    }, Kripke.KripkeKeyError);
+    assert.throws(function () {
+      return new Kripke({ key: key, shares: Kripke.splitKey(key, { shares: 2, threshold: 2 }) });
+    }, /Use either "key" or "shares"/);
+  });
+});
+
+describe('Error classes', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = { key: crypto.randomBytes(32), iterations: 1000 };
+  });
+
+  it('should have a name and a stable code', function () {
+    [
+      ['KripkeError', 'ERR_KRIPKE'],
+      ['KripkeArgumentError', 'ERR_KRIPKE_ARGUMENT'],
+      ['KripkeFormatError', 'ERR_KRIPKE_FORMAT'],
+      ['KripkeKeyError', 'ERR_KRIPKE_KEY'],
+      ['KripkeIntegrityError', 'ERR_KRIPKE_INTEGRITY'],
+      ['KripkeExpiredError', 'ERR_KRIPKE_EXPIRED']
+    ].forEach(function (test) {
+      var err = new Kripke[test[0]]('message');
+      assert(err instanceof Kripke.KripkeError);
+      assert(err instanceof Error);
+      assert.equal(err.name, test[0]);
+      assert.equal(err.code, test[1]);
+      assert.equal(err.message, 'message');
+      assert(err.stack);
+    });
+  });
+
+  it('should report bad padding the same way as a bad HMAC signature', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      var wrongKey = { key: crypto.randomBytes(32), iterations: 1000 }, errors = [];
+      // Without an HMAC, the wrong key is only detected by the padding (or not at all)
+      (function attempt() {
+        Kripke.decrypt(r, wrongKey, function (err) {
+          if (!err) {
+            wrongKey.key = crypto.randomBytes(32);
+            return attempt();
+          }
+          errors.push(err);
+          options.hmacKey = crypto.randomBytes(32);
+          Kripke.encrypt(data, options, function (e, r) {
+            Kripke.decrypt(tamper(r), options, function (err) {
+              errors.push(err);
+              errors.forEach(function (err) {
+                assert(err instanceof Kripke.KripkeIntegrityError);
+                assert.equal(err.code, 'ERR_KRIPKE_INTEGRITY');
+                assert.equal(err.message, 'Integrity verification failed');
+              });
+              done();
+            });
+          });
+        });
+      })();
+    });
+  });
+
+  it('should not expose OpenSSL errors for an unsupported algorithm', function (done) {
+    assert.throws(function () {
+      new Kripke({ key: 'key', algorithm: 'AES-256-XYZ' });
+    }, function (err) {
+      return err instanceof Kripke.KripkeArgumentError && err.message === 'Unsupported algorithm "AES-256-XYZ"';
+    });
+    Kripke.encrypt(data, options, function (e, r) {
+      Kripke.decrypt(r.replace('c=aes-256-cbc', 'c=aes-256-xyz'), options, function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        assert.equal(err.message, 'Unsupported algorithm "aes-256-xyz"');
+        done();
+      });
+    });
+  });
+
+  it('should report a key length the algorithm does not accept', function () {
+    return Kripke.encrypt(data, Object.assign({ algorithm: 'AES-128-CBC' }, options)).then(function () {
+      assert.fail('Expected a rejection');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeArgumentError);
+      assert.equal(err.message, 'The algorithm "AES-128-CBC" does not accept a 256 bit key');
+    });
+  });
+});
+
+describe('Encoded format', function () {
+  var data, options;
+
+  beforeEach(function () {
+    data = crypto.randomBytes(64).toString('hex');
+    options = {
+      key: crypto.randomBytes(32),
+      hmacKey: crypto.randomBytes(32),
+      algorithm: 'AES-128-CBC',
+      hmacAlgorithm: 'SHA512',
+      iterations: 10000,
+      keyLength: 128
+    };
+  });
+
+  it('should record the parameters in a header', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      assert.equal(e, undefined);
+      assert.equal(r.split('$').slice(0, 4).join('$'),
+        '$kripke$v=2$c=aes-128-cbc,kdf=pbkdf2,i=10000,l=128,d=sha512,h=sha512');
+      done();
+    });
+  });
+
+  it('should decrypt using the parameters from the header', function (done) {
+    new Kripke(options).encrypt(data, function (e, r) {
+      var k = new Kripke({ key: options.key, hmacKey: options.hmacKey, decryptAlgorithms: [options.algorithm] });
+      k.decrypt(r, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, data);
+        Kripke.decrypt(r, { key: options.key, hmacKey: options.hmacKey, decryptAlgorithms: [options.algorithm] },
+          function (err, result) {
+            assert.equal(err, undefined);
+            assert.equal(result, data);
+            done();
+          });
+      });
+    });
+  });
+
+  it('should include the header in the HMAC signature', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      Kripke.decrypt(r.replace('i=10000', 'i=10001'), options, function (err) {
+        assert(err instanceof Kripke.KripkeIntegrityError);
+        assert.equal(err.message, 'Integrity verification failed');
+        done();
+      });
+    });
+  });
+
+  it('should return an error for an unsupported version', function (done) {
+    Kripke.encrypt(data, options, function (e, r) {
+      Kripke.decrypt(r.replace('v=2', 'v=9'), options, function (err) {
+        assert(err instanceof Kripke.KripkeFormatError);
+        assert.equal(err.message, 'Unsupported encoded text version');
+        done();
+      });
+    });
+  });
+
+  describe('Legacy strings', function () {
+    var legacyOptions = { key: 'legacy key', iterations: 1000 };
+
+    it('should decrypt without HMAC', function (done) {
+      var encodedText = 'cqKqRq1Lz9lOV53Bl3nDtevHk7zhuZGcOepcbzi2MT8=$YSL3QAoFQIyTQaKjOcSKhg==$zyRceHna4IcBHfZZciXwIA==';
+      new Kripke(legacyOptions).decrypt(encodedText, function (err, result) {
+        assert.equal(err, undefined);
+        assert.equal(result, 'My legacy secret');
+        done();
+      });
+    });
+
+    it('should decrypt with HMAC', function (done) {
+      var encodedText = 'Hf/VNRWloL7gHHGGxEAHLX+nfc36g0JY/Xeunjdm0bA=$TELEf3lrgrVgRsijoI9nBg==$3P/4AI99TbkfErAzxX3MbQ==' +
+        '$uXAURxEuErQ8OthHnSFItKBWsPM5HL1MxCrcHytz9ag=';
+      legacyOptions.hmacKey = 'legacy hmac key';
+      Kripke.decrypt(encodedText, legacyOptions, function (err, result) {
+        delete legacyOptions.hmacKey;
+        assert.equal(err, undefined);
+        assert.equal(result, 'My legacy secret');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+"use strict";
+
+var assert = require('assert');
+var crypto = require('crypto');
+var Kripke = require('../index');
+var WebKripke = require('../web');
+var bytes = require('../lib/web/bytes');
+
+describe('WebCrypto', function () {
+  var randomBytes = crypto.randomBytes, random = bytes.random, data;
+
+  // Make both builds generate the same salt and iv: the bytes 1, 2, 3... then 101, 102, 103...
+  function repeatRandom() {
+    var calls = 0;
+    function next(length) {
+      var value = Buffer.alloc(length), i;
+      calls += 1;
+      for (i = 0; i < length; i++) { value[i] = calls * 100 + i - 99; }
+      return value;
+    }
+    crypto.randomBytes = function (length) { return next(length); };
+    bytes.random = function (length) { return new Uint8Array(next(length)); };
+    return function reset() { calls = 0; };
+  }
+
+  beforeEach(function () {
+    data = crypto.randomBytes(100).toString('hex') + ' ✓';
+  });
+
+  afterEach(function () {
+    crypto.randomBytes = randomBytes;
+    bytes.random = random;
+  });
+
+  [
+    { name: 'AES-256-CBC with an HMAC key', options: { hmacKey: 'hmac key' } },
+    { name: 'AES-128-CBC with derived HMAC keys', options: { algorithm: 'AES-128-CBC', keyLength: 128,
+      deriveHmacKey: true, hmacAlgorithm: 'SHA512' } },
+    { name: 'AES-256-GCM', options: { algorithm: 'AES-256-GCM' } },
+    { name: 'AES-192-GCM with hkdf and a keyring', options: { algorithm: 'AES-192-GCM', keyLength: 192, kdf: 'hkdf',
+      digest: 'sha384', keys: [{ id: 'old', key: 'old key' }, { id: 'new', key: crypto.randomBytes(32),
+      primary: true }] } }
+  ].forEach(function (test) {
+    var options;
+
+    beforeEach(function () {
+      options = Object.assign({ key: 'web key', iterations: 1000 }, test.options);
+    });
+
+    it('should produce the same encoded data as the Node build with ' + test.name, function () {
+      var reset = repeatRandom(), encodedTexts = [];
+      return ['string', 'base64url', 'buffer'].reduce(function (promise, output) {
+        return promise.then(function () {
+          reset();
+          return new Kripke(options).encrypt(data, { output: output, aad: 'row 1', ttl: 60 });
+        }).then(function (encodedText) {
+          encodedTexts.push(encodedText);
+          reset();
+          return new WebKripke(options).encrypt(data, { output: output, aad: 'row 1', ttl: 60 });
+        }).then(function (encodedText) {
+          encodedTexts.push(encodedText);
+        });
+      }, Promise.resolve()).then(function () {
+        assert.equal(encodedTexts[1], encodedTexts[0]);
+        assert.equal(encodedTexts[3], encodedTexts[2]);
+        assert(encodedTexts[5] instanceof Uint8Array && !Buffer.isBuffer(encodedTexts[5]));
+        assert(Buffer.from(encodedTexts[5]).equals(encodedTexts[4]));
+      });
+    });
+
+    it('should decrypt data encrypted by the other build with ' + test.name, function () {
+      var kripke = new Kripke(options), webKripke = new WebKripke(options);
+      return Promise.all([
+        kripke.encrypt(data, { aad: 'row 1' }),
+        kripke.encrypt(data, { output: 'buffer' }),
+        webKripke.encrypt(data, { aad: 'row 1' }),
+        webKripke.encrypt(data, { output: 'buffer' })
+      ]).then(function (encodedTexts) {
+        return Promise.all([
+          webKripke.decrypt(encodedTexts[0], { aad: 'row 1' }),
+          webKripke.decrypt(encodedTexts[1], { output: 'buffer' }),
+          kripke.decrypt(encodedTexts[2], { aad: 'row 1' }),
+          kripke.decrypt(Buffer.from(encodedTexts[3]))
+        ]);
+      }).then(function (decrypted) {
+        assert.equal(decrypted[0], data);
+        assert(decrypted[1] instanceof Uint8Array);
+        assert.equal(Buffer.from(decrypted[1]).toString(), data);
+        assert.equal(decrypted[2], data);
+        assert.equal(decrypted[3], data);
+      });
+    });
+  });
+
+  it('should decrypt legacy strings with the instance options', function () {
+    var options = { key: 'legacy key', hmacKey: 'legacy hmac key', iterations: 1000 };
+    return Promise.all([
+      WebKripke.decrypt('cqKqRq1Lz9lOV53Bl3nDtevHk7zhuZGcOepcbzi2MT8=$YSL3QAoFQIyTQaKjOcSKhg==$zyRceHna4IcBHfZZciXwIA==',
+        { key: options.key, iterations: 1000 }),
+      WebKripke.decrypt('Hf/VNRWloL7gHHGGxEAHLX+nfc36g0JY/Xeunjdm0bA=$TELEf3lrgrVgRsijoI9nBg==$3P/4AI99TbkfErAzxX3MbQ==' +
+        '$uXAURxEuErQ8OthHnSFItKBWsPM5HL1MxCrcHytz9ag=', options)
+    ]).then(function (decrypted) {
+      assert.deepEqual(decrypted, ['My legacy secret', 'My legacy secret']);
+    });
+  });
+
+  it('should fail to decrypt modified data, or data signed with another key', function () {
+    var webKripke = new WebKripke({ key: 'web key', hmacKey: 'hmac key', iterations: 1000 }), encodedText;
+    return webKripke.encrypt(data).then(function (result) {
+      var parts = result.split('$');
+      encodedText = result;
+      parts[4] = Buffer.from(parts[4], 'base64').reverse().toString('base64');
+      return webKripke.decrypt(parts.join('$'));
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof WebKripke.KripkeIntegrityError);
+      return new WebKripke({ key: 'web key', hmacKey: 'other key', iterations: 1000 }).decrypt(encodedText);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof WebKripke.KripkeIntegrityError);
+      return webKripke.decrypt(encodedText, { aad: 'row 1' });
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof WebKripke.KripkeIntegrityError);
+    });
+  });
+
+  it('should check the TTL of the data', function () {
+    var now = Date.now(), webKripke = new WebKripke({ key: 'web key', algorithm: 'AES-256-GCM', iterations: 1000,
+      clock: function () { return now; } });
+    return webKripke.encrypt(data, { ttl: 10 }).then(function (encodedText) {
+      now += 11000;
+      return webKripke.decrypt(encodedText);
+    }).then(function () {
+      assert.fail('decrypt should fail');
+    }, function (err) {
+      assert(err instanceof WebKripke.KripkeExpiredError);
+    });
+  });
+
+  it('should reencrypt data from the Node build and keep its expiry', function () {
+    var now = Date.now(), options = { key: 'web key', algorithm: 'AES-256-GCM', iterations: 1000,
+      clock: function () { return now; } }, webKripke = new WebKripke({ keys: [{ id: 'new', key: 'new key',
+      primary: true }, { key: 'web key' }], algorithm: 'AES-256-GCM', iterations: 1000, clock: options.clock });
+    return new Kripke(options).encrypt(data, { ttl: 60, output: 'base64url' }).then(function (encodedText) {
+      now += 30000;
+      return webKripke.reencrypt(encodedText);
+    }).then(function (encodedText) {
+      assert(/^[A-Za-z0-9_-]+$/.test(encodedText));
+      return new Kripke({ keys: [{ id: 'new', key: 'new key' }], algorithm: 'AES-256-GCM', clock: options.clock })
+        .extractTimestamp(encodedText);
+    }).then(function (timestamps) {
+      assert.equal(timestamps.expiresAt.getTime(), Math.floor((now - 30000) / 1000) * 1000 + 60000);
+    });
+  });
+
+  it('should report data and options that need the Node build', function () {
+    var kripke = new Kripke({ key: 'node key', iterations: 1000 }), webKripke = new WebKripke({ key: 'node key' });
+    assert.throws(function () {
+      return new WebKripke({ key: 'web key', algorithm: 'ChaCha20-Poly1305' });
+    }, WebKripke.KripkeArgumentError);
+    assert.throws(function () {
+      return new WebKripke({ key: 'web key', kdf: 'scrypt' });
+    }, /Unsupported key derivation function "scrypt"/);
+    assert.throws(function () {
+      return new WebKripke({ kek: new Kripke.LocalKekProvider({ id: 'kek', key: crypto.randomBytes(32) }) });
+    }, /The "kek" option is not supported with WebCrypto/);
+    assert.throws(function () {
+      webKripke.createEncryptStream();
+    }, /"createEncryptStream" is not supported with WebCrypto/);
+    return Promise.all([
+      kripke.encrypt(data, { deterministic: true }),
+      kripke.encrypt(new Array(2000).join('compressible '), { compress: 'gzip' })
+    ]).then(function (encodedTexts) {
+      return Promise.all(encodedTexts.map(function (encodedText) {
+        return webKripke.decrypt(encodedText).then(function () {
+          assert.fail('decrypt should fail');
+        }, function (err) {
+          return err;
+        });
+      }));
+    }).then(function (errors) {
+      assert.equal(errors[0].message, 'Unsupported mode "siv"');
+      assert.equal(errors[1].message, 'Unsupported compression "gzip"');
+      return webKripke.encryptFields({ email: 'alice@example.com' }, ['email']);
+    }).then(function () {
+      assert.fail('encryptFields should fail');
+    }, function (err) {
+      assert(err instanceof WebKripke.KripkeArgumentError);
+      assert.equal(err.message, '"encryptFields" is not supported with WebCrypto');
+      return new Promise(function (resolve) {
+        webKripke.blindIndex('alice@example.com', resolve);
+      });
+    }).then(function (err) {
+      assert(err instanceof WebKripke.KripkeArgumentError);
+      assert.equal(err.message, '"blindIndex" is not supported with WebCrypto');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+var assert = require('assert');
+var crypto = require('crypto');
+var Kripke = require('../index');
+
+describe('Worker threads', function () {
+  var k, records, options;
+
+  this.timeout(10000);
+
+  beforeEach(function () {
+    records = [];
+    while (records.length < 9) {
+      records.push(crypto.randomBytes(32).toString('hex'));
+    }
+    options = { key: crypto.randomBytes(32), hmacKey: crypto.randomBytes(32), iterations: 10000, workers: 2 };
+    k = new Kripke(options);
+  });
+
+  afterEach(function () {
+    return k.closeWorkers();
+  });
+
+  it('should encrypt and decrypt a batch of records in order', function () {
+    return k.encryptMany(records).then(function (encrypted) {
+      assert.equal(encrypted.length, records.length);
+      return k.decryptMany(encrypted);
+    }).then(function (decrypted) {
+      assert.deepEqual(decrypted, records);
+    });
+  });
+
+  it('should decrypt records encrypted on the main thread', function (done) {
+    Promise.all(records.map(function (record) {
+      return k.encrypt(record, { output: 'buffer' });
+    })).then(function (encrypted) {
+      k.decryptMany(encrypted, { output: 'buffer' }, function (err, decrypted) {
+        assert.equal(err, undefined);
+        assert(Buffer.isBuffer(decrypted[0]));
+        assert.deepEqual(decrypted.map(String), records);
+        done();
+      });
+    });
+  });
+
+  it('should return Buffers for the binary format', function () {
+    return k.encryptMany(records, { output: 'buffer' }).then(function (encrypted) {
+      assert(Buffer.isBuffer(encrypted[0]));
+      return k.decrypt(encrypted[0]);
+    }).then(function (decrypted) {
+      assert.equal(decrypted, records[0]);
+    });
+  });
+
+  it('should return an error with the position of the record that failed', function () {
+    return k.encryptMany(records).then(function (encrypted) {
+      encrypted[7] = encrypted[7].substr(0, encrypted[7].length - 4) + 'AAA=';
+      return k.decryptMany(encrypted);
+    }).then(function () {
+      assert.fail('decryptMany should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeIntegrityError);
+      assert.equal(err.code, 'ERR_KRIPKE_INTEGRITY');
+      assert.equal(err.message, 'Integrity verification failed');
+      assert.equal(err.index, 7);
+    });
+  });
+
+  it('should return an empty array for an empty batch', function () {
+    return k.encryptMany([]).then(function (encrypted) {
+      assert.deepEqual(encrypted, []);
+    });
+  });
+
+  it('should reject if the records are not an array', function () {
+    return k.encryptMany('records').then(function () {
+      assert.fail('encryptMany should fail');
+    }, function (err) {
+      assert(err instanceof Kripke.KripkeArgumentError);
+      assert.equal(err.message, 'Records must be an array');
+    });
+  });
+});
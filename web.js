@@ -0,0 +1,520 @@
+"use strict";
+/**
+ * The WebCrypto build of Kripke, for browsers and other runtimes without Node's crypto module
+ *
+ * It has the `encrypt`, `decrypt` and `reencrypt` functions of index.js, backed by `crypto.subtle`, and takes and
+ * returns Uint8Arrays instead of Buffers. Given the same salt and iv, it produces the same encoded data as the Node
+ * build, so either can decrypt what the other encrypted.
+ *
+ * It supports AES-CBC and AES-GCM, the pbkdf2 and hkdf key derivation functions, HMAC signatures (with `hmacKey` or
+ * `deriveHmacKey`), keyrings, associated data and TTLs, in the string, base64url and binary formats. Data encrypted
+ * with a KEK or for public keys, deterministically, with compression, or in the JWE format can only be decrypted
+ * by the Node build. The other methods of the Node build throw a `KripkeArgumentError`.
+ */
+var async = require('./lib/async');
+var bytes = require('./lib/web/bytes');
+var errors = require('./lib/errors');
+var format = require('./lib/web/format');
+var headerParams = require('./lib/params');
+var Keyring = require('./lib/keyring');
+var subtle = require('./lib/web/subtle');
+var defaultIterations = 131072;
+var outputFormats = ['string', 'base64url', 'buffer'];
+// The options of the Node build that need its crypto module
+var nodeOptions = ['kek', 'keks', 'recipients', 'privateKey', 'compress'];
+// The methods of the Node build that need its crypto module, streams or worker threads. They fail instead of being
+// undefined, so code written for the Node build reports what it needs.
+var nodeMethods = ['extractTimestamp', 'rewrap', 'migrate', 'blindIndex', 'encryptFields', 'decryptFields',
+  'encryptConfig', 'decryptConfig', 'encryptMany', 'decryptMany', 'closeWorkers', 'openContainer'];
+// Those that return their result instead of taking a callback
+var nodeSyncMethods = ['needsReencrypt', 'encryptAll', 'decryptAll', 'createEncryptStream', 'createDecryptStream',
+  'createContainerStream'];
+
+/**
+ * Create an instance with a built-in key that can encrypt and decrypt data
+ *
+ * @param options.key {string|Uint8Array} The secret key from which to derive the encryption key
+ * @param [options.hmacKey] {string|Uint8Array} A secret key to use to sign the encoded data
+ * @param [options.keys] {Array<{}>} A keyring to use instead of `key` and `hmacKey`. See index.js
+ * @param [options.algorithm] {string} 'AES-128-CBC', 'AES-192-CBC', 'AES-256-CBC', 'AES-128-GCM', 'AES-192-GCM' or
+ *                                     'AES-256-GCM'. Default: 'AES-256-CBC'
+ * @param [options.decryptAlgorithms] {string[]} Only decrypt data with `algorithm` and these algorithms.
+ *                                               Default: any supported algorithm
+ * @param [options.hmacAlgorithm] {string} 'SHA1', 'SHA256', 'SHA384' or 'SHA512'. Default: 'SHA256'
+ * @param [options.iterations] {number} The number of iterations used to generate the derived key. Default: 2^17
+ * @param [options.keyLength] {number} The number of bits for the key. Must be 128, 192, or 256. Default: 256
+ * @param [options.kdf] {string} The key derivation function: 'pbkdf2' or 'hkdf'. Default: 'pbkdf2'
+ * @param [options.digest] {string} Name of the hash algorithm used by pbkdf2 and hkdf. Default: `hmacAlgorithm`
+ * @param [options.deriveHmacKey] {boolean} Derive independent encryption and HMAC keys from `key` for each message
+ *                                          and always sign the data
+ * @param [options.clock] {function(): number} Returns the current time in milliseconds. Default: `Date.now`
+ * @param [options.clockSkew] {number} The number of seconds data with a TTL is accepted after it expired or before
+ *                                     it was issued. Default: 0
+ * @constructor
+ * @throws {KripkeKeyError} No key was provided or the keys are invalid
+ * @throws {KripkeArgumentError} An option is not supported by WebCrypto
+ * @throws {KripkeError} WebCrypto is not available
+ */
+function Kripke (options) {
+  var keyring, self = this;
+  subtle.api();
+  nodeOptions.forEach(function (name) {
+    if (options && options[name]) {
+      throw new errors.KripkeArgumentError('The "' + name + '" option is not supported with WebCrypto');
+    }
+  });
+  keyring = new Keyring(options);
+  this.keyId = keyring.primary.id;
+  this.algorithm = options.algorithm || 'AES-256-CBC';
+  this.hmacAlgorithm = options.hmacAlgorithm || 'SHA256';
+  this.iterations = options.iterations || defaultIterations;
+  this.kdf = options.kdf || 'pbkdf2';
+  this.digest = options.digest || this.hmacAlgorithm;
+  this.deriveHmacKey = !!options.deriveHmacKey;
+  this.clock = options.clock || Date.now;
+  this.clockSkew = options.clockSkew || 0;
+  subtle.validate(this.algorithm);
+  this.decryptAlgorithms = options.decryptAlgorithms ? [this.algorithm].concat(options.decryptAlgorithms)
+    .map(function (algorithm) {
+      subtle.validate(algorithm);
+      return algorithm.toLowerCase();
+    }) : null;
+  subtle.hash(this.hmacAlgorithm);
+  subtle.hash(this.digest);
+  if (!headerParams.isValid('iterations', this.iterations)) {
+    throw new errors.KripkeArgumentError('Invalid "iterations"');
+  }
+  if (['pbkdf2', 'hkdf'].indexOf(this.kdf) === -1) {
+    throw new errors.KripkeArgumentError('Unsupported key derivation function "' + this.kdf + '"');
+  }
+  if (options.keyLength && [128, 192, 256].indexOf(options.keyLength) > -1) {
+    this.keyLength = options.keyLength;
+  } else {
+    this.keyLength = 256;
+  }
+
+  /**
+   * Generate a key derived from the secret key
+   *
+   * @param salt {Uint8Array}
+   * @param [params] {{}} Key derivation parameters read from encoded data. Any parameter that is not provided
+   *                      defaults to the instance option, except `keyId`. Without `params` the primary key is used.
+   * @returns {Promise<Uint8Array>}
+   * @throws {KripkeKeyError} There is no key matching `params.keyId`
+   * @throws {KripkeFormatError} `params` are out of the range the instance accepts
+   */
+  this.generateDerivedKey = function (salt, params) {
+    var entry = params ? keyring.find(params.keyId) : keyring.primary, derivation;
+    params = params || {};
+    derivation = {
+      kdf: params.kdf || self.kdf,
+      keyLength: params.keyLength || self.keyLength,
+      iterations: params.iterations || self.iterations,
+      digest: params.digest || self.digest
+    };
+    headerParams.checkLimits(derivation, self);
+    return subtle.derive(bytes.from(entry.key), salt, derivation);
+  };
+
+  /**
+   * Get the `hmacKey` used to sign data
+   *
+   * @param [params] {{}} Parameters read from encoded data. Without `params` the primary key is used.
+   * @returns {Uint8Array|null} Returns `null` if the key has no `hmacKey`
+   * @throws {KripkeKeyError} There is no key matching `params.keyId`
+   */
+  this.hmacKey = function (params) {
+    var hmacKey = params ? keyring.find(params.keyId).hmacKey : keyring.primary.hmacKey;
+    return hmacKey ? bytes.from(hmacKey) : null;
+  };
+}
+
+/**
+ * Encrypt data using the instance key and a random salt and iv
+ *
+ * @param plainText {string|Uint8Array} Data to encrypt. Strings are encoded as utf8.
+ * @param [options] {{}}
+ * @param [options.output] {string} The format of the encoded data: 'string' (default), 'base64url' or 'buffer' (the
+ *                                  compact binary format as a Uint8Array)
+ * @param [options.aad] {string|Uint8Array} Associated data that must be passed to `decrypt`. See index.js
+ * @param [options.ttl] {number} The number of seconds the data can be decrypted for
+ * @param [callback] {nodeCallback} Returns the encoded data
+ * @returns {Promise<string|Uint8Array>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `plainText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.encrypt = function (plainText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    encryptData(self, plainText, options || {}).then(function (encodedData) {
+      callback(null, encodedData);
+    }, callback);
+  });
+};
+
+/**
+ * Decrypt data encoded by the `encrypt` function of either build
+ *
+ * @param encodedText {string|Uint8Array} Data in the 'string', 'base64url' or 'buffer' output formats
+ * @param [options] {{}}
+ * @param [options.output] {string} 'buffer' to return the decrypted data as a Uint8Array. Default: 'string'
+ * @param [options.aad] {string|Uint8Array} The associated data passed to `encrypt`
+ * @param [callback] {nodeCallback} Returns the decrypted data
+ * @returns {Promise<string|Uint8Array>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.decrypt = function (encodedText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  return async.withCallback(callback, function (callback) {
+    var aad;
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
+    }
+    aad = associatedData(options);
+    // Malformed data is reported to the callback, as by the Node build
+    Promise.resolve().then(function () {
+      return decryptData(self, encodedText, aad);
+    }).then(function (decrypted) {
+      callback(null, options.output === 'buffer' ? decrypted.plainText : bytes.toString(decrypted.plainText));
+    }, callback);
+  });
+};
+
+/**
+ * Decrypt data encoded by the `encrypt` function of either build and encrypt it again with the primary key and the
+ * current instance options
+ *
+ * @param encodedText {string|Uint8Array} Data in the 'string', 'base64url' or 'buffer' output formats
+ * @param [options] {{}} The same options accepted by `encrypt`. Default: the format of `encodedText`.
+ *                       `options.aad` is used to decrypt and encrypt the data. The expiry of the data is kept unless
+ *                       `options.ttl` is set.
+ * @param [callback] {nodeCallback} Returns the new encoded data
+ * @returns {Promise<string|Uint8Array>|undefined} Returns a Promise if there is no `callback`
+ * @throws {KripkeArgumentError} `encodedText` or `options` are not valid. Passed to `callback` instead, or rejects the Promise.
+ */
+Kripke.prototype.reencrypt = function (encodedText, options, callback) {
+  var self = this;
+  if (!callback && typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  return async.withCallback(callback, function (callback) {
+    var aad;
+    if (!isEncodedText(encodedText)) {
+      throw new errors.KripkeArgumentError('Invalid cipher text');
+    }
+    if (!(options && options.output)) {
+      options = Object.assign({}, options, {
+        output: typeof encodedText !== 'string' ? 'buffer' : encodedText.indexOf('$') === -1 ? 'base64url' : 'string'
+      });
+    }
+    aad = associatedData(options);
+    Promise.resolve().then(function () {
+      return decryptData(self, encodedText, aad);
+    }).then(function (decrypted) {
+      var params = decrypted.params, expiry;
+      if (params.expiresAt !== undefined && options.ttl === undefined) {
+        expiry = { issuedAt: params.issuedAt, expiresAt: params.expiresAt };
+      }
+      return encryptData(self, decrypted.plainText, options, expiry);
+    }).then(function (encodedData) {
+      callback(null, encodedData);
+    }, callback);
+  });
+};
+
+nodeMethods.forEach(function (name) {
+  Kripke.prototype[name] = function () {
+    var callback = arguments[arguments.length - 1];
+    return async.withCallback(typeof callback === 'function' ? callback : null, function () {
+      throw unsupported(name);
+    });
+  };
+});
+
+nodeSyncMethods.forEach(function (name) {
+  Kripke.prototype[name] = function () {
+    throw unsupported(name);
+  };
+});
+
+/**
+ * Encrypt a plain text payload with a key
+ *
+ * @static
+ * @param plainText {string|Uint8Array}
+ * @param options {{}} The options accepted by the constructor and `encrypt`
+ * @param [callback] {nodeCallback}
+ * @returns {Promise<string|Uint8Array>|undefined} Returns a Promise if there is no `callback`
+ */
+Kripke.encrypt = function (plainText, options, callback) {
+  return async.withCallback(callback, function (callback) {
+    new Kripke(options).encrypt(plainText, options, callback);
+  });
+};
+
+/**
+ * Decrypt data that was encoded with the `encrypt` function
+ *
+ * @static
+ * @param encodedText {string|Uint8Array}
+ * @param options {{}} The options accepted by the constructor and `decrypt`
+ * @param [callback] {nodeCallback}
+ * @returns {Promise<string|Uint8Array>|undefined} Returns a Promise if there is no `callback`
+ */
+Kripke.decrypt = function (encodedText, options, callback) {
+  return async.withCallback(callback, function (callback) {
+    new Kripke(options).decrypt(encodedText, options, callback);
+  });
+};
+
+/**
+ * Check that encoded data is a non-empty string or Uint8Array
+ *
+ * @param encodedText {*}
+ * @returns {boolean}
+ */
+function isEncodedText(encodedText) {
+  return (typeof encodedText === 'string' || encodedText instanceof Uint8Array) && encodedText.length > 0;
+}
+
+/**
+ * Create the error of a method that needs the Node build
+ *
+ * @param name {string}
+ * @returns {KripkeArgumentError}
+ */
+function unsupported(name) {
+  return new errors.KripkeArgumentError('"' + name + '" is not supported with WebCrypto');
+}
+
+/**
+ * Get the associated data from the options of `encrypt` or `decrypt`
+ *
+ * @param options {{}}
+ * @returns {Uint8Array|undefined}
+ * @throws {KripkeArgumentError} `options.aad` is not a string or Uint8Array
+ */
+function associatedData(options) {
+  var aad = options.aad;
+  if (aad === undefined || aad === null) {
+    return undefined;
+  }
+  if (typeof aad !== 'string' && !(aad instanceof Uint8Array)) {
+    throw new errors.KripkeArgumentError('Invalid "aad"');
+  }
+  aad = bytes.from(aad);
+  return aad.length ? aad : undefined;
+}
+
+/**
+ * Encrypt data with the instance key
+ *
+ * @param kripke {Kripke}
+ * @param plainText {string|Uint8Array}
+ * @param options {{}} The options of `Kripke#encrypt`
+ * @param [expiry] {{issuedAt: number, expiresAt: number}} The times to record instead of `options.ttl`, to keep the
+ *                                                         expiry of re-encrypted data
+ * @returns {Promise<string|Uint8Array>}
+ * @throws {KripkeArgumentError} `plainText` or `options` are not valid
+ */
+function encryptData(kripke, plainText, options, expiry) {
+  var params = encryptionParams(kripke), aad = associatedData(options), salt, iv, keys;
+  if (!plainText || plainText.length === 0 || (typeof plainText !== 'string' && !(plainText instanceof Uint8Array))) {
+    throw new errors.KripkeArgumentError('Invalid plain text data');
+  }
+  if (options.output && outputFormats.indexOf(options.output) === -1) {
+    throw new errors.KripkeArgumentError('Invalid output "' + options.output + '"');
+  }
+  if (options.deterministic || options.compress) {
+    throw new errors.KripkeArgumentError('The "' + (options.deterministic ? 'deterministic' : 'compress') +
+      '" option is not supported with WebCrypto');
+  }
+  if (options.ttl !== undefined && !(typeof options.ttl === 'number' && options.ttl > 0 && isFinite(options.ttl))) {
+    throw new errors.KripkeArgumentError('Invalid ttl');
+  }
+  if (options.ttl) {
+    params.issuedAt = Math.floor(kripke.clock() / 1000);
+    params.expiresAt = params.issuedAt + Math.ceil(options.ttl);
+  } else if (expiry) {
+    params.issuedAt = expiry.issuedAt;
+    params.expiresAt = expiry.expiresAt;
+  }
+  // Associated data and timestamps can't be trusted unless the data is authenticated
+  if ((aad || params.expiresAt !== undefined) && !subtle.isAead(kripke.algorithm) && !params.subkeys &&
+    !kripke.hmacKey()) {
+    throw new errors.KripkeArgumentError((aad ? 'Associated data' : 'A TTL') +
+      ' requires an AEAD algorithm or an HMAC signature');
+  }
+
+  // The salt and iv are generated in the same order as the Node build
+  salt = bytes.random(16);
+  iv = bytes.random(subtle.ivLength(kripke.algorithm));
+  return kripke.generateDerivedKey(salt, null).then(function (derivedKey) {
+    return params.subkeys ? subtle.subkeys(derivedKey, salt, params) : { encryptionKey: derivedKey };
+  }).then(function (derivedKeys) {
+    keys = derivedKeys;
+    return subtle.encrypt(kripke.algorithm, keys.encryptionKey, iv, bytes.from(plainText),
+      format.withAad(headerParams.header(params), aad));
+  }).then(function (cipherText) {
+    var encodedData = format.format(params, cipherText, iv, salt), hmacKey = keys.hmacKey || kripke.hmacKey();
+    if (!hmacKey) {
+      return encodedData;
+    }
+    return subtle.hmac(params.hmacAlgorithm, hmacKey, format.withAad(encodedData, aad)).then(function (hmac) {
+      return encodedData + '$' + bytes.toBase64(hmac);
+    });
+  }).then(function (encodedData) {
+    if (options.output === 'buffer') {
+      return format.toBinary(format.parse(encodedData));
+    }
+    if (options.output === 'base64url') {
+      return bytes.toBase64Url(format.toBinary(format.parse(encodedData)));
+    }
+    return encodedData;
+  });
+}
+
+/**
+ * Verify and decrypt encoded data
+ *
+ * @param kripke {Kripke}
+ * @param encodedText {string|Uint8Array}
+ * @param [aad] {Uint8Array} The associated data the data was encrypted with
+ * @returns {Promise<{plainText: Uint8Array, params: {}}>} The decrypted data and the parameters of its header
+ * @throws {KripkeError} The encoded data is malformed or uses parameters that are not supported
+ */
+function decryptData(kripke, encodedText, aad) {
+  var envelope = format.parse(encodedText), params = envelope.params, algorithm = params.algorithm || kripke.algorithm,
+    verified, hmacKey;
+  if (params.compression) {
+    throw new errors.KripkeFormatError('Unsupported compression "' + params.compression + '"');
+  }
+  if (params.mode) {
+    throw new errors.KripkeFormatError('Unsupported mode "' + params.mode + '"');
+  }
+  subtle.checkAllowed(algorithm, kripke.decryptAlgorithms);
+  if (aad && !envelope.hmac && !subtle.isAead(algorithm)) {
+    throw new errors.KripkeArgumentError('Associated data requires an AEAD algorithm or an HMAC signature');
+  }
+  // Data the instance encrypts is authenticated, so unsigned data with another cipher is treated as tampered.
+  // The times of data with a TTL are only trusted once the header is authenticated by the tag or signature.
+  if (!subtle.isAead(algorithm) && !envelope.hmac && (subtle.isAead(kripke.algorithm) ||
+    params.issuedAt !== undefined || params.expiresAt !== undefined)) {
+    throw errors.integrityError();
+  }
+  // Verify the HMAC signature if one is expected. A derived HMAC key is verified once it has been derived.
+  if (params.subkeys) {
+    if (!envelope.hmac) {
+      throw new errors.KripkeFormatError('Encoded text is invalid');
+    }
+    verified = Promise.resolve();
+  } else if (kripke.deriveHmacKey) {
+    // Data encrypted with `deriveHmacKey` is always signed with a derived HMAC key
+    throw errors.integrityError();
+  } else {
+    hmacKey = kripke.hmacKey(params);
+    if (hmacKey && !envelope.hmac) {
+      throw new errors.KripkeIntegrityError('An "hmacKey" was provided but the cipher text does not include an HMAC signature');
+    }
+    if (!hmacKey && envelope.hmac) {
+      throw new errors.KripkeKeyError('An "hmacKey" is required to verify the HMAC signature of the cipher text');
+    }
+    verified = hmacKey ? verify(params.hmacAlgorithm || kripke.hmacAlgorithm, hmacKey, envelope, aad) :
+      Promise.resolve();
+  }
+
+  return verified.then(function () {
+    return kripke.generateDerivedKey(envelope.salt, params);
+  }).then(function (derivedKey) {
+    if (!params.subkeys) {
+      return derivedKey;
+    }
+    return subtle.subkeys(derivedKey, envelope.salt, params).then(function (keys) {
+      return verify(params.hmacAlgorithm, keys.hmacKey, envelope, aad).then(function () {
+        return keys.encryptionKey;
+      });
+    });
+  }).then(function (encryptionKey) {
+    return subtle.decrypt(algorithm, encryptionKey, envelope.iv, envelope.cipherText,
+      format.withAad(envelope.header || '', aad));
+  }).then(function (plainText) {
+    var err = checkExpiry(kripke, params);
+    if (err) { throw err; }
+    return { plainText: plainText, params: params };
+  });
+}
+
+/**
+ * Verify the HMAC signature of a parsed envelope
+ *
+ * @param algorithm {string}
+ * @param hmacKey {Uint8Array}
+ * @param envelope {webEnvelope}
+ * @param [aad] {Uint8Array}
+ * @returns {Promise} Rejects with a `KripkeIntegrityError` if the signature doesn't match
+ */
+function verify(algorithm, hmacKey, envelope, aad) {
+  return subtle.hmac(algorithm, hmacKey, format.withAad(envelope.signedData, aad)).then(function (hmac) {
+    if (!bytes.equal(hmac, envelope.hmac)) {
+      throw errors.integrityError();
+    }
+  });
+}
+
+/**
+ * Check the times recorded in the parameters of verified data with a TTL
+ *
+ * @param kripke {Kripke}
+ * @param params {{}}
+ * @returns {KripkeExpiredError|null} Returns an error if the data has expired or was issued in the future
+ */
+function checkExpiry(kripke, params) {
+  var now = kripke.clock() / 1000;
+  if (params.expiresAt !== undefined && now > params.expiresAt + kripke.clockSkew) {
+    return new errors.KripkeExpiredError('The data expired at ' + new Date(params.expiresAt * 1000).toISOString());
+  }
+  if (params.issuedAt !== undefined && now < params.issuedAt - kripke.clockSkew) {
+    return new errors.KripkeExpiredError('The data was issued in the future');
+  }
+  return null;
+}
+
+/**
+ * Get the parameters to record with data encrypted by the instance, as the Node build records them
+ *
+ * @param kripke {Kripke}
+ * @returns {{}}
+ */
+function encryptionParams(kripke) {
+  var params = {
+    keyId: kripke.keyId,
+    algorithm: kripke.algorithm.toLowerCase(),
+    kdf: kripke.kdf,
+    keyLength: kripke.keyLength,
+    subkeys: kripke.deriveHmacKey ? 'hkdf' : undefined,
+    hmacAlgorithm: kripke.hmacAlgorithm.toLowerCase()
+  };
+  if (kripke.kdf === 'pbkdf2') {
+    params.iterations = kripke.iterations;
+  }
+  params.digest = kripke.digest.toLowerCase();
+  return params;
+}
+
+Kripke.KripkeError = errors.KripkeError;
+Kripke.KripkeArgumentError = errors.KripkeArgumentError;
+Kripke.KripkeFormatError = errors.KripkeFormatError;
+Kripke.KripkeKeyError = errors.KripkeKeyError;
+Kripke.KripkeIntegrityError = errors.KripkeIntegrityError;
+Kripke.KripkeExpiredError = errors.KripkeExpiredError;
+
+module.exports = Kripke;